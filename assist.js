@@ -0,0 +1,218 @@
+/**
+ * Assisted captcha entry for SRM Auto Login
+ * When no solver is confident enough, shows an enlarged, contrast-enhanced
+ * copy of the captcha with the best guess pre-filled so the user only has to
+ * confirm or fix it before the login is submitted
+ */
+
+// How much larger than the page's captcha the copy is drawn
+const ASSIST_SCALE = 3;
+
+class CaptchaAssist {
+  /**
+   * @param {Object} options
+   * @param {string} options.portalName - Shown in the panel title
+   * @param {Function} options.onRefresh - Async; loads a new captcha and resolves { image, guess }
+   */
+  constructor({ portalName, onRefresh }) {
+    this.log = new Logger('content');
+    this.portalName = portalName;
+    this.onRefresh = onRefresh;
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Show the panel for a captcha
+   * @param {HTMLImageElement} image - Captcha the server currently expects
+   * @param {string} guess - Best solver guess, may be empty
+   * @returns {Promise<string|null>} - Confirmed captcha text, or null when closed
+   */
+  start(image, guess) {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.createPanel();
+      this.show(image, guess);
+      document.addEventListener('keydown', this.onKeyDown, true);
+      this.log.info('🙋 Assisted captcha entry started');
+    });
+  }
+
+  /**
+   * Create the panel
+   */
+  createPanel() {
+    this.panel = document.createElement('div');
+    Object.assign(this.panel.style, {
+      position: 'fixed',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      padding: '20px',
+      minWidth: '320px',
+      background: '#2c3e50',
+      color: 'white',
+      fontSize: '14px',
+      fontFamily: 'Arial, sans-serif',
+      borderRadius: '8px',
+      boxShadow: '0 8px 30px rgba(0,0,0,0.4)',
+      zIndex: '2147483647'
+    });
+
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.textContent = `🙋 ${this.portalName}: check the captcha`;
+    this.panel.appendChild(title);
+
+    this.canvas = document.createElement('canvas');
+    Object.assign(this.canvas.style, {
+      maxWidth: '100%',
+      background: 'white',
+      borderRadius: '4px',
+      imageRendering: 'pixelated'
+    });
+    this.panel.appendChild(this.canvas);
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.autocomplete = 'off';
+    this.input.spellcheck = false;
+    Object.assign(this.input.style, {
+      padding: '10px',
+      fontSize: '22px',
+      letterSpacing: '4px',
+      fontFamily: 'Consolas, monospace',
+      border: 'none',
+      borderRadius: '4px',
+      color: '#2c3e50'
+    });
+    this.panel.appendChild(this.input);
+
+    this.message = document.createElement('div');
+    Object.assign(this.message.style, { fontSize: '12px', color: '#bdc3c7' });
+    this.panel.appendChild(this.message);
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', gap: '8px', justifyContent: 'flex-end' });
+    this.refreshButton = this.createButton('🔄 New Captcha', () => this.refresh());
+    this.submitButton = this.createButton('✅ Submit', () => this.submit());
+    this.submitButton.style.background = '#27ae60';
+    buttons.appendChild(this.createButton('Cancel', () => this.finish(null)));
+    buttons.appendChild(this.refreshButton);
+    buttons.appendChild(this.submitButton);
+    this.panel.appendChild(buttons);
+
+    document.body.appendChild(this.panel);
+  }
+
+  /**
+   * Create a panel button
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    Object.assign(button.style, {
+      padding: '8px 14px',
+      border: '1px solid rgba(255,255,255,0.4)',
+      borderRadius: '4px',
+      background: 'rgba(255,255,255,0.15)',
+      color: 'white',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Draw the enlarged, contrast-enhanced captcha and pre-fill the guess
+   */
+  show(image, guess) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const source = document.createElement('canvas');
+    source.width = width;
+    source.height = height;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.drawImage(image, 0, 0);
+
+    const enhanced = CaptchaPreprocessor.upscale(
+      CaptchaPreprocessor.stretchContrast(sourceCtx.getImageData(0, 0, width, height)),
+      ASSIST_SCALE
+    );
+    this.canvas.width = enhanced.width;
+    this.canvas.height = enhanced.height;
+    this.canvas.getContext('2d').putImageData(new ImageData(enhanced.data, enhanced.width, enhanced.height), 0, 0);
+
+    this.input.value = guess || '';
+    this.message.textContent = guess
+      ? 'The solver was not sure. Fix the text if needed, then press Enter.'
+      : 'The solver could not read this captcha. Type it, then press Enter.';
+    this.input.focus();
+    this.input.select();
+  }
+
+  /**
+   * Load a new captcha with a new guess
+   */
+  async refresh() {
+    this.refreshButton.disabled = true;
+    this.message.textContent = 'Loading a new captcha...';
+
+    try {
+      const { image, guess } = await this.onRefresh();
+      this.show(image, guess);
+    } catch (error) {
+      this.log.error('❌ Could not refresh the captcha:', error);
+      this.message.textContent = `Could not load a new captcha: ${error.message}`;
+    } finally {
+      this.refreshButton.disabled = false;
+    }
+  }
+
+  /**
+   * Confirm the captcha text
+   */
+  submit() {
+    const text = this.input.value.trim();
+    if (!text) {
+      this.message.textContent = 'Type the captcha first.';
+      this.input.focus();
+      return;
+    }
+    this.finish(text);
+  }
+
+  /**
+   * Enter submits, Escape closes; other keys stay with the panel's input
+   */
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.finish(null);
+    } else if (event.key === 'Enter' && event.target === this.input) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.submit();
+    }
+  }
+
+  /**
+   * Remove the panel and report the result
+   */
+  finish(result) {
+    document.removeEventListener('keydown', this.onKeyDown, true);
+    this.panel.remove();
+
+    this.log.info(result ? '🙋 Captcha confirmed by the user' : '🙋 Assisted captcha entry closed');
+    this.resolve(result);
+  }
+}
+
+// Make CaptchaAssist available globally
+if (typeof window !== 'undefined') {
+  window.CaptchaAssist = CaptchaAssist;
+}
@@ -3,20 +3,93 @@
  * Handles extension lifecycle and provides support for content scripts
  */
 
+// Shared helpers (also used by the content script and options page)
+importScripts('storage.js', 'logger.js', 'messages.js', 'crypto.js', 'portals.js', 'ocr.js', 'captcha-store.js', 'solvers.js', 'schedule.js');
+
+// Default idle time before an unlocked vault is locked again
+const DEFAULT_VAULT_LOCK_MINUTES = 15;
+
+// A submitted login older than this is not matched to the next page load
+const PENDING_LOGIN_MAX_AGE_MS = 2 * 60 * 1000;
+
+// Id of the dynamically registered content script for user-defined portals
+const CUSTOM_PORTAL_SCRIPT_ID = 'custom-portals';
+
+// Default minutes between session keep-alive pings
+const DEFAULT_KEEP_ALIVE_MINUTES = 5;
+
+// Storage keys that change the keep-alive schedule
+const KEEP_ALIVE_SETTINGS = ['keepAliveEnabled', 'keepAliveUrl', 'keepAliveInterval'];
+
+// A re-login that has not finished by then no longer navigates the tab back
+const RELOGIN_RETURN_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Offscreen document that hosts the persistent Tesseract worker
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// How long the "Pause or resume auto-login" shortcut pauses for
+const SHORTCUT_PAUSE_MINUTES = 60;
+
+// The debug log ring buffer is written to storage this long after it last changed
+const LOG_PERSIST_DELAY_MS = 1000;
+
+// Right-click menu entries on portal login pages; the id is passed to the content script
+const CONTEXT_MENU_ITEMS = [
+  { id: 'solveCaptcha', title: 'Solve this captcha', contexts: ['image'] },
+  { id: 'fillUsername', title: 'Fill username here', contexts: ['editable'] },
+  { id: 'fillPassword', title: 'Fill password here', contexts: ['editable'] },
+  { id: 'rememberUsername', title: 'Remember this field as the username field', contexts: ['editable'] },
+  { id: 'rememberPassword', title: 'Remember this field as the password field', contexts: ['editable'] }
+];
+
+// Keyboard shortcuts (manifest "commands") that act on the active portal tab, with the content script message they send
+const TAB_COMMANDS = {
+  'trigger-auto-login': 'triggerAutoLogin',
+  'fill-credentials': 'fillCredentialsOnly',
+  'resolve-captcha': 'resolveCaptcha'
+};
+
 // Service Worker compatibility check
 if (typeof chrome !== 'undefined' && chrome.runtime) {
-  console.log('🔧 SRM Auto Login - Background Service Worker Starting');
+  new Logger('background').info('🔧 SRM Auto Login - Background Service Worker Starting');
 } else {
-  console.error('❌ Chrome runtime not available');
+  new Logger('background').error('❌ Chrome runtime not available');
 }
 
 class BackgroundService {
   constructor() {
+    this.cryptoHelper = new CryptoHelper();
+    this.portalRegistry = new PortalRegistry();
+    this.captchaStore = new CaptchaStore();
+    this.vaultKey = null;
+    this.offscreenCreating = null;
+    this.log = new Logger('background');
+    this.ocrLog = new Logger('ocr');
+
+    // Ring buffer of log entries from every part of the extension, written to storage shortly after it changes
+    this.logBuffer = [];
+    this.logPersistTimer = null;
+    this.logBufferLoaded = this.loadLogBuffer();
+    Logger.useSink(entries => this.appendLogs(entries));
+
     try {
+      this.restrictStorageAccess();
       this.initializeEventListeners();
-      console.log('✅ SRM Auto Login - Background Service Started');
+      this.log.info('✅ SRM Auto Login - Background Service Started');
+    } catch (error) {
+      this.log.error('❌ Background service initialization failed:', error);
+    }
+  }
+
+  /**
+   * Close chrome.storage.local to content scripts, which then read settings and
+   * credentials through this worker (session storage is closed to them by default)
+   */
+  async restrictStorageAccess() {
+    try {
+      await chrome.storage.local.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' });
     } catch (error) {
-      console.error('❌ Background service initialization failed:', error);
+      this.log.error('❌ Could not restrict storage access:', error);
     }
   }
 
@@ -46,19 +119,64 @@ class BackgroundService {
       });
     }
 
+    // Forget per-tab session tracking when a tab closes
+    if (chrome.tabs && chrome.tabs.onRemoved) {
+      chrome.tabs.onRemoved.addListener((tabId) => {
+        this.forgetTab(tabId);
+      });
+    }
+
     // Handle extension startup
     if (chrome.runtime && chrome.runtime.onStartup) {
       chrome.runtime.onStartup.addListener(() => {
-        console.log('🚀 Extension startup detected');
+        this.log.info('🚀 Extension startup detected');
+        // Session storage is empty after a browser restart, so the vault starts locked
+        this.lockVault();
+      });
+    }
+
+    // Keep the content script registered on user-defined portals we have access to
+    if (chrome.storage && chrome.storage.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.portalDefinitions) {
+          this.syncPortalContentScripts();
+          this.registerContextMenus();
+        }
+        if (areaName === 'local' && KEEP_ALIVE_SETTINGS.some(key => changes[key])) {
+          this.scheduleKeepAlive();
+        }
+        if (areaName === 'local' && (changes.autoLoginRules || changes.masterPasswordEnabled)) {
+          this.updateBadge();
+        }
+      });
+    }
+
+    // Keyboard shortcuts, rebindable at chrome://extensions/shortcuts
+    if (chrome.commands && chrome.commands.onCommand) {
+      chrome.commands.onCommand.addListener((command, tab) => {
+        this.handleCommand(command, tab);
+      });
+    }
+
+    // Right-click actions on captcha images and login fields
+    if (chrome.contextMenus) {
+      this.registerContextMenus();
+      chrome.contextMenus.onClicked.addListener((info, tab) => {
+        this.handleContextMenuClick(info, tab);
       });
     }
+
+    if (chrome.permissions && chrome.permissions.onAdded) {
+      chrome.permissions.onAdded.addListener(() => this.syncPortalContentScripts());
+      chrome.permissions.onRemoved.addListener(() => this.syncPortalContentScripts());
+    }
   }
 
   /**
    * Handle extension installation or update
    */
   async handleInstallation(details) {
-    console.log('📦 Extension installation event:', details.reason);
+    this.log.info('📦 Extension installation event:', details.reason);
 
     if (details.reason === 'install') {
       // First time installation
@@ -73,7 +191,7 @@ class BackgroundService {
    * Handle first-time installation
    */
   async handleFirstInstall() {
-    console.log('🎉 First time installation detected');
+    this.log.info('🎉 First time installation detected');
 
     try {
       // Open options page on first install
@@ -93,15 +211,12 @@ class BackgroundService {
         });
       }
 
-      // Set installation timestamp
+      // Set installation timestamp and schema version
       if (chrome.storage && chrome.storage.local) {
-        await chrome.storage.local.set({
-          installedAt: Date.now(),
-          version: chrome.runtime.getManifest().version
-        });
+        await ExtensionStorage.recordInstall(chrome.runtime.getManifest().version);
       }
     } catch (error) {
-      console.error('❌ Error during first install:', error);
+      this.log.error('❌ Error during first install:', error);
     }
   }
 
@@ -109,36 +224,80 @@ class BackgroundService {
    * Handle extension update
    */
   async handleUpdate(previousVersion) {
-    console.log(`🔄 Extension updated from ${previousVersion} to ${chrome.runtime.getManifest().version}`);
+    this.log.info(`🔄 Extension updated from ${previousVersion} to ${chrome.runtime.getManifest().version}`);
+
+    // Bring stored data written by older versions up to the current schema, in order
+    try {
+      const { from, to } = await ExtensionStorage.migrate();
+      if (from !== to) {
+        this.log.info(`✅ Storage upgraded from schema ${from} to ${to}`);
+      }
+    } catch (error) {
+      this.log.error('❌ Storage migration failed:', error);
+    }
 
     // Store update information
-    await chrome.storage.local.set({
-      lastUpdated: Date.now(),
-      previousVersion: previousVersion,
-      currentVersion: chrome.runtime.getManifest().version
-    });
+    await ExtensionStorage.recordUpdate(previousVersion, chrome.runtime.getManifest().version);
   }
 
   /**
-   * Handle messages from content scripts
+   * Handle messages from content scripts and extension pages
+   * Each message is checked against MESSAGE_SCHEMA (data shape and allowed senders) before it is routed
    */
   async handleMessage(message, sender, sendResponse) {
-    console.log('📨 Message received:', message);
+    let context;
+    try {
+      const schema = MessageProtocol.validate(message);
+      context = await this.verifySender(sender, schema.from);
+    } catch (error) {
+      this.log.warn(`⛔ Refused message from ${(sender && sender.url) || 'an unknown sender'}: ${error.message}`, message);
+      sendResponse({ success: false, error: error.message });
+      return;
+    }
+
+    // Log entries are not logged again
+    if (message.action !== 'appendLogs') {
+      this.log.debug(`📨 Message received from ${context}:`, message);
+    }
 
     try {
       switch (message.action) {
+        case 'getProfiles':
+          await this.handleGetProfiles(sendResponse);
+          break;
+
         case 'getCredentials':
-          await this.handleGetCredentials(sendResponse);
+          await this.handleGetCredentials(message.data, sendResponse);
           break;
 
         case 'storeCredentials':
           await this.handleStoreCredentials(message.data, sendResponse);
           break;
 
+        case 'deleteProfile':
+          await this.handleDeleteProfile(message.data, sendResponse);
+          break;
+
+        case 'setDefaultProfile':
+          await this.handleSetDefaultProfile(message.data, sendResponse);
+          break;
+
         case 'clearCredentials':
           await this.handleClearCredentials(sendResponse);
           break;
 
+        case 'getSettings':
+          await this.handleGetSettings(message.data, context, sendResponse);
+          break;
+
+        case 'saveSettings':
+          await this.handleSaveSettings(message.data, context, sendResponse);
+          break;
+
+        case 'removeSettings':
+          await this.handleRemoveSettings(message.data, context, sendResponse);
+          break;
+
         case 'showNotification':
           await this.handleShowNotification(message.data, sendResponse);
           break;
@@ -151,16 +310,209 @@ class BackgroundService {
           await this.handleLogActivity(message.data, sendResponse);
           break;
 
+        case 'getVaultStatus':
+          await this.handleGetVaultStatus(sendResponse);
+          break;
+
+        case 'unlockVault':
+          await this.handleUnlockVault(message.data, sendResponse);
+          break;
+
+        case 'lockVault':
+          await this.handleLockVault(sendResponse);
+          break;
+
+        case 'setMasterPassword':
+          await this.handleSetMasterPassword(message.data, sendResponse);
+          break;
+
+        case 'removeMasterPassword':
+          await this.handleRemoveMasterPassword(message.data, sendResponse);
+          break;
+
+        case 'beginLoginAttempt':
+          await this.handleBeginLoginAttempt(message.data, sender, sendResponse);
+          break;
+
+        case 'takePendingLogin':
+          await this.handleTakePendingLogin(sender, sendResponse);
+          break;
+
+        case 'solveCaptcha':
+          await this.handleSolveCaptcha(message.data, sender, sendResponse);
+          break;
+
+        case 'ocrProgress':
+          await this.handleOcrProgress(message.data, sendResponse);
+          break;
+
+        case 'collectCaptchaSample':
+          await this.handleCollectCaptchaSample(message.data, sendResponse);
+          break;
+
+        case 'labelCaptchaSample':
+          await this.handleLabelCaptchaSample(message.data, sendResponse);
+          break;
+
+        case 'loginSucceeded':
+          await this.handleLoginSucceeded(sender, sendResponse);
+          break;
+
+        case 'appendLogs':
+          this.handleAppendLogs(message.data, context, sendResponse);
+          break;
+
+        case 'getLogs':
+          await this.handleGetLogs(sendResponse);
+          break;
+
+        case 'clearLogs':
+          await this.handleClearLogs(sendResponse);
+          break;
+
         default:
-          console.warn('⚠️ Unknown message action:', message.action);
+          // Unreachable while every MESSAGE_SCHEMA action has a case
+          this.log.warn('⚠️ Unknown message action:', message.action);
           sendResponse({ success: false, error: 'Unknown action' });
       }
     } catch (error) {
-      console.error('❌ Error handling message:', error);
+      this.log.error('❌ Error handling message:', error);
       sendResponse({ success: false, error: error.message });
     }
   }
 
+  /**
+   * Handle a keyboard shortcut
+   * @param {string} command - Command name from the manifest
+   * @param {Object} tab - Active tab when the shortcut was pressed (may be missing)
+   */
+  async handleCommand(command, tab) {
+    this.log.info(`⌨️ Shortcut: ${command}`);
+
+    try {
+      if (TAB_COMMANDS[command]) {
+        await this.sendToPortalTab(tab, { action: TAB_COMMANDS[command] });
+      } else if (command === 'open-portal') {
+        const portal = await this.portalRegistry.getDefaultPortal();
+        await chrome.tabs.create({ url: portal.loginUrl });
+      } else if (command === 'toggle-pause') {
+        await this.togglePause();
+      } else {
+        this.log.warn('⚠️ Unknown shortcut:', command);
+      }
+    } catch (error) {
+      this.log.error(`❌ Shortcut ${command} failed:`, error);
+      this.notify(`Shortcut failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * (Re)create the right-click menu entries, shown only on portal login pages
+   */
+  registerContextMenus() {
+    // Menus outlive the service worker, so remove and create them in order rather than side by side
+    this.contextMenusReady = (this.contextMenusReady || Promise.resolve()).then(async () => {
+      try {
+        const portals = await this.portalRegistry.getPortals();
+        const documentUrlPatterns = Array.from(new Set(portals.flatMap(portal => portal.matches)));
+
+        await chrome.contextMenus.removeAll();
+        CONTEXT_MENU_ITEMS.forEach(item => {
+          chrome.contextMenus.create({ ...item, documentUrlPatterns }, () => {
+            if (chrome.runtime.lastError) {
+              this.log.error(`❌ Error creating menu entry ${item.id}:`, chrome.runtime.lastError.message);
+            }
+          });
+        });
+      } catch (error) {
+        this.log.error('❌ Error registering context menus:', error);
+      }
+    });
+    return this.contextMenusReady;
+  }
+
+  /**
+   * Pass a right-click menu action to the content script of the frame it was used in
+   */
+  async handleContextMenuClick(info, tab) {
+    this.log.info(`🖱️ Context menu: ${info.menuItemId}`);
+
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'contextMenuAction',
+        data: { item: info.menuItemId, srcUrl: info.srcUrl || null }
+      }, { frameId: info.frameId || 0 });
+
+      // Failures are already shown in the page's status panel
+      if (response && !response.success) {
+        this.log.info(`⚠️ Context menu action ${info.menuItemId}: ${response.error}`);
+      }
+    } catch (error) {
+      this.log.error(`❌ Context menu action ${info.menuItemId} failed:`, error);
+      this.notify(error.message.includes('Could not establish connection')
+        ? 'The page is not ready yet. Reload it and try again.'
+        : `Action failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a message to the content script of the active tab when it is a portal login page
+   */
+  async sendToPortalTab(tab, message) {
+    if (!tab) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+
+    if (!tab || !tab.url || !await this.portalRegistry.findPortalForUrl(tab.url)) {
+      this.notify('Open a portal login page first.');
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, message);
+      if (response && !response.success) {
+        this.notify(response.error);
+      }
+    } catch (error) {
+      if (error.message.includes('Could not establish connection')) {
+        this.notify('The page is not ready yet. Reload it and try again.');
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Pause auto-login for SHORTCUT_PAUSE_MINUTES, or resume it when paused
+   */
+  async togglePause() {
+    const rules = await AutoLoginSchedule.load();
+    const { mode } = AutoLoginSchedule.evaluate(rules);
+
+    if (mode === 'paused') {
+      await AutoLoginSchedule.update({ pausedUntil: null });
+      this.notify('Auto-login resumed.');
+    } else {
+      const until = Date.now() + SHORTCUT_PAUSE_MINUTES * 60 * 1000;
+      await AutoLoginSchedule.update({ pausedUntil: until });
+      this.notify(`Auto-login paused until ${AutoLoginSchedule.formatTime(until)}.`);
+    }
+  }
+
+  /**
+   * Show a system notification (feedback for shortcuts, which have no UI of their own)
+   */
+  notify(message) {
+    if (!chrome.notifications || !chrome.notifications.create) return;
+
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon.svg',
+      title: 'SRM Auto Login',
+      message: message
+    }).catch(error => this.log.error('Error showing notification:', error));
+  }
+
   /**
    * Handle tab update events
    */
@@ -168,183 +520,1192 @@ class BackgroundService {
     // Only process when page is completely loaded
     if (changeInfo.status !== 'complete') return;
 
-    // Check if this is the SRM login page
-    if (tab.url && tab.url.includes('student.srmap.edu.in/srmapstudentcorner/HRDSystem')) {
-      console.log('🎯 SRM login page detected in tab:', tabId);
+    if (!tab.url) return;
+
+    const loginPortal = await this.portalRegistry.findPortalForUrl(tab.url);
+
+    // A login that redirected away from the login page never reaches the content script again
+    if (!loginPortal && await this.portalRegistry.findPortalForOrigin(tab.url)) {
+      const pending = await this.takePendingLogin(tabId);
+      const returning = pending && await this.returnAfterRelogin(tabId);
+      if (pending) {
+        this.log.info('✅ Login redirected away from login page in tab:', tabId);
+        if (pending.captchaSampleId) {
+          await this.captchaStore.labelSample(pending.captchaSampleId, 'success');
+        }
+        await this.appendActivity({
+          action: 'loginOutcome',
+          details: {
+            outcome: 'success',
+            attempt: pending.attempt,
+            profileId: pending.profileId || null,
+            message: null,
+            ocrText: pending.ocrText,
+            confidence: pending.confidence,
+            captchaAttempts: pending.captchaAttempts,
+            durationMs: Date.now() - (pending.flowStartedAt || pending.startedAt)
+          },
+          url: tab.url
+        });
+      }
+
+      // Remember where the user is, in case the portal sends them back to the login page
+      if (!returning) {
+        await this.rememberPortalPage(tabId, tab.url);
+      }
+    }
+
+    // Check if this is a portal login page
+    if (loginPortal) {
+      this.log.info(`🎯 ${loginPortal.name} login page detected in tab:`, tabId);
+
+      await this.detectSessionExpiry(tabId, loginPortal);
+
+      // Warm up the OCR worker while the page renders
+      this.ensureOffscreenDocument().catch(error => {
+        this.ocrLog.error('❌ Could not start the OCR offscreen document:', error);
+      });
       
       // Ensure content script is injected (backup mechanism)
       try {
-        await chrome.scripting.executeScript({
+        const [check] = await chrome.scripting.executeScript({
           target: { tabId: tabId },
           func: () => {
             // Check if content script is already loaded
             return window.srmAutoLoginInstance ? 'loaded' : 'not_loaded';
           }
         });
+
+        // Redirects to the login page can land on URLs the static content script missed
+        if (check && check.result === 'not_loaded') {
+          this.log.info('💉 Content script missing, injecting for auto-login...');
+          await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: chrome.runtime.getManifest().content_scripts[0].js
+          });
+        }
       } catch (error) {
-        console.log('📄 Content script check failed (normal if already injected):', error.message);
+        this.log.debug('📄 Content script check failed (normal if already injected):', error.message);
       }
     }
   }
 
   /**
-   * Handle credential retrieval request
+   * Record the last non-login portal page open in a tab
    */
-  async handleGetCredentials(sendResponse) {
-    try {
-      const result = await chrome.storage.local.get([
-        'encryptedUsername',
-        'encryptedPassword',
-        'credentialsStored'
-      ]);
-
-      sendResponse({
-        success: true,
-        data: result
-      });
-    } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
-    }
+  async rememberPortalPage(tabId, url) {
+    const { portalTabs = {} } = await chrome.storage.session.get(['portalTabs']);
+    portalTabs[tabId] = { url: url, at: Date.now() };
+    await chrome.storage.session.set({ portalTabs });
   }
 
   /**
-   * Handle credential storage request
+   * A tab that was inside the portal and lands on its login page has lost its session
+   * Remember the page it was on so it can go back there after auto-login
    */
-  async handleStoreCredentials(data, sendResponse) {
-    try {
-      await chrome.storage.local.set({
-        encryptedUsername: data.encryptedUsername,
-        encryptedPassword: data.encryptedPassword,
-        credentialsStored: true,
-        lastUpdated: Date.now()
-      });
+  async detectSessionExpiry(tabId, portal) {
+    const { portalTabs = {}, reloginReturns = {} } = await chrome.storage.session.get(['portalTabs', 'reloginReturns']);
+    const previous = portalTabs[tabId];
+    if (!previous) return;
 
-      sendResponse({ success: true });
-    } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
-    }
+    delete portalTabs[tabId];
+    await chrome.storage.session.set({ portalTabs });
+
+    // Logging out on purpose should leave the user on the login page
+    const sameOrigin = PortalRegistry.originOf(previous.url) === PortalRegistry.originOf(portal.loginUrl);
+    if (!sameOrigin || /log-?out|sign-?out|logoff/i.test(previous.url)) return;
+
+    const { reloginReturnEnabled } = await ExtensionStorage.get(['reloginReturnEnabled']);
+    if (reloginReturnEnabled === false) return;
+
+    this.log.info(`⌛ Session expired in tab ${tabId}, will return to ${previous.url} after auto-login`);
+    reloginReturns[tabId] = { url: previous.url, portalId: portal.id, at: Date.now() };
+    await chrome.storage.session.set({ reloginReturns });
+
+    await this.appendActivity({
+      action: 'sessionExpired',
+      details: { portalId: portal.id, returnTo: previous.url },
+      url: portal.loginUrl
+    });
   }
 
   /**
-   * Handle credential clearing request
+   * After a successful auto-login, navigate the tab back to the page it was on
+   * @returns {Promise<boolean>} - Whether the tab is being navigated back
    */
-  async handleClearCredentials(sendResponse) {
-    try {
-      await chrome.storage.local.remove([
-        'encryptedUsername',
-        'encryptedPassword',
-        'credentialsStored'
-      ]);
+  async returnAfterRelogin(tabId) {
+    const { reloginReturns = {} } = await chrome.storage.session.get(['reloginReturns']);
+    const target = reloginReturns[tabId];
+    if (!target) return false;
 
-      sendResponse({ success: true });
-    } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
+    delete reloginReturns[tabId];
+    await chrome.storage.session.set({ reloginReturns });
+
+    if (Date.now() - target.at > RELOGIN_RETURN_MAX_AGE_MS) return false;
+
+    this.log.info(`↩️ Re-login complete, returning tab ${tabId} to ${target.url}`);
+    await chrome.tabs.update(tabId, { url: target.url });
+    return true;
+  }
+
+  /**
+   * Drop session tracking for a closed tab
+   */
+  async forgetTab(tabId) {
+    const session = await chrome.storage.session.get(['portalTabs', 'reloginReturns', 'pendingLogins']);
+    for (const key of ['portalTabs', 'reloginReturns', 'pendingLogins']) {
+      if (session[key] && session[key][tabId]) {
+        delete session[key][tabId];
+        await chrome.storage.session.set({ [key]: session[key] });
+      }
     }
   }
 
   /**
-   * Handle notification display request
+   * Create or clear the keep-alive alarm to match the options page settings
    */
-  async handleShowNotification(data, sendResponse) {
-    try {
-      await chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon.svg',
-        title: data.title || 'SRM Auto Login',
-        message: data.message
-      });
+  async scheduleKeepAlive() {
+    const settings = await ExtensionStorage.get(KEEP_ALIVE_SETTINGS);
 
-      sendResponse({ success: true });
-    } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
+    await chrome.alarms.clear('keepAlive');
+    if (settings.keepAliveEnabled && settings.keepAliveUrl) {
+      const interval = settings.keepAliveInterval || DEFAULT_KEEP_ALIVE_MINUTES;
+      chrome.alarms.create('keepAlive', { periodInMinutes: interval });
+      this.log.info(`⏳ Session keep-alive scheduled every ${interval} minute(s)`);
     }
   }
 
   /**
-   * Handle options page opening request
+   * Request the keep-alive URL with the portal's cookies while a tab is logged in to it
    */
-  async handleOpenOptionsPage(sendResponse) {
+  async sendKeepAlive() {
     try {
-      await chrome.tabs.create({
-        url: chrome.runtime.getURL('options.html')
+      const { keepAliveEnabled, keepAliveUrl } = await ExtensionStorage.get(['keepAliveEnabled', 'keepAliveUrl']);
+      if (!keepAliveEnabled || !keepAliveUrl) return;
+
+      // Only ping while the user has a portal page open (login pages have no session to keep)
+      const origin = PortalRegistry.originOf(keepAliveUrl);
+      const tabs = await chrome.tabs.query({});
+      let portalTabOpen = false;
+      for (const tab of tabs) {
+        if (tab.url && PortalRegistry.originOf(tab.url) === origin && !await this.portalRegistry.findPortalForUrl(tab.url)) {
+          portalTabOpen = true;
+          break;
+        }
+      }
+
+      if (!portalTabOpen) return;
+
+      const response = await fetch(keepAliveUrl, {
+        method: 'GET',
+        cache: 'no-store',
+        credentials: 'include'
       });
 
-      sendResponse({ success: true });
+      if (await this.portalRegistry.findPortalForUrl(response.url)) {
+        this.log.info('⌛ Keep-alive was redirected to the login page, the session has already expired');
+      } else {
+        this.log.info(`💓 Session keep-alive sent (HTTP ${response.status})`);
+      }
     } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
+      this.log.error('❌ Keep-alive request failed:', error);
     }
   }
 
   /**
-   * Handle activity logging
+   * Register the content script on user-defined portals whose hosts have been granted
+   * Built-in portals are covered by the static content_scripts entry in manifest.json
    */
-  async handleLogActivity(data, sendResponse) {
+  async syncPortalContentScripts() {
     try {
-      // Get existing activity log
-      const result = await chrome.storage.local.get(['activityLog']);
-      const activityLog = result.activityLog || [];
+      const portals = await this.portalRegistry.getCustomPortals();
+      const matches = [];
 
-      // Add new activity entry
-      activityLog.push({
-        timestamp: Date.now(),
-        action: data.action,
-        details: data.details,
-        url: data.url
-      });
+      for (const portal of portals) {
+        const granted = await chrome.permissions.contains({ origins: PortalRegistry.originsFor(portal) });
+        if (granted) {
+          matches.push(...portal.matches);
+        }
+      }
 
-      // Keep only last 100 entries
-      if (activityLog.length > 100) {
-        activityLog.splice(0, activityLog.length - 100);
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_PORTAL_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_PORTAL_SCRIPT_ID] });
       }
 
-      // Store updated log
-      await chrome.storage.local.set({ activityLog });
+      if (matches.length > 0) {
+        await chrome.scripting.registerContentScripts([{
+          id: CUSTOM_PORTAL_SCRIPT_ID,
+          matches: Array.from(new Set(matches)),
+          js: chrome.runtime.getManifest().content_scripts[0].js,
+          runAt: 'document_end'
+        }]);
+      }
 
-      sendResponse({ success: true });
+      this.log.info(`🌐 Content script registered on ${matches.length} custom portal pattern(s)`);
     } catch (error) {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
+      this.log.error('❌ Error registering portal content scripts:', error);
     }
   }
 
   /**
-   * Get extension statistics
+   * Work out who sent a message and check that it may send this action
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @param {Array<string>} allowed - Senders allowed for the action (MESSAGE_SCHEMA `from`)
+   * @returns {Promise<string>} - 'extension', 'offscreen' or 'portal'
+   * @throws {Error} - If the sender is unknown or not allowed
    */
-  async getStats() {
-    try {
-      const result = await chrome.storage.local.get([
-        'installedAt',
-        'lastUpdated',
-        'activityLog',
-        'credentialsStored'
-      ]);
-
+  async verifySender(sender, allowed) {
+    const context = await this.identifySender(sender);
+    if (!context) {
+      throw new Error('Unknown sender');
+    }
+    if (!allowed.includes(context)) {
+      const names = { extension: 'the extension\'s pages', offscreen: 'the OCR document', portal: 'portal pages' };
+      throw new Error(`Not accepted from ${names[context]}`);
+    }
+    return context;
+  }
+
+  /**
+   * Tell this extension's pages, its offscreen document and content scripts on
+   * configured portals apart; anything else gets null
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @returns {Promise<string|null>}
+   */
+  async identifySender(sender) {
+    if (!sender || sender.id !== chrome.runtime.id || typeof sender.url !== 'string') {
+      return null;
+    }
+
+    const url = new URL(sender.url);
+    if (url.origin === new URL(chrome.runtime.getURL('')).origin) {
+      return url.pathname === `/${OFFSCREEN_DOCUMENT_PATH}` ? 'offscreen' : 'extension';
+    }
+
+    // sender.origin is 'null' for sandboxed frames, which must not pass as the portal
+    const onPortal = sender.tab && sender.tab.id >= 0 &&
+      (!sender.origin || sender.origin === url.origin) &&
+      await this.portalRegistry.findPortalForOrigin(sender.url);
+    return onPortal ? 'portal' : null;
+  }
+
+  /**
+   * Key the credentials are encrypted with: the vault key in master password mode, otherwise the built-in key (null)
+   * @returns {Promise<Object>} - { key, locked }
+   */
+  async getCredentialKey() {
+    const { masterPasswordEnabled } = await ExtensionStorage.get(['masterPasswordEnabled']);
+    if (!masterPasswordEnabled) {
+      return { key: null, locked: false };
+    }
+
+    const key = await this.getVaultKey();
+    return { key, locked: !key };
+  }
+
+  /**
+   * Handle profile list request (names only, nothing is decrypted)
+   */
+  async handleGetProfiles(sendResponse) {
+    try {
+      sendResponse({ success: true, data: await this.cryptoHelper.getProfiles() });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle credential retrieval request; plaintext only goes to extension pages and portal tabs
+   */
+  async handleGetCredentials(data, sendResponse) {
+    try {
+      const { key, locked } = await this.getCredentialKey();
+      if (locked) {
+        sendResponse({ success: false, locked: true, error: 'Vault is locked' });
+        return;
+      }
+
+      const credentials = await this.cryptoHelper.getCredentials(key, data && data.profileId);
+      sendResponse({ success: true, data: credentials });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle credential storage request: encrypts and saves a profile
+   */
+  async handleStoreCredentials(data, sendResponse) {
+    try {
+      const { key, locked } = await this.getCredentialKey();
+      if (locked) {
+        sendResponse({ success: false, locked: true, error: 'Vault is locked' });
+        return;
+      }
+
+      const profileId = await this.cryptoHelper.saveProfile(data, key);
+      if (!profileId) {
+        throw new Error('Could not save the profile');
+      }
+      sendResponse({ success: true, data: { profileId } });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle profile deletion request
+   */
+  async handleDeleteProfile(data, sendResponse) {
+    try {
+      if (!await this.cryptoHelper.deleteProfile(data.profileId)) {
+        throw new Error('Could not delete the profile');
+      }
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle default profile change request
+   */
+  async handleSetDefaultProfile(data, sendResponse) {
+    try {
+      await this.cryptoHelper.setDefaultProfile(data.profileId);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle credential clearing request
+   */
+  async handleClearCredentials(sendResponse) {
+    try {
+      if (!await this.cryptoHelper.clearCredentials()) {
+        throw new Error('Could not clear the credentials');
+      }
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check that a sender may read or write storage keys; content scripts only get the keys the schema opens to them
+   * @param {Array<string>} keys - Requested keys
+   * @param {string} context - Sender from verifySender
+   * @param {string} access - 'read' or 'write'
+   * @throws {Error} - If a key is not allowed
+   */
+  checkSettingsAccess(keys, context, access) {
+    if (context === 'extension') return;
+
+    const denied = keys.find(key => !ExtensionStorage.allowsContent(key, access));
+    if (denied) {
+      this.log.warn(`⛔ Refused ${access} access to "${denied}" from a content script`);
+      throw new Error(`Storage key "${denied}" is not available to the page`);
+    }
+  }
+
+  /**
+   * Handle settings read request from a content script
+   */
+  async handleGetSettings(data, context, sendResponse) {
+    try {
+      this.checkSettingsAccess(data.keys, context, 'read');
+      sendResponse({ success: true, data: await ExtensionStorage.get(data.keys) });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle settings write request from a content script
+   */
+  async handleSaveSettings(data, context, sendResponse) {
+    try {
+      this.checkSettingsAccess(Object.keys(data.values), context, 'write');
+      await ExtensionStorage.set(data.values);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle settings removal request from a content script
+   */
+  async handleRemoveSettings(data, context, sendResponse) {
+    try {
+      this.checkSettingsAccess(data.keys, context, 'write');
+      await ExtensionStorage.remove(data.keys);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle notification display request
+   */
+  async handleShowNotification(data, sendResponse) {
+    try {
+      await chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon.svg',
+        title: data.title || 'SRM Auto Login',
+        message: data.message
+      });
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle options page opening request
+   */
+  async handleOpenOptionsPage(sendResponse) {
+    try {
+      await chrome.tabs.create({
+        url: chrome.runtime.getURL('options.html')
+      });
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle activity logging
+   */
+  async handleLogActivity(data, sendResponse) {
+    try {
+      await this.appendActivity(data);
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an entry to the activity log
+   */
+  async appendActivity(data) {
+    // The log keeps only the last ACTIVITY_LOG_LIMIT entries
+    await ExtensionStorage.appendActivity({
+      timestamp: Date.now(),
+      action: data.action,
+      details: data.details,
+      url: data.url
+    });
+  }
+
+  /**
+   * Remember that a tab is about to submit the login form
+   */
+  async handleBeginLoginAttempt(data, sender, sendResponse) {
+    try {
+      if (!sender.tab) {
+        throw new Error('Login attempts can only be started from a tab');
+      }
+
+      const { pendingLogins = {} } = await chrome.storage.session.get(['pendingLogins']);
+      pendingLogins[sender.tab.id] = {
+        attempt: data.attempt || 1,
+        startedAt: Date.now(),
+        url: sender.tab.url,
+        profileId: data.profileId || null,
+        flowStartedAt: data.flowStartedAt,
+        ocrText: data.ocrText,
+        confidence: data.confidence,
+        captchaAttempts: data.captchaAttempts,
+        captchaSampleId: data.captchaSampleId || null
+      };
+      await chrome.storage.session.set({ pendingLogins });
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Hand the pending login attempt (if any) to the tab's new page
+   */
+  async handleTakePendingLogin(sender, sendResponse) {
+    try {
+      const pending = sender.tab ? await this.takePendingLogin(sender.tab.id) : null;
+      sendResponse({ success: true, data: pending });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * A content script saw a successful login on its own page (no redirect)
+   */
+  async handleLoginSucceeded(sender, sendResponse) {
+    try {
+      const returning = sender.tab ? await this.returnAfterRelogin(sender.tab.id) : false;
+      sendResponse({ success: true, data: { returning } });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove and return a tab's pending login attempt if it is recent enough
+   */
+  async takePendingLogin(tabId) {
+    const { pendingLogins = {} } = await chrome.storage.session.get(['pendingLogins']);
+    const pending = pendingLogins[tabId];
+    if (!pending) return null;
+
+    delete pendingLogins[tabId];
+    await chrome.storage.session.set({ pendingLogins });
+
+    return Date.now() - pending.startedAt <= PENDING_LOGIN_MAX_AGE_MS ? pending : null;
+  }
+
+  /**
+   * Get the unlocked vault key, or null if the vault is locked
+   * The key lives in memory and in chrome.storage.session so it survives
+   * service worker restarts but never touches disk
+   */
+  async getVaultKey() {
+    const session = await chrome.storage.session.get(['vaultKey', 'vaultLastUsed']);
+    if (!session.vaultKey) {
+      this.vaultKey = null;
+      return null;
+    }
+
+    if (await this.lockIfIdle(session)) {
+      return null;
+    }
+
+    if (!this.vaultKey) {
+      this.vaultKey = await this.cryptoHelper.importVaultKey(session.vaultKey);
+    }
+
+    await chrome.storage.session.set({ vaultLastUsed: Date.now() });
+    return this.vaultKey;
+  }
+
+  /**
+   * Lock the vault if it has not been used for longer than the timeout
+   * Only reads the last use, so checking does not count as using the key
+   * @param {Object} session - { vaultKey, vaultLastUsed } from session storage
+   * @returns {Promise<boolean>} - Whether the vault was locked
+   */
+  async lockIfIdle(session) {
+    const { vaultLockTimeout } = await ExtensionStorage.get(['vaultLockTimeout']);
+    const timeoutMs = (vaultLockTimeout || DEFAULT_VAULT_LOCK_MINUTES) * 60 * 1000;
+
+    if (Date.now() - session.vaultLastUsed <= timeoutMs) {
+      return false;
+    }
+
+    this.log.info('🔒 Vault idle timeout reached, locking');
+    await this.lockVault();
+    return true;
+  }
+
+  /**
+   * Keep an unlocked vault key in session memory
+   */
+  async holdVaultKey(key) {
+    this.vaultKey = key;
+    await chrome.storage.session.set({
+      vaultKey: await this.cryptoHelper.exportVaultKey(key),
+      vaultLastUsed: Date.now()
+    });
+    this.updateBadge();
+  }
+
+  /**
+   * Forget the vault key
+   */
+  async lockVault() {
+    this.vaultKey = null;
+    await chrome.storage.session.remove(['vaultKey', 'vaultLastUsed']);
+    this.updateBadge();
+  }
+
+  /**
+   * Show the vault lock or the auto-login mode (paused, fill only, ...) on the toolbar icon;
+   * a locked vault wins because nothing can log in until it is unlocked
+   */
+  async updateBadge() {
+    if (!chrome.action || !chrome.action.setBadgeText) return;
+
+    try {
+      const { masterPasswordEnabled } = await ExtensionStorage.get(['masterPasswordEnabled']);
+      const session = await chrome.storage.session.get(['vaultKey']);
+      const rules = await AutoLoginSchedule.load();
+      const { mode } = AutoLoginSchedule.evaluate(rules);
+
+      const badge = masterPasswordEnabled && !session.vaultKey
+        ? { text: '🔒', title: 'Credentials are locked' }
+        : SCHEDULE_BADGES[mode];
+      await chrome.action.setBadgeText({ text: badge.text });
+      await chrome.action.setTitle({ title: `SRM Auto Login - ${badge.title}` });
+    } catch (error) {
+      this.log.error('Error updating badge:', error);
+    }
+  }
+
+  /**
+   * Lock the vault if it has been idle for longer than the timeout
+   */
+  async checkVaultIdle() {
+    const session = await chrome.storage.session.get(['vaultKey', 'vaultLastUsed']);
+    if (session.vaultKey) {
+      await this.lockIfIdle(session);
+    }
+  }
+
+  /**
+   * Handle vault status request
+   */
+  async handleGetVaultStatus(sendResponse) {
+    try {
+      const result = await ExtensionStorage.get(['masterPasswordEnabled', 'vaultLockTimeout']);
+      const enabled = !!result.masterPasswordEnabled;
+      // Asking for the status is not a use of the key, so it does not restart the idle timer
+      const session = await chrome.storage.session.get(['vaultKey', 'vaultLastUsed']);
+      const locked = enabled && (!session.vaultKey || await this.lockIfIdle(session));
+
+      sendResponse({
+        success: true,
+        data: {
+          enabled: enabled,
+          locked: locked,
+          lockTimeout: result.vaultLockTimeout || DEFAULT_VAULT_LOCK_MINUTES
+        }
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle vault unlock request
+   */
+  async handleUnlockVault(data, sendResponse) {
+    try {
+      const { vault } = await ExtensionStorage.get(['vault']);
+      if (!vault) {
+        throw new Error('Master password is not enabled');
+      }
+
+      const key = await this.cryptoHelper.unlockVault(data.password, vault);
+      await this.holdVaultKey(key);
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle vault lock request
+   */
+  async handleLockVault(sendResponse) {
+    try {
+      await this.lockVault();
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle enabling or changing the master password
+   * Existing credentials are re-encrypted with the new vault key
+   */
+  async handleSetMasterPassword(data, sendResponse) {
+    try {
+      const result = await ExtensionStorage.get(['masterPasswordEnabled', 'vault']);
+
+      const currentKey = result.masterPasswordEnabled
+        ? await this.cryptoHelper.unlockVault(data.currentPassword, result.vault)
+        : null;
+
+      const { vault, key } = await this.cryptoHelper.createVault(data.newPassword);
+      await this.cryptoHelper.reencryptProfiles(currentKey, key);
+
+      await ExtensionStorage.set({
+        vault: vault,
+        masterPasswordEnabled: true,
+        vaultLockTimeout: data.lockTimeout || DEFAULT_VAULT_LOCK_MINUTES
+      });
+      await this.holdVaultKey(key);
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle disabling the master password
+   * Credentials go back to being encrypted with the built-in key
+   */
+  async handleRemoveMasterPassword(data, sendResponse) {
+    try {
+      const { vault } = await ExtensionStorage.get(['vault']);
+      if (!vault) {
+        throw new Error('Master password is not enabled');
+      }
+
+      const key = await this.cryptoHelper.unlockVault(data.password, vault);
+      await this.cryptoHelper.reencryptProfiles(key, null);
+
+      await ExtensionStorage.remove(['vault', 'masterPasswordEnabled', 'vaultLockTimeout']);
+      await this.lockVault();
+
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create the OCR offscreen document unless it already exists
+   */
+  async ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+    });
+    if (contexts.length > 0) return;
+
+    // Only one offscreen document may exist, so concurrent callers share one creation
+    if (!this.offscreenCreating) {
+      this.offscreenCreating = chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: [chrome.offscreen.Reason.WORKERS],
+        justification: 'Keep a Tesseract OCR worker loaded for solving login captchas'
+      }).finally(() => {
+        this.offscreenCreating = null;
+      });
+    }
+    await this.offscreenCreating;
+  }
+
+  /**
+   * Handle a captcha solving request by trying the configured solver backends in order
+   * The first answer at or above data.minConfidence wins. Otherwise the most
+   * confident answer is returned so the content script can retry with a new
+   * captcha, unless the chain reaches "manual", which hands the captcha to the user
+   */
+  async handleSolveCaptcha(data, sender, sendResponse) {
+    try {
+      // MessageProtocol has checked that these are image data URLs
+      if (data.images.length === 0) {
+        throw new Error('No captcha images to solve');
+      }
+
+      const { captchaSolvers } = await ExtensionStorage.get(['captchaSolvers']);
+      const settings = SolverChain.normalize(captchaSolvers);
+      const chain = SolverChain.chain(settings);
+      if (chain.length === 0) {
+        throw new Error('No captcha solver is enabled');
+      }
+
+      const minConfidence = data.minConfidence ?? 0;
+      const tried = [];
+      let best = null;
+
+      for (const backend of chain) {
+        if (backend === 'manual') {
+          this.ocrLog.info('✋ Captcha handed to the user');
+          sendResponse({ success: true, data: { manual: true, backend, tried } });
+          return;
+        }
+
+        try {
+          const result = await this.runSolver(backend, data, settings, sender.tab ? sender.tab.id : null);
+          tried.push({ backend, text: result.text, confidence: result.confidence });
+
+          if (!best || result.confidence > best.confidence) {
+            best = { ...result, backend };
+          }
+          if (result.text && result.confidence >= minConfidence) {
+            this.ocrLog.info(`🧩 Captcha solved by ${backend} (${(result.confidence * 100).toFixed(1)}%)`);
+            sendResponse({ success: true, data: { ...result, backend, tried } });
+            return;
+          }
+          this.ocrLog.info(`⚠️ ${backend} not confident enough, trying the next solver`);
+        } catch (error) {
+          this.ocrLog.warn(`⚠️ Captcha solver ${backend} failed:`, error.message);
+          tried.push({ backend, error: error.message });
+        }
+      }
+
+      if (!best) {
+        throw new Error(tried.map(attempt => `${attempt.backend}: ${attempt.error}`).join('; '));
+      }
+      sendResponse({ success: true, data: { ...best, tried } });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run one solver backend
+   * @param {string} backend - Backend id from CAPTCHA_SOLVERS
+   * @param {Object} data - { raw, images, format, multiPass }
+   * @param {Object} settings - Normalized solver settings
+   * @param {number|null} tabId - Tab that asked, for progress updates
+   * @returns {Promise<Object>} - { text, confidence, ... }
+   */
+  async runSolver(backend, data, settings, tabId) {
+    switch (backend) {
+      case 'tesseract':
+        return this.solveWithTesseract(data, tabId);
+      case 'http':
+        return this.solveWithHttp(data, settings.httpEndpoint);
+      default:
+        throw new Error(`Unknown captcha solver: ${backend}`);
+    }
+  }
+
+  /**
+   * Recognise the preprocessed variants on the warm Tesseract worker in the offscreen document
+   */
+  async solveWithTesseract(data, tabId) {
+    try {
+      await this.ensureOffscreenDocument();
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'recognize',
+        data: {
+          images: data.images,
+          format: data.format || {},
+          multiPass: data.multiPass !== false,
+          tabId: tabId
+        }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'OCR offscreen document did not respond');
+      }
+
+      await this.recordOcrLoad(null);
+      return response.data;
+    } catch (error) {
+      await this.recordOcrLoad(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Relay OCR progress from the offscreen document to the tab's status panel
+   */
+  async handleOcrProgress(data, sendResponse) {
+    try {
+      await chrome.tabs.sendMessage(data.tabId, { action: 'ocrProgress', data: { progress: data.progress } });
+      sendResponse({ success: true });
+    } catch (error) {
+      // The tab may have navigated away mid-recognition
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Send the captcha to the user's solver service on localhost
+   * Request: POST JSON { image, images, format }; response: JSON { text, confidence (0-1) }
+   */
+  async solveWithHttp(data, endpoint) {
+    // Checked again here so a hand-edited setting cannot send captchas off this computer
+    if (!SolverChain.isLocalEndpoint(endpoint)) {
+      throw new Error('The HTTP solver endpoint must be on localhost');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HTTP_SOLVER_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ image: data.raw, images: data.images, format: data.format || {} }),
+        credentials: 'omit',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP solver responded with ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (!result || typeof result.text !== 'string') {
+        throw new Error('HTTP solver response has no text');
+      }
+
+      const confidence = Number(result.confidence);
+      return {
+        text: result.text.trim(),
+        // Services without a confidence are trusted as fully sure
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 1
+      };
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? 'HTTP solver timed out' : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Handle a captcha sample from collection mode
+   */
+  async handleCollectCaptchaSample(data, sendResponse) {
+    try {
+      const { captchaCollectionEnabled } = await ExtensionStorage.get(['captchaCollectionEnabled']);
+      if (!captchaCollectionEnabled) {
+        sendResponse({ success: false, error: 'Captcha collection is disabled' });
+        return;
+      }
+
+      const id = await this.captchaStore.addSample(data);
+      sendResponse({ success: true, data: { id } });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle the login outcome for a collected captcha sample
+   */
+  async handleLabelCaptchaSample(data, sendResponse) {
+    try {
+      await this.captchaStore.labelSample(data.id, data.outcome);
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle log entries sent by a content script, extension page or the OCR document
+   * Entries are reshaped and redacted again before they join the ring buffer
+   */
+  handleAppendLogs(data, context, sendResponse) {
+    const entries = data.entries
+      .filter(entry => entry && LOG_LEVELS.includes(entry.level) && typeof entry.scope === 'string' && typeof entry.message === 'string')
+      .slice(-LOG_BUFFER_SIZE)
+      .map(entry => ({
+        at: Number.isFinite(entry.at) ? entry.at : Date.now(),
+        level: entry.level,
+        scope: entry.scope.slice(0, 40),
+        message: Logger.truncate(entry.message),
+        details: Array.isArray(entry.details) ? entry.details.map(detail => Logger.serialize(Logger.redact(detail))) : []
+      }));
+
+    this.appendLogs(entries);
+    sendResponse({ success: true });
+  }
+
+  /**
+   * Handle a request for the debug log (Diagnostics panel)
+   */
+  async handleGetLogs(sendResponse) {
+    await this.logBufferLoaded;
+    sendResponse({ success: true, data: { entries: this.logBuffer } });
+  }
+
+  /**
+   * Handle clearing the debug log
+   */
+  async handleClearLogs(sendResponse) {
+    try {
+      await this.logBufferLoaded;
+      clearTimeout(this.logPersistTimer);
+      this.logPersistTimer = null;
+      this.logBuffer = [];
+      await ExtensionStorage.set({ debugLog: [] });
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add entries to the ring buffer, dropping the oldest beyond LOG_BUFFER_SIZE
+   * @param {Array<Object>} entries - { at, level, scope, message, details }
+   */
+  appendLogs(entries) {
+    this.logBuffer.push(...entries);
+    if (this.logBuffer.length > LOG_BUFFER_SIZE) {
+      this.logBuffer.splice(0, this.logBuffer.length - LOG_BUFFER_SIZE);
+    }
+
+    if (!this.logPersistTimer) {
+      this.logPersistTimer = setTimeout(() => this.persistLogBuffer(), LOG_PERSIST_DELAY_MS);
+    }
+  }
+
+  /**
+   * Read the stored ring buffer when the worker starts; entries logged meanwhile are kept after it
+   */
+  async loadLogBuffer() {
+    try {
+      const { debugLog } = await ExtensionStorage.get(['debugLog']);
+      this.logBuffer = [...debugLog, ...this.logBuffer].slice(-LOG_BUFFER_SIZE);
+    } catch (error) {
+      this.log.error('❌ Could not read the debug log:', error);
+    }
+  }
+
+  /**
+   * Write the ring buffer to storage
+   */
+  async persistLogBuffer() {
+    this.logPersistTimer = null;
+    await this.logBufferLoaded;
+
+    try {
+      await ExtensionStorage.set({ debugLog: this.logBuffer });
+    } catch (error) {
+      // Straight to the console: logging it would schedule another write
+      console.error('❌ Could not store the debug log:', error);
+    }
+  }
+
+  /**
+   * Remember whether the OCR engine last loaded, for the popup's self-check
+   * @param {Error|null} error - Load or recognition error, null on success
+   */
+  async recordOcrLoad(error) {
+    if (!error && this.ocrLoadRecorded) return;
+    this.ocrLoadRecorded = !error;
+
+    await ExtensionStorage.set({
+      ocrLastLoad: { ok: !error, error: error ? error.message : null, at: Date.now() }
+    });
+  }
+
+  /**
+   * Verify the bundled OCR engine files and store the result for the popup
+   */
+  async runOcrSelfCheck() {
+    try {
+      const result = await OcrEngine.checkAssets();
+      await ExtensionStorage.set({ ocrSelfCheck: result });
+
+      if (result.ok) {
+        this.ocrLog.info(`🤖 OCR self-check passed: Tesseract.js ${result.version} bundled locally`);
+      } else {
+        this.ocrLog.error('❌ OCR self-check failed, missing files:', result.missing);
+      }
+    } catch (error) {
+      this.ocrLog.error('❌ OCR self-check error:', error);
+    }
+  }
+
+  /**
+   * Get extension statistics
+   */
+  async getStats() {
+    try {
+      const result = await ExtensionStorage.get([
+        'installedAt',
+        'extensionUpdate',
+        'credentialsUpdatedAt',
+        'activityLog',
+        'credentialsStored'
+      ]);
+
       return {
         installedAt: result.installedAt,
-        lastUpdated: result.lastUpdated,
-        activityCount: result.activityLog ? result.activityLog.length : 0,
-        hasCredentials: !!result.credentialsStored,
+        updatedAt: result.extensionUpdate ? result.extensionUpdate.at : null,
+        credentialsUpdatedAt: result.credentialsUpdatedAt,
+        activityCount: result.activityLog.length,
+        hasCredentials: result.credentialsStored,
         version: chrome.runtime.getManifest().version
       };
     } catch (error) {
-      console.error('Error getting stats:', error);
+      this.log.error('Error getting stats:', error);
       return null;
     }
   }
@@ -355,18 +1716,12 @@ class BackgroundService {
   async performMaintenance() {
     try {
       // Clean old activity logs (older than 30 days)
-      const result = await chrome.storage.local.get(['activityLog']);
-      if (result.activityLog) {
-        const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-        const filteredLog = result.activityLog.filter(entry => entry.timestamp > thirtyDaysAgo);
-        
-        if (filteredLog.length !== result.activityLog.length) {
-          await chrome.storage.local.set({ activityLog: filteredLog });
-          console.log('🧹 Cleaned old activity log entries');
-        }
+      const removed = await ExtensionStorage.pruneActivityLog(30 * 24 * 60 * 60 * 1000);
+      if (removed > 0) {
+        this.log.info('🧹 Cleaned old activity log entries');
       }
     } catch (error) {
-      console.error('❌ Maintenance error:', error);
+      this.log.error('❌ Maintenance error:', error);
     }
   }
 }
@@ -377,11 +1732,34 @@ const backgroundService = new BackgroundService();
 // Run maintenance on startup
 backgroundService.performMaintenance();
 
+// Re-register custom portal content scripts on startup
+backgroundService.syncPortalContentScripts();
+
+// Restore the session keep-alive alarm
+backgroundService.scheduleKeepAlive();
+
+// Check that the bundled OCR engine is complete
+backgroundService.runOcrSelfCheck();
+
 // Schedule periodic maintenance (every 24 hours)
 chrome.alarms.create('maintenance', { periodInMinutes: 24 * 60 });
+
+// Check the vault idle timeout every minute
+chrome.alarms.create('vaultIdleCheck', { periodInMinutes: 1 });
+
+// Keep the badge in step with pauses ending and time windows opening or closing
+backgroundService.updateBadge();
+chrome.alarms.create('autoLoginRules', { periodInMinutes: 1 });
+
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'maintenance') {
     backgroundService.performMaintenance();
+  } else if (alarm.name === 'vaultIdleCheck') {
+    backgroundService.checkVaultIdle();
+  } else if (alarm.name === 'keepAlive') {
+    backgroundService.sendKeepAlive();
+  } else if (alarm.name === 'autoLoginRules') {
+    backgroundService.updateBadge();
   }
 });
 
@@ -0,0 +1,326 @@
+/**
+ * Encrypted backup of credentials and settings for the options page
+ * Exports every credential profile and the extension settings to a JSON file
+ * encrypted with a passphrase (AES-GCM, key derived with PBKDF2 by
+ * CryptoHelper), and restores such a file by merging or replacing
+ */
+
+// Identifies backup files
+const BACKUP_FORMAT = 'srm-auto-login-backup';
+
+// Version of the encrypted payload written by this build
+const BACKUP_VERSION = 1;
+
+// Settings stored in chrome.storage.local that are carried over. The vault
+// (master password) is not: imported credentials are encrypted for this install
+const BACKUP_SETTINGS_KEYS = [
+  'portalDefinitions',
+  'defaultPortalId',
+  'selectorOverrides',
+  'captchaSolvers',
+  'captchaPreprocessing',
+  'ocrMultiPass',
+  'captchaMaxAttempts',
+  'captchaRetryDelay',
+  'loginMaxAttempts',
+  'captchaCollectionEnabled',
+  'keepAliveEnabled',
+  'keepAliveUrl',
+  'keepAliveInterval',
+  'reloginReturnEnabled',
+  'autoLoginRules',
+  'vaultLockTimeout'
+];
+
+// Upgrades an older payload to the next version: BACKUP_MIGRATIONS[n] turns version n into n + 1
+const BACKUP_MIGRATIONS = {};
+
+// Passphrases shorter than this are refused on export
+const BACKUP_MIN_PASSPHRASE_LENGTH = 8;
+
+class CredentialBackup {
+  constructor() {
+    this.log = new Logger('options');
+    this.cryptoHelper = new CryptoHelper();
+    this.initializeEventListeners();
+  }
+
+  /**
+   * Initialize export and import listeners
+   */
+  initializeEventListeners() {
+    document.getElementById('exportBackupBtn').addEventListener('click', () => {
+      this.exportBackup();
+    });
+
+    document.getElementById('importBackupBtn').addEventListener('click', () => {
+      document.getElementById('backupFile').click();
+    });
+
+    document.getElementById('backupFile').addEventListener('change', (e) => {
+      this.importBackup(e.target.files[0]);
+      e.target.value = '';
+    });
+  }
+
+  /**
+   * Download all profiles and settings as an encrypted file
+   */
+  async exportBackup() {
+    const passphrase = document.getElementById('backupPassphrase').value;
+    const confirmation = document.getElementById('backupPassphraseConfirm').value;
+
+    if (passphrase.length < BACKUP_MIN_PASSPHRASE_LENGTH) {
+      this.showStatus(`❌ The backup passphrase must be at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters`, 'error');
+      return;
+    }
+    if (passphrase !== confirmation) {
+      this.showStatus('❌ The backup passphrases do not match', 'error');
+      return;
+    }
+
+    try {
+      const { profiles, defaultProfileId } = await window.optionsManager.request('getProfiles');
+      const exported = [];
+
+      for (const profile of profiles) {
+        // Decrypted by the background worker
+        const credentials = await window.optionsManager.readCredentials(profile.id);
+        if (!credentials.username || !credentials.password) {
+          throw new Error(`Could not decrypt profile "${profile.name}"`);
+        }
+        exported.push({ id: profile.id, name: profile.name, username: credentials.username, password: credentials.password });
+      }
+
+      const settings = await ExtensionStorage.get(BACKUP_SETTINGS_KEYS);
+      const file = await CredentialBackup.encryptBackup({ profiles: exported, defaultProfileId, settings }, passphrase, this.cryptoHelper);
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `srm-auto-login-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      document.getElementById('backupPassphrase').value = '';
+      document.getElementById('backupPassphraseConfirm').value = '';
+      this.showStatus(`📤 Exported ${exported.length} profile(s) and settings. Keep the passphrase safe: the file cannot be opened without it.`, 'success');
+    } catch (error) {
+      this.log.error('Error exporting backup:', error);
+      this.showStatus('❌ Could not export the backup: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Decrypt a backup file and restore it
+   * @param {File} file - Selected backup file
+   */
+  async importBackup(file) {
+    if (!file) return;
+
+    const passphrase = document.getElementById('backupPassphrase').value;
+    if (!passphrase) {
+      this.showStatus('Enter the passphrase the backup was made with, then choose the file again', 'error');
+      return;
+    }
+
+    const replace = document.getElementById('backupReplace').checked;
+    if (replace && !confirm('Replace all stored profiles and settings with the ones in the backup?')) {
+      return;
+    }
+
+    try {
+      let contents;
+      try {
+        contents = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error('The file is not valid JSON');
+      }
+
+      const backup = await CredentialBackup.decryptBackup(contents, passphrase, this.cryptoHelper);
+      const count = await this.restore(backup, replace);
+
+      document.getElementById('backupPassphrase').value = '';
+      this.showStatus(`📥 ${replace ? 'Replaced everything with' : 'Merged'} ${count} profile(s) and the backed-up settings`, 'success');
+
+      // Show the restored profiles and settings
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      this.log.error('Error importing backup:', error);
+      this.showStatus('❌ Could not import the backup: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Write a decrypted backup to storage
+   * @param {Object} backup - { profiles, defaultProfileId, settings }
+   * @param {boolean} replace - Remove what is stored first instead of merging
+   * @returns {Promise<number>} - Profiles written
+   */
+  async restore(backup, replace) {
+    if (window.optionsManager.vaultStatus.locked) {
+      throw new Error('Unlock your credentials with the master password first');
+    }
+
+    if (replace) {
+      await window.optionsManager.request('clearCredentials');
+      await ExtensionStorage.remove(BACKUP_SETTINGS_KEYS);
+    }
+
+    // Merging updates a profile with the same id or name and adds the rest
+    const { profiles: existing, defaultProfileId } = await window.optionsManager.request('getProfiles');
+    const idMap = {};
+
+    for (const profile of backup.profiles) {
+      const match = existing.find(entry => entry.id === profile.id) || existing.find(entry => entry.name === profile.name);
+      const id = await window.optionsManager.writeCredentials({
+        id: match ? match.id : profile.id,
+        name: profile.name,
+        username: profile.username,
+        password: profile.password
+      });
+      if (!id) {
+        throw new Error(`Could not save profile "${profile.name}"`);
+      }
+      idMap[profile.id] = id;
+    }
+
+    if (backup.defaultProfileId && idMap[backup.defaultProfileId] && (replace || !defaultProfileId)) {
+      await window.optionsManager.request('setDefaultProfile', { profileId: idMap[backup.defaultProfileId] });
+    }
+
+    // Portals and picked fields are merged per portal; other settings are taken from the backup
+    const settings = { ...backup.settings };
+    if (!replace && settings.portalDefinitions) {
+      await new PortalRegistry().savePortals(settings.portalDefinitions);
+      delete settings.portalDefinitions;
+    }
+    if (!replace && settings.selectorOverrides) {
+      const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+      settings.selectorOverrides = { ...selectorOverrides, ...settings.selectorOverrides };
+    }
+    if (Object.keys(settings).length > 0) {
+      await ExtensionStorage.set(settings);
+    }
+
+    return backup.profiles.length;
+  }
+
+  /**
+   * Build the encrypted backup file
+   * @param {Object} payload - { profiles, defaultProfileId, settings }
+   * @param {string} passphrase - Backup passphrase
+   * @param {CryptoHelper} cryptoHelper - Provides AES-GCM/PBKDF2
+   * @returns {Promise<Object>} - File contents
+   */
+  static async encryptBackup(payload, passphrase, cryptoHelper) {
+    const encrypted = await cryptoHelper.encrypt(JSON.stringify(payload), passphrase);
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      cipher: { name: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations: 100000 },
+      ...encrypted
+    };
+  }
+
+  /**
+   * Check, decrypt and upgrade a backup file
+   * @param {Object} contents - Parsed file contents
+   * @param {string} passphrase - Backup passphrase
+   * @param {CryptoHelper} cryptoHelper - Provides AES-GCM/PBKDF2
+   * @returns {Promise<Object>} - { profiles, defaultProfileId, settings } in the current version
+   * @throws {Error} - If the file is not a backup, is from a newer version or the passphrase is wrong
+   */
+  static async decryptBackup(contents, passphrase, cryptoHelper) {
+    if (!contents || contents.format !== BACKUP_FORMAT) {
+      throw new Error('This is not an SRM Auto Login backup file');
+    }
+    if (!Number.isInteger(contents.version) || contents.version < 1) {
+      throw new Error('The backup has no valid version');
+    }
+    if (contents.version > BACKUP_VERSION) {
+      throw new Error('The backup was made by a newer version of the extension. Update the extension first.');
+    }
+    if (![contents.encrypted, contents.iv, contents.salt].every(Array.isArray)) {
+      throw new Error('The backup is damaged (encrypted data missing)');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await cryptoHelper.decrypt(contents, passphrase));
+    } catch (error) {
+      throw new Error('Wrong passphrase, or the backup is damaged');
+    }
+
+    for (let version = contents.version; version < BACKUP_VERSION; version++) {
+      payload = BACKUP_MIGRATIONS[version](payload);
+    }
+
+    return CredentialBackup.validatePayload(payload);
+  }
+
+  /**
+   * Keep only well-formed profiles and known settings
+   * @param {Object} payload - Decrypted payload
+   * @returns {Object} - { profiles, defaultProfileId, settings }
+   */
+  static validatePayload(payload) {
+    if (!payload || !Array.isArray(payload.profiles)) {
+      throw new Error('The backup has no profile list');
+    }
+
+    const isText = value => typeof value === 'string' && value.length > 0;
+    const invalid = payload.profiles.find(profile => !profile || ![profile.id, profile.name, profile.username, profile.password].every(isText));
+    if (invalid) {
+      throw new Error('The backup contains an incomplete profile');
+    }
+
+    const settings = {};
+    BACKUP_SETTINGS_KEYS.forEach(key => {
+      if (payload.settings && payload.settings[key] !== undefined) {
+        try {
+          ExtensionStorage.check(key, payload.settings[key]);
+        } catch (error) {
+          throw new Error(`The backup's setting "${key}" is invalid`);
+        }
+        settings[key] = payload.settings[key];
+      }
+    });
+
+    // Portal definitions go through the same checks as an imported portal file
+    if (settings.portalDefinitions) {
+      if (!Array.isArray(settings.portalDefinitions)) {
+        throw new Error('The backup\'s portal definitions are not a list');
+      }
+      settings.portalDefinitions.forEach(definition => {
+        const errors = PortalRegistry.validate(definition);
+        if (errors.length > 0) {
+          throw new Error(`Portal "${definition.id}" in the backup is invalid: ${errors[0]}`);
+        }
+      });
+    }
+
+    return {
+      profiles: payload.profiles.map(({ id, name, username, password }) => ({ id, name, username, password })),
+      defaultProfileId: isText(payload.defaultProfileId) ? payload.defaultProfileId : null,
+      settings
+    };
+  }
+
+  /**
+   * Show a status message using the options page status area
+   */
+  showStatus(message, type) {
+    if (window.optionsManager) {
+      window.optionsManager.showStatus(message, type);
+    }
+  }
+}
+
+// Initialize backup controls when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.credentialBackup = new CredentialBackup();
+});
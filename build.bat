@@ -24,10 +24,35 @@ if not exist "content.js" set "missing_files=%missing_files% content.js"
 if not exist "background.js" set "missing_files=%missing_files% background.js"
 if not exist "options.html" set "missing_files=%missing_files% options.html"
 if not exist "options.js" set "missing_files=%missing_files% options.js"
+if not exist "history.js" set "missing_files=%missing_files% history.js"
+if not exist "diagnostics.js" set "missing_files=%missing_files% diagnostics.js"
+if not exist "backup.js" set "missing_files=%missing_files% backup.js"
+if not exist "storage.js" set "missing_files=%missing_files% storage.js"
+if not exist "logger.js" set "missing_files=%missing_files% logger.js"
+if not exist "messages.js" set "missing_files=%missing_files% messages.js"
 if not exist "crypto.js" set "missing_files=%missing_files% crypto.js"
+if not exist "preprocess.js" set "missing_files=%missing_files% preprocess.js"
+if not exist "portals.js" set "missing_files=%missing_files% portals.js"
+if not exist "portal-settings.js" set "missing_files=%missing_files% portal-settings.js"
+if not exist "picker.js" set "missing_files=%missing_files% picker.js"
+if not exist "assist.js" set "missing_files=%missing_files% assist.js"
+if not exist "status-panel.js" set "missing_files=%missing_files% status-panel.js"
+if not exist "cancellation.js" set "missing_files=%missing_files% cancellation.js"
+if not exist "schedule.js" set "missing_files=%missing_files% schedule.js"
+if not exist "ocr.js" set "missing_files=%missing_files% ocr.js"
+if not exist "ocr-voting.js" set "missing_files=%missing_files% ocr-voting.js"
+if not exist "solvers.js" set "missing_files=%missing_files% solvers.js"
+if not exist "solver-settings.js" set "missing_files=%missing_files% solver-settings.js"
+if not exist "captcha-store.js" set "missing_files=%missing_files% captcha-store.js"
+if not exist "offscreen.html" set "missing_files=%missing_files% offscreen.html"
+if not exist "offscreen.js" set "missing_files=%missing_files% offscreen.js"
 if not exist "popup.html" set "missing_files=%missing_files% popup.html"
 if not exist "popup.js" set "missing_files=%missing_files% popup.js"
 if not exist "lib\tesseract.min.js" set "missing_files=%missing_files% lib\tesseract.min.js"
+if not exist "lib\worker.min.js" set "missing_files=%missing_files% lib\worker.min.js"
+if not exist "lib\tesseract-core\tesseract-core-lstm.wasm.js" set "missing_files=%missing_files% lib\tesseract-core\tesseract-core-lstm.wasm.js"
+if not exist "lib\tesseract-core\tesseract-core-simd-lstm.wasm.js" set "missing_files=%missing_files% lib\tesseract-core\tesseract-core-simd-lstm.wasm.js"
+if not exist "lib\lang\eng.traineddata.gz" set "missing_files=%missing_files% lib\lang\eng.traineddata.gz"
 
 if not "%missing_files%"=="" (
     echo ERROR: Missing required files:%missing_files%
@@ -87,7 +112,28 @@ copy "content.js" "%build_dir%\" >nul
 copy "background.js" "%build_dir%\" >nul
 copy "options.html" "%build_dir%\" >nul
 copy "options.js" "%build_dir%\" >nul
+copy "history.js" "%build_dir%\" >nul
+copy "diagnostics.js" "%build_dir%\" >nul
+copy "backup.js" "%build_dir%\" >nul
+copy "storage.js" "%build_dir%\" >nul
+copy "logger.js" "%build_dir%\" >nul
+copy "messages.js" "%build_dir%\" >nul
 copy "crypto.js" "%build_dir%\" >nul
+copy "preprocess.js" "%build_dir%\" >nul
+copy "portals.js" "%build_dir%\" >nul
+copy "portal-settings.js" "%build_dir%\" >nul
+copy "picker.js" "%build_dir%\" >nul
+copy "assist.js" "%build_dir%\" >nul
+copy "status-panel.js" "%build_dir%\" >nul
+copy "cancellation.js" "%build_dir%\" >nul
+copy "schedule.js" "%build_dir%\" >nul
+copy "ocr.js" "%build_dir%\" >nul
+copy "ocr-voting.js" "%build_dir%\" >nul
+copy "solvers.js" "%build_dir%\" >nul
+copy "solver-settings.js" "%build_dir%\" >nul
+copy "captcha-store.js" "%build_dir%\" >nul
+copy "offscreen.html" "%build_dir%\" >nul
+copy "offscreen.js" "%build_dir%\" >nul
 copy "popup.html" "%build_dir%\" >nul
 copy "popup.js" "%build_dir%\" >nul
 copy "README.md" "%build_dir%\" >nul
@@ -95,6 +141,13 @@ copy "README.md" "%build_dir%\" >nul
 REM Copy lib directory
 if not exist "%build_dir%\lib" mkdir "%build_dir%\lib"
 copy "lib\tesseract.min.js" "%build_dir%\lib\" >nul
+copy "lib\worker.min.js" "%build_dir%\lib\" >nul
+
+REM Bundled OCR core and language data (no CDN downloads at runtime)
+if not exist "%build_dir%\lib\tesseract-core" mkdir "%build_dir%\lib\tesseract-core"
+copy "lib\tesseract-core\*.wasm.js" "%build_dir%\lib\tesseract-core\" >nul
+if not exist "%build_dir%\lib\lang" mkdir "%build_dir%\lib\lang"
+copy "lib\lang\eng.traineddata.gz" "%build_dir%\lib\lang\" >nul
 
 REM Copy icons directory
 if not exist "%build_dir%\icons" mkdir "%build_dir%\icons"
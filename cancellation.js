@@ -0,0 +1,74 @@
+/**
+ * Cancellation for the SRM Auto Login flow
+ * One token per auto-login run. Anything that wants the run to stop (the
+ * status panel, Escape, the user typing in the form, the popup) cancels the
+ * token; the flow checks it between steps and unwinds cleanly
+ */
+
+// Why a run was cancelled, as shown to the user
+const CANCEL_REASONS = {
+  panel: 'Cancelled from the status panel',
+  escape: 'Cancelled with Escape',
+  typing: 'Stopped because you started typing',
+  popup: 'Cancelled from the extension popup',
+  skipPage: 'Auto-login is off until this page reloads'
+};
+
+class CancellationToken {
+  constructor() {
+    this.log = new Logger('content');
+    this.cancelled = false;
+    this.reason = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Cancel the run; later calls keep the first reason
+   * @param {string} reason - Key of CANCEL_REASONS
+   * @returns {boolean} - Whether this call cancelled it
+   */
+  cancel(reason) {
+    if (this.cancelled) return false;
+
+    this.cancelled = true;
+    this.reason = reason;
+    this.listeners.forEach(listener => {
+      try {
+        listener(reason);
+      } catch (error) {
+        this.log.error('Error in cancellation listener:', error);
+      }
+    });
+    this.listeners = [];
+    return true;
+  }
+
+  /**
+   * Run a callback when the token is cancelled (e.g. to close an open dialog)
+   * @param {Function} listener - Receives the reason
+   */
+  onCancel(listener) {
+    if (this.cancelled) {
+      listener(this.reason);
+    } else {
+      this.listeners.push(listener);
+    }
+  }
+
+  /**
+   * Throw an error marked as a cancellation when the token is cancelled
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      const error = new Error(CANCEL_REASONS[this.reason] || 'Auto-login cancelled');
+      error.cancelled = true;
+      error.reason = this.reason;
+      throw error;
+    }
+  }
+}
+
+// Make CancellationToken available globally
+if (typeof window !== 'undefined') {
+  window.CancellationToken = CancellationToken;
+}
@@ -0,0 +1,184 @@
+/**
+ * Captcha dataset store for SRM Auto Login
+ * Keeps collected captcha images with the OCR guess and, once the login
+ * outcome is known, whether the guess was right. Lives in the extension's
+ * IndexedDB (background worker and options page), never in the portal's
+ */
+
+// IndexedDB names
+const CAPTCHA_DB_NAME = 'srm-auto-login-captchas';
+const CAPTCHA_DB_VERSION = 1;
+const CAPTCHA_STORE_NAME = 'samples';
+
+// Oldest samples are dropped beyond this many
+const CAPTCHA_STORE_MAX_SAMPLES = 2000;
+
+// Format version of exported datasets (read by scripts/benchmark-ocr.js)
+const CAPTCHA_DATASET_FORMAT = 1;
+
+class CaptchaStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CAPTCHA_DB_NAME, CAPTCHA_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CAPTCHA_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('status', 'status');
+          store.createIndex('capturedAt', 'capturedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the samples store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CAPTCHA_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(CAPTCHA_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save a newly solved captcha
+   * @param {Object} sample - { image, ocrText, confidence, attempt, portalId }
+   * @returns {Promise<number>} - Sample id
+   */
+  async addSample(sample) {
+    const id = await this.run('readwrite', store => store.add({
+      capturedAt: Date.now(),
+      portalId: sample.portalId || null,
+      image: sample.image,
+      ocrText: sample.ocrText || '',
+      confidence: sample.confidence ?? null,
+      attempt: sample.attempt || 1,
+      status: 'unlabelled',
+      label: null
+    }));
+
+    await this.prune();
+    return id;
+  }
+
+  /**
+   * Record what the portal said about a submitted captcha
+   * A successful login confirms the OCR guess; a rejected captcha marks it wrong
+   * @param {number} id - Sample id
+   * @param {string} outcome - Login outcome
+   */
+  async labelSample(id, outcome) {
+    const sample = await this.run('readonly', store => store.get(id));
+    if (!sample) return;
+
+    if (outcome === 'success') {
+      sample.status = 'confirmed';
+      sample.label = sample.ocrText;
+    } else if (outcome === 'wrong_captcha') {
+      sample.status = 'rejected';
+      sample.label = null;
+    } else {
+      // Wrong password, server errors etc. say nothing about the captcha
+      return;
+    }
+
+    sample.labelledAt = Date.now();
+    await this.run('readwrite', store => store.put(sample));
+  }
+
+  /**
+   * Get all samples, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  getSamples() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Count samples per status
+   * @returns {Promise<Object>} - { total, confirmed, rejected, unlabelled }
+   */
+  async getStats() {
+    const samples = await this.getSamples();
+    const stats = { total: samples.length, confirmed: 0, rejected: 0, unlabelled: 0 };
+    samples.forEach(sample => {
+      stats[sample.status] = (stats[sample.status] || 0) + 1;
+    });
+    return stats;
+  }
+
+  /**
+   * Build the exportable dataset
+   * @param {Object} preprocessing - Preprocessing steps in use, so the benchmark can repeat them
+   * @returns {Promise<Object>} - Dataset object
+   */
+  async exportDataset(preprocessing) {
+    return {
+      format: CAPTCHA_DATASET_FORMAT,
+      exportedAt: new Date().toISOString(),
+      preprocessing: preprocessing || null,
+      samples: await this.getSamples()
+    };
+  }
+
+  /**
+   * Delete every sample
+   */
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+
+  /**
+   * Drop the oldest samples beyond CAPTCHA_STORE_MAX_SAMPLES
+   */
+  async prune() {
+    const count = await this.run('readonly', store => store.count());
+    if (count <= CAPTCHA_STORE_MAX_SAMPLES) return;
+
+    const excess = count - CAPTCHA_STORE_MAX_SAMPLES;
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CAPTCHA_STORE_NAME, 'readwrite');
+      let removed = 0;
+
+      // Ids are auto-incremented, so key order is capture order
+      transaction.objectStore(CAPTCHA_STORE_NAME).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && removed < excess) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Make CaptchaStore available globally
+if (typeof window !== 'undefined') {
+  window.CaptchaStore = CaptchaStore;
+}
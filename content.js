@@ -1,17 +1,35 @@
 /**
  * Content script for SRM Auto Login
- * Handles automatic login with OCR captcha solving
+ * Handles automatic login with captcha solving through the configured solver backends
  */
 
 class SRMAutoLogin {
   constructor() {
-    this.cryptoHelper = new CryptoHelper();
+    this.log = new Logger('content');
+    this.portalRegistry = new PortalRegistry();
+    this.portal = null;
+    this.selectorOverrides = {};
     this.isProcessing = false;
     this.maxRetries = 3;
     this.currentRetry = 0;
+    this.captchaRetryDelay = 500;
     this.ocrConfidenceThreshold = 0.8;
+    this.loginAttempt = 1;
+    this.maxLoginAttempts = 3;
+    this.profileId = null;
+    this.running = false;
+    this.cancelToken = null;
+    this.skipPageLoad = false;
+    this.fillOnly = false;
+    this.onUserKeyDown = this.onUserKeyDown.bind(this);
+    this.contextTarget = null;
+    this.statusPanel = new StatusPanel({
+      onCancel: () => this.cancelAutoLogin(),
+      onRetry: () => this.retryAutoLogin(),
+      onSkipPage: () => this.skipThisPage()
+    });
     
-    console.log('🚀 SRM Auto Login - Content Script Loaded');
+    this.log.info('🚀 SRM Auto Login - Content Script Loaded');
     this.initialize();
   }
 
@@ -19,61 +37,547 @@ class SRMAutoLogin {
    * Initialize the auto-login process
    */
   async initialize() {
+    // Remember what was right-clicked for the extension's context menu entries
+    document.addEventListener('contextmenu', (event) => {
+      this.contextTarget = event.composedPath()[0];
+    }, true);
+
     // Wait for page to fully load
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.startAutoLogin());
+      document.addEventListener('DOMContentLoaded', () => this.handlePageLoad());
     } else {
-      this.startAutoLogin();
+      this.handlePageLoad();
+    }
+  }
+
+  /**
+   * Check the outcome of a login submitted on the previous page, then decide
+   * whether to run auto-login on this one
+   */
+  async handlePageLoad() {
+    try {
+      if (!await this.loadPortal()) {
+        this.log.info('❌ No portal definition matches this page');
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'takePendingLogin' });
+      const pending = response && response.success ? response.data : null;
+
+      if (pending) {
+        // Everything up to submitting happened on the previous page
+        this.statusPanel.start(['fill', 'captcha', 'ocr', 'submit']);
+        this.statusPanel.setStep('outcome', 'active');
+        const outcome = this.detectLoginOutcome();
+        const retry = await this.handleLoginOutcome(outcome, pending);
+        if (!retry) return;
+      }
+    } catch (error) {
+      this.log.error('❌ Error checking login outcome:', error);
+    }
+
+    this.startAutoLogin(this.profileId);
+  }
+
+  /**
+   * Work out what happened to the last login submission from the URL and page content
+   * @returns {Object} - { outcome, message }
+   */
+  detectLoginOutcome() {
+    const { successMarkers, failureMarkers } = this.portal;
+    const url = window.location.href;
+
+    const successUrl = successMarkers.urlPatterns.some(pattern => PortalRegistry.patternToRegExp(pattern).test(url));
+    if (successUrl || this.findElement(successMarkers.selectors) || !this.isLoginPage()) {
+      return { outcome: 'success', message: null };
+    }
+
+    // Prefer dedicated error elements, then fall back to the whole page text
+    const candidates = failureMarkers.errorSelectors
+      .flatMap(selector => this.queryAll(selector))
+      .map(element => element.textContent.trim())
+      .filter(text => text.length > 0 && text.length < 300);
+    candidates.push(document.body ? document.body.innerText : '');
+
+    const patterns = failureMarkers.patterns.map(marker => ({
+      outcome: marker.outcome,
+      pattern: new RegExp(marker.pattern, marker.flags || '')
+    }));
+
+    for (const text of candidates) {
+      for (const { outcome, pattern } of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+          return { outcome, message: match[0] };
+        }
+      }
+    }
+
+    return { outcome: 'unknown', message: null };
+  }
+
+  /**
+   * React to the outcome of the previous login submission
+   * @param {Object} result - { outcome, message } from detectLoginOutcome
+   * @param {Object} pending - Pending attempt recorded before submitting
+   * @returns {Promise<boolean>} - Whether auto-login should run again on this page
+   */
+  async handleLoginOutcome(result, pending) {
+    const { outcome, message } = result;
+    this.log.info(`📋 Login attempt ${pending.attempt} outcome: ${outcome}`);
+
+    if (pending.captchaSampleId) {
+      await chrome.runtime.sendMessage({
+        action: 'labelCaptchaSample',
+        data: { id: pending.captchaSampleId, outcome: outcome }
+      });
+    }
+
+    await this.logActivity('loginOutcome', {
+      outcome: outcome,
+      attempt: pending.attempt,
+      profileId: pending.profileId || null,
+      message: message,
+      ocrText: pending.ocrText,
+      confidence: pending.confidence,
+      captchaAttempts: pending.captchaAttempts,
+      durationMs: Date.now() - (pending.flowStartedAt || pending.startedAt)
+    });
+
+    const settings = await ExtensionStorage.get(['loginMaxAttempts']);
+    this.maxLoginAttempts = settings.loginMaxAttempts || 3;
+
+    if (outcome !== 'success') {
+      this.statusPanel.setStep('outcome', 'failed', STATUS_OUTCOMES[outcome] || outcome);
+    }
+
+    switch (outcome) {
+      case 'success':
+        this.statusPanel.setStep('outcome', 'done', STATUS_OUTCOMES.success);
+        this.showNotification('Logged in successfully!', 'success');
+        this.statusPanel.collapseSoon();
+        // Go back to the page the user was on if the session had expired there
+        await chrome.runtime.sendMessage({ action: 'loginSucceeded' });
+        return false;
+
+      case 'wrong_captcha':
+        if (pending.attempt >= this.maxLoginAttempts) {
+          this.showNotification(`Captcha was rejected ${pending.attempt} times. Please log in manually.`, 'error');
+          return false;
+        }
+        this.loginAttempt = pending.attempt + 1;
+        this.profileId = pending.profileId || null;
+        this.showNotification(`Captcha was rejected, retrying (login attempt ${this.loginAttempt}/${this.maxLoginAttempts})...`, 'warning');
+        return true;
+
+      case 'wrong_password':
+      case 'account_locked':
+        // Retrying would only lock the account (further), so stop until credentials change
+        await ExtensionStorage.set({
+          loginBlocked: { reason: outcome, message: message, at: Date.now(), profileId: pending.profileId || null }
+        });
+        this.showNotification(outcome === 'wrong_password'
+          ? 'Wrong username or password. Auto-login is stopped until you update your credentials in the extension options.'
+          : 'Your account appears to be locked. Auto-login is stopped until you update your credentials in the extension options.', 'error');
+        return false;
+
+      case 'server_error':
+        this.showNotification('The portal reported a server error. Please try again later.', 'error');
+        return false;
+
+      default:
+        this.showNotification('Login did not complete. Please check the page and log in manually.', 'warning');
+        return false;
+    }
+  }
+
+  /**
+   * Record an entry in the background activity log
+   */
+  async logActivity(action, details) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'logActivity',
+        data: { action: action, details: details, url: window.location.href }
+      });
+    } catch (error) {
+      this.log.error('Error logging activity:', error);
     }
   }
 
   /**
    * Start the automatic login process
+   * @param {string} profileId - Credential profile to use (defaults to the default profile)
+   * @param {Object} options - { explicit: true } when the user asked for this run, which
+   *   overrides pauses, time windows and skip parameters (but not "fill only")
    */
-  async startAutoLogin() {
+  async startAutoLogin(profileId = null, options = {}) {
+    if (this.skipPageLoad) {
+      this.log.info('🚫 Auto-login is off for this page load');
+      return;
+    }
+    if (this.running) {
+      this.log.info('⏸️ Auto-login already running, skipping...');
+      return;
+    }
+
+    const rules = await AutoLoginSchedule.load();
+    const decision = AutoLoginSchedule.evaluate(rules, { url: window.location.href });
+    if (!decision.allowed && !options.explicit) {
+      this.log.info(`⏸️ ${decision.reason}, skipping auto-login`);
+      return;
+    }
+    this.fillOnly = !!rules.fillOnly;
+    this.beginRun();
+
     try {
-      console.log('🔍 Checking if we\'re on the login page...');
+      this.log.info('🔍 Checking if we\'re on the login page...');
+      await this.loadPortal();
       
       // Verify we're on the correct page
       if (!this.isLoginPage()) {
-        console.log('❌ Not on login page, skipping auto-login');
+        this.log.info('❌ Not on login page, skipping auto-login');
         return;
       }
 
-      console.log('✅ Login page detected, starting auto-login process...');
+      this.log.info('✅ Login page detected, starting auto-login process...');
       
       // Get stored credentials
-      const { username, password } = await this.cryptoHelper.getCredentials();
-      
+      const credentials = await this.getCredentials(profileId);
+
+      if (credentials.locked) {
+        this.showNotification('Credentials are locked. Click the SRM Auto Login icon and enter your master password to unlock.', 'warning');
+        return;
+      }
+
+      const { username, password } = credentials;
+
       if (!username || !password) {
         this.showNotification('No credentials stored. Please configure in extension options.', 'warning');
         return;
       }
 
-      console.log('🔐 Credentials retrieved, proceeding with login...');
+      // Stop for good after a wrong password until the user saves new credentials for this profile
+      const { loginBlocked } = await ExtensionStorage.get(['loginBlocked']);
+      if (loginBlocked && (!loginBlocked.profileId || loginBlocked.profileId === credentials.profileId)) {
+        this.log.info(`⛔ Auto-login stopped after ${loginBlocked.reason}`);
+        this.showNotification(`Auto-login is stopped because the last login with "${credentials.profileName}" failed with a wrong password or locked account. Update your credentials in the extension options.`, 'error');
+        return;
+      }
+
+      this.profileId = credentials.profileId;
+      this.log.info(`🔐 Credentials retrieved for profile "${credentials.profileName}", proceeding with login...`);
       
       // Add a small delay to ensure page is fully rendered
       await this.delay(1000);
+      this.cancelToken.throwIfCancelled();
       
       // Start login process
       await this.performLogin(username, password);
       
     } catch (error) {
-      console.error('❌ Error in auto-login process:', error);
+      if (error.cancelled) {
+        this.log.info(`✋ Auto-login cancelled before starting (${error.reason})`);
+        this.showNotification(error.message, 'info');
+        return;
+      }
+      this.log.error('❌ Error in auto-login process:', error);
       this.showNotification('Auto-login failed. Please try manual login.', 'error');
+    } finally {
+      this.endRun();
+    }
+  }
+
+  /**
+   * Mark a run as started; Escape or typing in the login form stops it between steps
+   */
+  beginRun() {
+    this.running = true;
+    this.cancelToken = new CancellationToken();
+    this.cancelToken.onCancel(reason => this.handleCancel(reason));
+    document.addEventListener('keydown', this.onUserKeyDown, true);
+  }
+
+  /**
+   * Mark the current run as finished
+   */
+  endRun() {
+    this.running = false;
+    document.removeEventListener('keydown', this.onUserKeyDown, true);
+  }
+
+  /**
+   * Fill the username and password without solving the captcha or submitting (keyboard shortcut)
+   * @returns {Promise<boolean>} - Whether the fields were filled
+   */
+  async fillCredentialsOnly() {
+    if (this.running) {
+      this.log.info('⏸️ Auto-login already running, skipping...');
+      return false;
+    }
+
+    try {
+      await this.loadPortal();
+      const credentials = await this.getCredentials(this.profileId);
+
+      if (credentials.locked) {
+        this.showNotification('Credentials are locked. Click the SRM Auto Login icon and enter your master password to unlock.', 'warning');
+        return false;
+      }
+      if (!credentials.username || !credentials.password) {
+        this.showNotification('No credentials stored. Please configure in extension options.', 'warning');
+        return false;
+      }
+
+      await this.fillCredentials(credentials.username, credentials.password);
+      this.showNotification(`Username and password filled for "${credentials.profileName}".`, 'success');
+      return true;
+    } catch (error) {
+      this.log.error('❌ Filling credentials failed:', error);
+      this.showNotification('Could not fill credentials: ' + error.message, 'error');
+      return false;
     }
   }
 
+  /**
+   * Load a new captcha, solve it and fill it in without submitting (keyboard shortcut)
+   */
+  async resolveCaptcha() {
+    if (this.running) {
+      this.log.info('⏸️ Auto-login already running, skipping...');
+      return;
+    }
+
+    this.beginRun();
+    this.lastOcrResult = null;
+    this.manualCaptcha = false;
+    this.lastCaptchaImg = null;
+    this.lastCaptchaGuess = '';
+    this.statusPanel.start();
+    this.statusPanel.setRunning(true);
+    this.statusPanel.setStep('fill', 'skipped');
+
+    try {
+      await this.loadPortal();
+      let solved = await this.solveCaptcha(true);
+      this.cancelToken.throwIfCancelled();
+
+      if (!solved && !this.manualCaptcha) {
+        solved = await this.assistCaptcha();
+        this.cancelToken.throwIfCancelled();
+      }
+
+      if (solved) {
+        this.showNotification('Captcha filled. Log in when ready.', 'success');
+      }
+    } catch (error) {
+      if (error.cancelled) {
+        this.statusPanel.stopActiveSteps('Cancelled');
+        this.showNotification(error.message, 'info');
+        return;
+      }
+      this.log.error('❌ Re-solving the captcha failed:', error);
+      this.showNotification('Could not solve a new captcha: ' + error.message, 'error');
+    } finally {
+      this.statusPanel.setStep('submit', 'skipped');
+      this.statusPanel.setStep('outcome', 'skipped');
+      this.statusPanel.setRunning(false);
+      this.endRun();
+    }
+  }
+
+  /**
+   * Get credentials from the background worker, which decrypts them for portal pages only
+   * @param {string} profileId - Credential profile (defaults to the default profile)
+   * @returns {Promise<Object>} - { username, password, profileId, profileName } or { locked: true }
+   */
+  async getCredentials(profileId = null) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getCredentials',
+      data: { profileId }
+    });
+
+    if (!response || !response.success) {
+      if (response && response.locked) {
+        this.log.info('🔒 Vault is locked, skipping auto-login');
+      } else {
+        this.log.error('Error retrieving credentials:', response?.error);
+      }
+      return { locked: !!(response && response.locked) };
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Find the portal definition for this page
+   * @returns {Promise<Object|null>} - Portal definition
+   */
+  async loadPortal() {
+    if (!this.portal) {
+      this.portal = await this.portalRegistry.findPortalForUrl(window.location.href);
+    }
+    if (this.portal) {
+      const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+      this.selectorOverrides = (selectorOverrides && selectorOverrides[this.portal.id]) || {};
+    }
+    return this.portal;
+  }
+
+  /**
+   * Selectors for a field, starting with the one picked by the user (if any)
+   * @param {string} key - Selector group, e.g. 'username'
+   * @returns {Array<string>} - Selectors in the order to try them
+   */
+  getSelectors(key) {
+    const override = this.selectorOverrides[key];
+    return override ? [override, ...this.portal.selectors[key]] : this.portal.selectors[key];
+  }
+
+  /**
+   * Let the user click the login fields and save them as overrides for this portal
+   * @returns {Promise<boolean>} - Whether selectors were saved
+   */
+  async pickFields() {
+    if (this.picker) return false;
+
+    await this.loadPortal();
+    if (!this.portal) {
+      throw new Error('No portal definition matches this page');
+    }
+
+    this.picker = new FieldPicker(this.portal);
+    const picked = await this.picker.start();
+    this.picker = null;
+
+    if (!picked || Object.keys(picked).length === 0) {
+      return false;
+    }
+
+    await this.saveSelectorOverrides(picked, true);
+    this.showNotification(`Saved ${Object.keys(picked).length} picked field(s) for ${this.portal.name}`, 'success');
+    return true;
+  }
+
+  /**
+   * Store picked selectors for this portal
+   * @param {Object} picked - Selectors by field key
+   * @param {boolean} replace - Drop the fields picked before instead of keeping them
+   */
+  async saveSelectorOverrides(picked, replace = false) {
+    const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+    const overrides = selectorOverrides || {};
+    const previous = replace ? {} : overrides[this.portal.id];
+    overrides[this.portal.id] = { ...previous, ...picked, savedAt: Date.now() };
+    await ExtensionStorage.set({ selectorOverrides: overrides });
+    this.selectorOverrides = overrides[this.portal.id];
+  }
+
+  /**
+   * Run a right-click menu entry on the element that was right-clicked
+   * @param {string} item - Menu entry id from the background worker
+   */
+  async handleContextMenuAction(item) {
+    const target = this.contextTarget;
+    await this.loadPortal();
+    if (!this.portal) {
+      throw new Error('No portal definition matches this page');
+    }
+
+    if (item === 'solveCaptcha') {
+      if (!target || target.tagName !== 'IMG') {
+        throw new Error('Right-click the captcha image itself');
+      }
+      await this.solveCaptchaImage(target);
+      return;
+    }
+
+    if (!target || !['INPUT', 'TEXTAREA'].includes(target.tagName)) {
+      throw new Error('Right-click a text field');
+    }
+
+    if (item === 'fillUsername' || item === 'fillPassword') {
+      const credentials = await this.getCredentials(this.profileId);
+      if (credentials.locked) {
+        throw new Error('Credentials are locked. Unlock them from the extension icon first.');
+      }
+      const value = item === 'fillUsername' ? credentials.username : credentials.password;
+      if (!value) {
+        throw new Error('No credentials stored. Please configure in extension options.');
+      }
+      this.setInputValue(target, value);
+      this.showNotification(`${item === 'fillUsername' ? 'Username' : 'Password'} filled`, 'success');
+    } else if (item === 'rememberUsername' || item === 'rememberPassword') {
+      const key = item === 'rememberUsername' ? 'username' : 'password';
+      await this.saveSelectorOverrides({ [key]: FieldPicker.buildSelector(target) });
+      this.showNotification(`This field is now used as the ${key} field on ${this.portal.name}`, 'success');
+    } else {
+      throw new Error('Unknown menu entry: ' + item);
+    }
+  }
+
+  /**
+   * OCR an image the user picked and fill the text into the input nearest to it
+   * @param {HTMLImageElement} image - Right-clicked captcha image
+   */
+  async solveCaptchaImage(image) {
+    const field = this.findInputNear(image);
+    if (!field) {
+      throw new Error('No text field found near the captcha');
+    }
+
+    await this.loadPreprocessingSettings();
+    this.showNotification('Solving the captcha...', 'info');
+    const result = await this.requestSolution(await this.imageToBase64(image));
+
+    if (result.manual || !result.text) {
+      field.focus();
+      this.showNotification('The solvers could not read this captcha. Type it yourself.', 'warning');
+      return;
+    }
+
+    this.setInputValue(field, result.text);
+    this.showNotification(`Captcha solved by ${result.backend} (${(result.confidence * 100).toFixed(1)}%)`, 'success');
+  }
+
+  /**
+   * The visible text input closest to an element, leaving out the username and password fields
+   * @param {Element} element - e.g. the captcha image
+   * @returns {HTMLInputElement|null}
+   */
+  findInputNear(element) {
+    const credentialFields = ['username', 'password'].map(key => this.findElement(this.getSelectors(key)));
+    const origin = element.getBoundingClientRect();
+    const center = rect => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 });
+    const from = center(origin);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    document.querySelectorAll('input:not([type]), input[type="text"], input[type="tel"], input[type="number"]').forEach(input => {
+      const rect = input.getBoundingClientRect();
+      if (input.disabled || input.readOnly || rect.width === 0 || credentialFields.includes(input)) return;
+
+      const to = center(rect);
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      if (distance < nearestDistance) {
+        nearest = input;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
   /**
    * Check if current page is the login page
    */
   isLoginPage() {
+    if (!this.portal) return false;
+
     const url = window.location.href;
-    const hasLoginForm = document.querySelector('input[type="password"]') || 
-                        document.querySelector('input[name*="password"]') ||
-                        document.querySelector('input[id*="password"]');
+    const hasLoginForm = this.findElement(this.getSelectors('password')) ||
+                        document.querySelector('input[type="password"]');
     
-    return url.includes('student.srmap.edu.in/srmapstudentcorner/HRDSystem') && hasLoginForm;
+    return PortalRegistry.matchesUrl(this.portal, url) && !!hasLoginForm;
   }
 
   /**
@@ -81,76 +585,222 @@ class SRMAutoLogin {
    */
   async performLogin(username, password) {
     if (this.isProcessing) {
-      console.log('⏸️ Login already in progress, skipping...');
+      this.log.info('⏸️ Login already in progress, skipping...');
       return;
     }
 
     this.isProcessing = true;
+    this.flowStartedAt = Date.now();
+    this.lastOcrResult = null;
+    this.captchaSampleId = null;
+    this.manualCaptcha = false;
+    this.lastCaptchaImg = null;
+    this.lastCaptchaGuess = '';
+    this.statusPanel.start();
+    this.statusPanel.setRunning(true);
     
     try {
-      console.log('📝 Step 1: Filling username and password...');
+      this.log.info('📝 Step 1: Filling username and password...');
+      this.statusPanel.setStep('fill', 'active');
       await this.fillCredentials(username, password);
+      this.statusPanel.setStep('fill', 'done');
+      this.cancelToken.throwIfCancelled();
       
-      console.log('🖼️ Step 2: Processing captcha...');
-      const captchaSolved = await this.solveCaptcha();
+      this.log.info('🖼️ Step 2: Processing captcha...');
+      let captchaSolved = await this.solveCaptcha();
+      this.cancelToken.throwIfCancelled();
       
+      if (!captchaSolved && this.manualCaptcha) {
+        await this.logLoginAttempt('captcha_manual', null);
+        this.showNotification('Type the captcha and log in to finish.', 'info');
+        return;
+      }
+
+      if (!captchaSolved) {
+        this.log.info('🙋 Step 2b: Asking the user to confirm the captcha...');
+        captchaSolved = await this.assistCaptcha();
+        this.cancelToken.throwIfCancelled();
+      }
+
       if (!captchaSolved) {
-        this.showNotification('Could not solve captcha automatically. Please solve it manually and try again.', 'warning');
+        await this.logLoginAttempt('captcha_failed', null);
+        this.showNotification('Captcha not confirmed. Solve it on the page and log in yourself.', 'warning');
         return;
       }
 
-      console.log('🚀 Step 3: Submitting login form...');
+      // Last chance to stop: nothing has been sent to the portal yet
+      this.cancelToken.throwIfCancelled();
+
+      if (this.fillOnly) {
+        this.statusPanel.setStep('submit', 'skipped', 'Fill only');
+        this.statusPanel.setStep('outcome', 'skipped');
+        await this.logLoginAttempt('fill_only', null);
+        this.showNotification('Form filled. "Fill only" mode is on, so log in yourself.', 'success');
+        return;
+      }
+
+      this.log.info('🚀 Step 3: Submitting login form...');
+      this.statusPanel.setStep('submit', 'active');
+      await chrome.runtime.sendMessage({
+        action: 'beginLoginAttempt',
+        data: { attempt: this.loginAttempt, ...this.getAttemptDetails() }
+      });
       await this.submitLogin();
+      this.statusPanel.setStep('submit', 'done');
+      this.statusPanel.setStep('outcome', 'active', 'Waiting for the portal');
       
     } catch (error) {
-      console.error('❌ Login process failed:', error);
+      if (error.cancelled) {
+        this.log.info(`✋ Auto-login cancelled (${error.reason})`);
+        this.statusPanel.stopActiveSteps('Cancelled');
+        await this.logLoginAttempt('cancelled', error.message);
+        this.showNotification(error.message, 'info');
+        return;
+      }
+      this.log.error('❌ Login process failed:', error);
+      await this.logLoginAttempt('error', error.message);
       this.showNotification('Login process failed: ' + error.message, 'error');
     } finally {
       this.isProcessing = false;
+      this.statusPanel.setRunning(false);
     }
   }
 
+  /**
+   * Stop the running flow at the next step boundary
+   * @param {string} reason - Key of CANCEL_REASONS
+   * @returns {boolean} - Whether a running flow was cancelled
+   */
+  cancelAutoLogin(reason = 'panel') {
+    if (!this.running || !this.cancelToken) return false;
+    return this.cancelToken.cancel(reason);
+  }
+
+  /**
+   * React to a cancellation right away; the flow itself unwinds at the next step boundary
+   */
+  handleCancel(reason) {
+    this.log.info(`✋ Cancelling auto-login (${reason})...`);
+    if (this.assist) {
+      this.assist.finish(null);
+    }
+    if (this.isProcessing) {
+      this.showNotification('Cancelling after the current step...', 'info');
+    }
+  }
+
+  /**
+   * Escape, or the user typing in the login form, cancels a running flow
+   */
+  onUserKeyDown(event) {
+    // Only real key presses; the extension's own input events are synthetic
+    if (!event.isTrusted || !this.running) return;
+
+    if (event.key === 'Escape') {
+      this.cancelAutoLogin('escape');
+    } else if (!['Shift', 'Control', 'Alt', 'Meta', 'Tab'].includes(event.key) && this.isLoginFormField(event.target)) {
+      this.cancelAutoLogin('typing');
+    }
+  }
+
+  /**
+   * Whether an element is one of the login form's fields
+   */
+  isLoginFormField(element) {
+    if (!element || !['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) return false;
+
+    const fields = ['username', 'password', 'captchaInput'].map(key => this.findElement(this.getSelectors(key)));
+    if (fields.includes(element)) return true;
+
+    const passwordField = fields[1];
+    return !!(passwordField && passwordField.form && element.form === passwordField.form);
+  }
+
+  /**
+   * Current flow state for the popup
+   * @returns {Object} - { running, portal, skipped, steps, message }
+   */
+  getState() {
+    return {
+      running: this.running,
+      portal: this.portal ? this.portal.name : null,
+      skipped: this.skipPageLoad,
+      ...this.statusPanel.getState()
+    };
+  }
+
+  /**
+   * Run auto-login again (status panel "Retry"), even after "Not on this page"
+   */
+  retryAutoLogin() {
+    if (this.running) return;
+
+    this.skipPageLoad = false;
+    this.startAutoLogin(this.profileId, { explicit: true });
+  }
+
+  /**
+   * Leave this page load alone (status panel "Not on this page")
+   */
+  skipThisPage() {
+    this.skipPageLoad = true;
+    if (!this.cancelAutoLogin('skipPage')) {
+      this.showNotification(CANCEL_REASONS.skipPage, 'info');
+    }
+    this.statusPanel.collapseSoon();
+  }
+
+  /**
+   * OCR and timing details of the current attempt, carried to the next page load
+   */
+  getAttemptDetails() {
+    const ocr = this.lastOcrResult;
+    return {
+      profileId: this.profileId,
+      flowStartedAt: this.flowStartedAt,
+      ocrText: ocr ? ocr.text : null,
+      confidence: ocr ? ocr.confidence : null,
+      captchaAttempts: ocr ? ocr.attempts : 0,
+      captchaSampleId: this.captchaSampleId
+    };
+  }
+
+  /**
+   * Record a login attempt that ended before or without submitting the form
+   */
+  async logLoginAttempt(outcome, message) {
+    const details = this.getAttemptDetails();
+    await this.logActivity('loginOutcome', {
+      outcome: outcome,
+      attempt: this.loginAttempt,
+      profileId: details.profileId,
+      message: message,
+      ocrText: details.ocrText,
+      confidence: details.confidence,
+      captchaAttempts: details.captchaAttempts,
+      durationMs: Date.now() - this.flowStartedAt
+    });
+  }
+
+
   /**
    * Fill username and password fields
    */
   async fillCredentials(username, password) {
-    // Common selectors for username field
-    const usernameSelectors = [
-      'input[name="username"]',
-      'input[name="user"]',
-      'input[name="userid"]',
-      'input[name="login"]',
-      'input[id*="username"]',
-      'input[id*="user"]',
-      'input[placeholder*="username"]',
-      'input[placeholder*="User"]',
-      'input[type="text"]'
-    ];
-
-    // Common selectors for password field
-    const passwordSelectors = [
-      'input[name="password"]',
-      'input[name="pass"]',
-      'input[name="pwd"]',
-      'input[id*="password"]',
-      'input[id*="pass"]',
-      'input[type="password"]'
-    ];
-
     // Find and fill username
-    const usernameField = this.findElement(usernameSelectors);
+    const usernameField = this.findElement(this.getSelectors('username'));
     if (usernameField) {
       this.setInputValue(usernameField, username);
-      console.log('✅ Username filled');
+      this.log.info('✅ Username filled');
     } else {
       throw new Error('Username field not found');
     }
 
     // Find and fill password
-    const passwordField = this.findElement(passwordSelectors);
+    const passwordField = this.findElement(this.getSelectors('password'));
     if (passwordField) {
       this.setInputValue(passwordField, password);
-      console.log('✅ Password filled');
+      this.log.info('✅ Password filled');
     } else {
       throw new Error('Password field not found');
     }
@@ -160,95 +810,281 @@ class SRMAutoLogin {
   }
 
   /**
-   * Solve captcha using OCR
+   * Solve captcha with the solver backends, refreshing the captcha and retrying while confidence is low
+   * @param {boolean} fresh - Load a new captcha even on the first attempt
    */
-  async solveCaptcha() {
+  async solveCaptcha(fresh = false) {
     try {
-      console.log('🔍 Getting captcha image from direct URL...');
-      
-      // Get captcha image from direct URL
-      const captchaImg = await this.getCaptchaImage();
-      if (!captchaImg) {
-        console.log('⚠️ No captcha image available, proceeding without captcha...');
-        return true;
-      }
+      await this.loadCaptchaSettings();
+      await this.loadPreprocessingSettings();
 
-      console.log('🖼️ Captcha image loaded, converting to base64...');
-      const imageData = await this.imageToBase64(captchaImg);
-      
-      console.log('🤖 Running OCR on captcha...');
-      const ocrResult = await this.performOCR(imageData);
-      
-      if (ocrResult.confidence < this.ocrConfidenceThreshold) {
-        console.log(`⚠️ OCR confidence too low: ${(ocrResult.confidence * 100).toFixed(1)}%`);
-        this.showNotification(`Captcha OCR confidence low (${(ocrResult.confidence * 100).toFixed(1)}%). Please solve manually.`, 'warning');
-        return false;
+      let best = null;
+
+      for (this.currentRetry = 1; this.currentRetry <= this.maxRetries; this.currentRetry++) {
+        const attempt = this.currentRetry;
+        const attemptLabel = `attempt ${attempt}/${this.maxRetries}`;
+        if (this.cancelToken && this.cancelToken.cancelled) return false;
+
+        this.log.info(`🔍 Getting captcha image (${attemptLabel})...`);
+        this.statusPanel.setStep('captcha', 'active', `${attempt}/${this.maxRetries}`);
+
+        // The first attempt may reuse the page's image; later ones always need a new captcha
+        const captchaImg = await this.retryOperation(() => this.getCaptchaImage(fresh || attempt > 1), 2);
+        if (!captchaImg) {
+          if (attempt === 1) {
+            this.log.info('⚠️ No captcha image available, proceeding without captcha...');
+            this.statusPanel.setStep('captcha', 'skipped', 'None on page');
+            this.statusPanel.setStep('ocr', 'skipped');
+            return true;
+          }
+          throw new Error('Could not load a new captcha image');
+        }
+
+        this.log.info('🖼️ Captcha image loaded, converting to base64...');
+        const captcha = await this.imageToBase64(captchaImg);
+        this.lastCaptchaImg = captchaImg;
+
+        this.statusPanel.setStep('captcha', 'done', `${attempt}/${this.maxRetries}`);
+
+        this.log.info(`🤖 Solving captcha (${attemptLabel})...`);
+        this.statusPanel.setStep('ocr', 'active', `${attempt}/${this.maxRetries}`);
+        this.statusPanel.setProgress(0);
+        const ocrResult = await this.requestSolution(captcha);
+
+        if (ocrResult.manual) {
+          // The solver chain reached "manual": show the current captcha and leave it to the user
+          this.syncPageCaptcha(captchaImg);
+          this.focusCaptchaField();
+          this.manualCaptcha = true;
+          this.statusPanel.setStep('ocr', 'skipped', 'Manual');
+          return false;
+        }
+
+        const sampleId = await this.collectCaptchaSample(ocrResult, attempt);
+        const confidenceText = `${(ocrResult.confidence * 100).toFixed(1)}%`;
+
+        if (!best || ocrResult.confidence > best.confidence) {
+          best = { ...ocrResult, attempt };
+        }
+        this.lastOcrResult = { text: ocrResult.text, confidence: ocrResult.confidence, attempts: attempt };
+        this.lastCaptchaGuess = ocrResult.text;
+
+        if (ocrResult.text && ocrResult.confidence >= this.ocrConfidenceThreshold) {
+          this.log.info(`✅ Captcha solved by ${ocrResult.backend}: ${ocrResult.text.length} character(s) (confidence: ${confidenceText}, ${attemptLabel})`);
+
+          // A fetched captcha replaces the one the server expects, so show it on the page too
+          this.syncPageCaptcha(captchaImg);
+          this.captchaSampleId = sampleId;
+          this.statusPanel.setStep('ocr', 'done', `${ocrResult.backend} ${confidenceText}`);
+          return this.fillCaptcha(ocrResult.text, attempt);
+        }
+
+        this.log.info(`⚠️ OCR confidence too low: ${confidenceText} (${attemptLabel})`);
+
+        if (attempt < this.maxRetries) {
+          this.showNotification(`Captcha confidence low (${confidenceText}), retrying with a new captcha (${attemptLabel})...`, 'warning');
+          await this.delay(this.captchaRetryDelay * Math.pow(2, attempt - 1));
+        }
       }
 
-      console.log(`✅ OCR successful: "${ocrResult.text}" (confidence: ${(ocrResult.confidence * 100).toFixed(1)}%)`);
-      
-      // Fill captcha field
-      const captchaField = this.findCaptchaField();
-      if (captchaField) {
-        this.setInputValue(captchaField, ocrResult.text);
-        console.log('✅ Captcha filled');
-        this.showNotification(`Captcha solved: ${ocrResult.text}`, 'success');
-        return true;
-      } else {
-        console.log('❌ Captcha input field not found');
-        this.showNotification('Captcha input field not found on page', 'error');
-        return false;
+      if (best) {
+        this.lastOcrResult = { text: best.text, confidence: best.confidence, attempts: this.maxRetries };
       }
 
+      this.statusPanel.setStep('ocr', 'failed', 'Low confidence');
+      const bestText = best ? `${(best.confidence * 100).toFixed(1)}% on attempt ${best.attempt}` : 'no result';
+      this.showNotification(`Captcha OCR confidence low after ${this.maxRetries} attempts (best ${bestText}). Please check the captcha.`, 'warning');
+      return false;
+
     } catch (error) {
-      console.error('❌ Captcha solving failed:', error);
+      this.log.error('❌ Captcha solving failed:', error);
+      this.statusPanel.setStep('ocr', 'failed');
       this.showNotification('Captcha solving failed: ' + error.message, 'error');
       return false;
     }
   }
 
+  /**
+   * Show the assisted captcha panel with the captcha the server expects and the latest guess
+   * @returns {Promise<boolean>} - Whether the user confirmed a captcha, now filled in
+   */
+  async assistCaptcha() {
+    if (!this.findCaptchaField()) {
+      return false;
+    }
+
+    try {
+      // Only the captcha fetched last is valid, so its guess is shown even when an earlier one was more confident
+      let image = this.lastCaptchaImg;
+      let guess = this.lastCaptchaGuess || '';
+      if (!image) {
+        ({ image, guess } = await this.loadAssistCaptcha());
+      }
+      this.syncPageCaptcha(image);
+
+      this.assist = new CaptchaAssist({
+        portalName: this.portal.name,
+        onRefresh: () => this.loadAssistCaptcha()
+      });
+      const text = await this.assist.start(image, guess);
+      this.assist = null;
+      if (!text) return false;
+      this.statusPanel.setStep('ocr', 'done', 'Confirmed by you');
+
+      // Collected with the confirmed text, so a successful login labels it correctly
+      this.captchaSampleId = await this.collectCaptchaSample({ text, confidence: null }, this.currentRetry);
+      this.lastOcrResult = { ...this.lastOcrResult, text: text };
+
+      const captchaField = this.findCaptchaField();
+      if (!captchaField) return false;
+      this.setInputValue(captchaField, text);
+      return true;
+    } catch (error) {
+      this.log.error('❌ Assisted captcha entry failed:', error);
+      this.assist = null;
+      return false;
+    }
+  }
+
+  /**
+   * Fetch a new captcha for the assist panel, show it on the page and get a guess for it
+   * @returns {Promise<Object>} - { image, guess }
+   */
+  async loadAssistCaptcha() {
+    const image = await this.retryOperation(() => this.getCaptchaImage(true), 2);
+    if (!image) {
+      throw new Error('Could not load a new captcha image');
+    }
+    this.lastCaptchaImg = image;
+    this.syncPageCaptcha(image);
+
+    let guess = '';
+    try {
+      const result = await this.requestSolution(await this.imageToBase64(image));
+      guess = result.manual ? '' : result.text;
+    } catch (error) {
+      this.log.info('⚠️ No guess for the new captcha:', error.message);
+    }
+    this.lastCaptchaGuess = guess;
+    return { image, guess };
+  }
+
+  /**
+   * Load captcha retry settings from the options page
+   */
+  async loadCaptchaSettings() {
+    const result = await ExtensionStorage.get(['captchaMaxAttempts', 'captchaRetryDelay', 'captchaCollectionEnabled']);
+    this.maxRetries = result.captchaMaxAttempts || 3;
+    this.captchaRetryDelay = result.captchaRetryDelay ?? 500;
+    this.collectCaptchas = !!result.captchaCollectionEnabled;
+  }
+
+  /**
+   * In collection mode, save the captcha (before preprocessing) with the OCR guess
+   * @returns {Promise<number|null>} - Sample id, labelled once the login outcome is known
+   */
+  async collectCaptchaSample(ocrResult, attempt) {
+    if (!this.collectCaptchas || !this.lastRawCaptcha) return null;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'collectCaptchaSample',
+        data: {
+          image: this.lastRawCaptcha,
+          ocrText: ocrResult.text,
+          confidence: ocrResult.confidence,
+          attempt: attempt,
+          portalId: this.portal.id
+        }
+      });
+      return response && response.success ? response.data.id : null;
+    } catch (error) {
+      this.log.error('Error collecting captcha sample:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fill the captcha input with the recognised text
+   */
+  fillCaptcha(text, attempt) {
+    const captchaField = this.findCaptchaField();
+    if (captchaField) {
+      this.setInputValue(captchaField, text);
+      this.log.info('✅ Captcha filled');
+      this.showNotification(`Captcha solved (attempt ${attempt}/${this.maxRetries})`, 'success');
+      return true;
+    }
+
+    this.log.info('❌ Captcha input field not found');
+    this.showNotification('Captcha input field not found on page', 'error');
+    return false;
+  }
+
   /**
    * Get captcha image from direct URL
+   * @param {boolean} fresh - Force a new captcha instead of a cached one
    */
-  async getCaptchaImage() {
+  async getCaptchaImage(fresh = false) {
     try {
-      console.log('🔗 Fetching captcha from direct URL...');
+      // A captcha image picked by the user is the one the server expects, so use it as is
+      if (!fresh && this.selectorOverrides.captchaImage) {
+        const pageImg = this.findCaptchaImageOnPage();
+        if (pageImg && pageImg.complete && pageImg.naturalWidth > 0) {
+          this.log.info('🎯 Using the picked captcha image');
+          return pageImg;
+        }
+      }
+
+      this.log.info('🔗 Fetching captcha from direct URL...');
       
       // Try method 1: Direct image loading
       try {
-        const img = await this.loadImageDirectly();
+        const img = await this.loadImageDirectly(fresh);
         return img;
       } catch (error) {
-        console.log('⚠️ Direct image loading failed, trying fetch method...');
+        this.log.info('⚠️ Direct image loading failed, trying fetch method...');
       }
       
       // Try method 2: Fetch as blob and create object URL
       try {
-        const img = await this.loadImageViaFetch();
+        const img = await this.loadImageViaFetch(fresh);
         return img;
       } catch (error) {
-        console.log('⚠️ Fetch method failed, trying page search as fallback...');
+        this.log.info('⚠️ Fetch method failed, trying page search as fallback...');
       }
       
-      // Try method 3: Fallback to finding image on page
+      // Try method 3: Fallback to finding image on page (clicking its refresh control for a new one)
+      if (fresh) {
+        return this.refreshPageCaptcha();
+      }
       return this.findCaptchaImageOnPage();
       
     } catch (error) {
-      console.error('❌ Error getting captcha image:', error);
+      this.log.error('❌ Error getting captcha image:', error);
       throw error;
     }
   }
 
+  /**
+   * Build the captcha endpoint URL, cache-busted when a new captcha is needed
+   */
+  getCaptchaUrl(fresh) {
+    const url = this.portal.captchaUrl;
+    if (!url) return null;
+    return fresh ? `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}` : url;
+  }
+
   /**
    * Load image directly with cross-origin settings
    */
-  async loadImageDirectly() {
+  async loadImageDirectly(fresh = false) {
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.crossOrigin = 'anonymous';
       
       img.onload = () => {
-        console.log('✅ Captcha image loaded via direct method');
+        this.log.info('✅ Captcha image loaded via direct method');
         resolve(img);
       };
       
@@ -256,17 +1092,28 @@ class SRMAutoLogin {
         reject(new Error('Direct image loading failed'));
       };
 
-      img.src = `https://student.srmap.edu.in/srmapstudentcorner/captchas`;
+      const url = this.getCaptchaUrl(fresh);
+      if (!url) {
+        reject(new Error('Portal has no captcha URL'));
+        return;
+      }
+      img.src = url;
     });
   }
 
   /**
    * Load image via fetch API
    */
-  async loadImageViaFetch() {
+  async loadImageViaFetch(fresh = false) {
     try {
-      const response = await fetch(`https://student.srmap.edu.in/srmapstudentcorner/captchas`, {
+      const url = this.getCaptchaUrl(fresh);
+      if (!url) {
+        throw new Error('Portal has no captcha URL');
+      }
+
+      const response = await fetch(url, {
         method: 'GET',
+        cache: 'no-store',
         credentials: 'include', // Include cookies for authentication
         headers: {
           'Accept': 'image/*',
@@ -283,7 +1130,7 @@ class SRMAutoLogin {
       return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
-          console.log('✅ Captcha image loaded via fetch method');
+          this.log.info('✅ Captcha image loaded via fetch method');
           // Clean up object URL after loading
           URL.revokeObjectURL(objectURL);
           resolve(img);
@@ -296,7 +1143,7 @@ class SRMAutoLogin {
       });
       
     } catch (error) {
-      console.error('Fetch method error:', error);
+      this.log.error('Fetch method error:', error);
       throw error;
     }
   }
@@ -305,43 +1152,81 @@ class SRMAutoLogin {
    * Fallback: Find captcha image on the page
    */
   findCaptchaImageOnPage() {
-    console.log('🔍 Falling back to searching for captcha on page...');
+    this.log.info('🔍 Falling back to searching for captcha on page...');
     
-    const captchaSelectors = [
-      'img[src*="captcha"]',
-      'img[src*="Captcha"]',
-      'img[src*="CAPTCHA"]',
-      'img[alt*="captcha"]',
-      'img[id*="captcha"]',
-      'img[class*="captcha"]',
-      'img[src*="code"]',
-      'img[src*="verify"]'
-    ];
+    return this.findElement(this.getSelectors('captchaImage'));
+  }
+
+  /**
+   * Click the page's captcha refresh control and wait for the new image
+   */
+  async refreshPageCaptcha() {
+    const pageImg = this.findCaptchaImageOnPage();
+    const refreshControl = this.findElement(this.getSelectors('captchaRefresh'));
+    if (!pageImg) {
+      return null;
+    }
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, 3000);
+      pageImg.addEventListener('load', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+
+      if (refreshControl) {
+        this.log.info('🔄 Clicking captcha refresh control...');
+        refreshControl.click();
+      } else if (this.getCaptchaUrl(true)) {
+        this.log.info('🔄 No refresh control found, reloading captcha image...');
+        pageImg.src = this.getCaptchaUrl(true);
+      } else {
+        this.log.info('⚠️ No way to refresh the captcha on this portal');
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+
+    return pageImg;
+  }
+
+  /**
+   * Show a captcha we fetched ourselves in place of the page's (now stale) image
+   */
+  syncPageCaptcha(captchaImg) {
+    const pageImg = this.findCaptchaImageOnPage();
+    if (!pageImg || pageImg === captchaImg) return;
 
-    return this.findElement(captchaSelectors);
+    // Copy pixels rather than the URL, which would make the server issue yet another captcha
+    const canvas = document.createElement('canvas');
+    canvas.width = captchaImg.naturalWidth || captchaImg.width;
+    canvas.height = captchaImg.naturalHeight || captchaImg.height;
+    canvas.getContext('2d').drawImage(captchaImg, 0, 0);
+    pageImg.src = canvas.toDataURL('image/png');
   }
 
   /**
    * Find captcha input field
    */
   findCaptchaField() {
-    const captchaInputSelectors = [
-      'input[name*="captcha"]',
-      'input[name*="Captcha"]',
-      'input[name*="CAPTCHA"]',
-      'input[id*="captcha"]',
-      'input[placeholder*="captcha"]',
-      'input[placeholder*="code"]',
-      'input[placeholder*="verification"]',
-      'input[name*="code"]',
-      'input[name*="verify"]'
-    ];
+    return this.findElement(this.getSelectors('captchaInput'));
+  }
 
-    return this.findElement(captchaInputSelectors);
+  /**
+   * Put the cursor in the captcha field for the user to type the captcha
+   */
+  focusCaptchaField() {
+    const captchaField = this.findCaptchaField();
+    if (captchaField) {
+      captchaField.value = '';
+      captchaField.focus();
+      captchaField.scrollIntoView({ block: 'center' });
+    }
   }
 
   /**
-   * Convert image to base64
+   * Convert image to base64 data URLs: the unprocessed image and one per preprocessing variant
+   * @returns {Promise<Object>} - { raw, images }
    */
   async imageToBase64(img) {
     return new Promise((resolve, reject) => {
@@ -365,50 +1250,74 @@ class SRMAutoLogin {
   }
 
   /**
-   * Draw image to canvas and get base64
+   * Load the enabled preprocessing steps from the options page settings
+   */
+  async loadPreprocessingSettings() {
+    const result = await ExtensionStorage.get(['captchaPreprocessing', 'ocrMultiPass']);
+    this.multiPass = result.ocrMultiPass !== false;
+
+    // Multi-pass OCR also reads lighter variants; the configured pipeline always comes first
+    const variants = this.multiPass
+      ? CaptchaPreprocessor.variants(result.captchaPreprocessing)
+      : [result.captchaPreprocessing];
+    this.preprocessors = variants.map(steps => new CaptchaPreprocessor(steps));
+  }
+
+  /**
+   * Draw image to canvas, run each preprocessing variant and get base64
    */
   drawImageToCanvas(canvas, ctx, img, resolve) {
     canvas.width = img.naturalWidth || img.width;
     canvas.height = img.naturalHeight || img.height;
     
     ctx.drawImage(img, 0, 0);
-    const dataURL = canvas.toDataURL('image/png');
-    resolve(dataURL);
+
+    // The HTTP solver takes the unprocessed image; collection mode keeps it so the benchmark can replay preprocessing
+    const raw = canvas.toDataURL('image/png');
+    this.lastRawCaptcha = this.collectCaptchas ? raw : null;
+
+    const source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const dataURLs = (this.preprocessors || [new CaptchaPreprocessor()]).map(preprocessor => {
+      const processed = preprocessor.process(source);
+      canvas.width = processed.width;
+      canvas.height = processed.height;
+      ctx.putImageData(new ImageData(processed.data, processed.width, processed.height), 0, 0);
+      return canvas.toDataURL('image/png');
+    });
+    this.log.info(`🧹 Captcha preprocessed (${dataURLs.length} variant(s))`);
+
+    resolve({ raw, images: dataURLs });
   }
 
   /**
-   * Perform OCR using Tesseract.js
+   * Ask the background service worker to run the captcha through the configured solver backends
+   * @param {Object} captcha - { raw, images } from imageToBase64
+   * @returns {Promise<Object>} - { text, confidence, backend, tried } or { manual: true }
    */
-  async performOCR(imageData) {
+  async requestSolution(captcha) {
     try {
-      // Check if Tesseract is available
-      if (typeof Tesseract === 'undefined') {
-        throw new Error('Tesseract.js not loaded');
-      }
+      this.log.info('🔄 Sending captcha to the solvers...');
 
-      console.log('🔄 Initializing Tesseract OCR...');
-      
-      const result = await Tesseract.recognize(imageData, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        },
-        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
-        tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE
+      const response = await chrome.runtime.sendMessage({
+        action: 'solveCaptcha',
+        data: {
+          raw: captcha.raw,
+          images: captcha.images,
+          format: this.portal.captchaFormat || {},
+          multiPass: this.multiPass,
+          minConfidence: this.ocrConfidenceThreshold
+        }
       });
 
-      const text = result.data.text.trim().replace(/[^a-zA-Z0-9]/g, '');
-      const confidence = result.data.confidence / 100;
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from background worker');
+      }
 
-      return {
-        text: text,
-        confidence: confidence
-      };
+      return response.data;
 
     } catch (error) {
-      console.error('OCR Error:', error);
-      throw new Error('OCR processing failed: ' + error.message);
+      this.log.error('Captcha solver error:', error);
+      throw new Error('Captcha solving failed: ' + error.message);
     }
   }
 
@@ -416,24 +1325,10 @@ class SRMAutoLogin {
    * Submit the login form
    */
   async submitLogin() {
-    // Look for submit button
-    const submitSelectors = [
-      'input[type="submit"]',
-      'button[type="submit"]',
-      'input[value*="Login"]',
-      'input[value*="Sign"]',
-      'button:contains("Login")',
-      'button:contains("Sign")',
-      '.login-btn',
-      '#login-btn',
-      'form button',
-      'form input[type="button"]'
-    ];
-
-    const submitButton = this.findElement(submitSelectors);
+    const submitButton = this.findElement(this.getSelectors('submit'));
     
     if (submitButton) {
-      console.log('🎯 Found submit button, clicking...');
+      this.log.info('🎯 Found submit button, clicking...');
       submitButton.click();
       
       // Also try form submission as backup
@@ -448,7 +1343,7 @@ class SRMAutoLogin {
       // Try to find and submit form directly
       const forms = document.querySelectorAll('form');
       if (forms.length > 0) {
-        console.log('📋 No submit button found, submitting form directly...');
+        this.log.info('📋 No submit button found, submitting form directly...');
         forms[0].submit();
         this.showNotification('Login form submitted!', 'success');
       } else {
@@ -462,7 +1357,7 @@ class SRMAutoLogin {
    */
   findElement(selectors) {
     for (const selector of selectors) {
-      const element = document.querySelector(selector);
+      const element = this.queryAll(selector)[0];
       if (element) {
         return element;
       }
@@ -470,6 +1365,18 @@ class SRMAutoLogin {
     return null;
   }
 
+  /**
+   * querySelectorAll that skips invalid selectors from user portal definitions
+   */
+  queryAll(selector) {
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      this.log.warn(`⚠️ Invalid selector skipped: ${selector}`);
+      return [];
+    }
+  }
+
   /**
    * Set input value and trigger events
    */
@@ -490,41 +1397,11 @@ class SRMAutoLogin {
   }
 
   /**
-   * Show notification to user
+   * Show a message to the user in the status panel, replacing the previous one
    */
   showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `srm-auto-login-notification ${type}`;
-    notification.textContent = message;
-    
-    // Style the notification
-    Object.assign(notification.style, {
-      position: 'fixed',
-      top: '20px',
-      right: '20px',
-      backgroundColor: type === 'error' ? '#ff4444' : type === 'warning' ? '#ffaa00' : '#4CAF50',
-      color: 'white',
-      padding: '12px 20px',
-      borderRadius: '6px',
-      zIndex: '10000',
-      fontSize: '14px',
-      fontFamily: 'Arial, sans-serif',
-      boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
-      maxWidth: '300px',
-      wordWrap: 'break-word'
-    });
-    
-    document.body.appendChild(notification);
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
-    }, 5000);
-    
-    console.log(`📢 Notification (${type}): ${message}`);
+    this.statusPanel.setMessage(message, type);
+    this.log.info(`📢 Notification (${type}): ${message}`);
   }
 
   /**
@@ -542,7 +1419,7 @@ class SRMAutoLogin {
       try {
         return await operation();
       } catch (error) {
-        console.log(`⚠️ Attempt ${i + 1} failed:`, error.message);
+        this.log.info(`⚠️ Attempt ${i + 1} failed:`, error.message);
         if (i === maxRetries - 1) throw error;
         await this.delay(1000 * (i + 1)); // Exponential backoff
       }
@@ -554,7 +1431,7 @@ class SRMAutoLogin {
 (function() {
   // Prevent multiple instances
   if (window.srmAutoLoginInstance) {
-    console.log('⚠️ SRM Auto Login already running');
+    window.srmAutoLoginInstance.log.info('⚠️ SRM Auto Login already running');
     return;
   }
   
@@ -563,22 +1440,80 @@ class SRMAutoLogin {
 
 // Listen for messages from popup/background scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('📨 Content script received message:', message);
+  const log = new Logger('content');
+  log.debug('📨 Content script received message:', message);
   
   try {
     if (message.action === 'triggerAutoLogin') {
       // Trigger auto-login manually
       if (window.srmAutoLoginInstance) {
-        window.srmAutoLoginInstance.startAutoLogin();
+        // An explicit trigger overrides "Not on this page"
+        window.srmAutoLoginInstance.skipPageLoad = false;
+        window.srmAutoLoginInstance.startAutoLogin(message.profileId || null, { explicit: true });
         sendResponse({ success: true, message: 'Auto-login triggered' });
       } else {
         sendResponse({ success: false, error: 'Auto-login instance not found' });
       }
+    } else if (message.action === 'fillCredentialsOnly') {
+      if (window.srmAutoLoginInstance) {
+        window.srmAutoLoginInstance.fillCredentialsOnly();
+        sendResponse({ success: true, message: 'Filling credentials' });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
+    } else if (message.action === 'resolveCaptcha') {
+      if (window.srmAutoLoginInstance) {
+        window.srmAutoLoginInstance.resolveCaptcha();
+        sendResponse({ success: true, message: 'Solving a new captcha' });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
+    } else if (message.action === 'contextMenuAction') {
+      if (window.srmAutoLoginInstance) {
+        window.srmAutoLoginInstance.handleContextMenuAction(message.data.item)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => {
+            log.error('❌ Context menu action failed:', error);
+            window.srmAutoLoginInstance.showNotification(error.message, 'error');
+            sendResponse({ success: false, error: error.message });
+          });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
+    } else if (message.action === 'ocrProgress') {
+      // Relayed from the OCR worker by the background service worker
+      if (window.srmAutoLoginInstance) {
+        window.srmAutoLoginInstance.statusPanel.setProgress(message.data.progress);
+      }
+      sendResponse({ success: true });
+    } else if (message.action === 'getAutoLoginState') {
+      if (window.srmAutoLoginInstance) {
+        sendResponse({ success: true, data: window.srmAutoLoginInstance.getState() });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
+    } else if (message.action === 'cancelAutoLogin') {
+      if (window.srmAutoLoginInstance) {
+        const cancelled = window.srmAutoLoginInstance.cancelAutoLogin('popup');
+        sendResponse({ success: true, data: { cancelled } });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
+    } else if (message.action === 'startFieldPicker') {
+      // Respond right away: the popup closes as soon as the user clicks the page
+      if (window.srmAutoLoginInstance) {
+        window.srmAutoLoginInstance.pickFields().catch(error => {
+          log.error('❌ Field picker failed:', error);
+        });
+        sendResponse({ success: true, message: 'Field picker started' });
+      } else {
+        sendResponse({ success: false, error: 'Auto-login instance not found' });
+      }
     } else {
       sendResponse({ success: false, error: 'Unknown action: ' + message.action });
     }
   } catch (error) {
-    console.error('❌ Error handling message:', error);
+    log.error('❌ Error handling message:', error);
     sendResponse({ success: false, error: error.message });
   }
   
@@ -1,10 +1,15 @@
 /**
  * Crypto utilities for secure credential storage
- * Uses Web Crypto API with AES-GCM encryption
+ * Uses Web Crypto API with AES-GCM encryption. The profile methods run in the
+ * background worker only; pages and content scripts ask it with messages
  */
 
+// Known plaintext used to check a master password without storing it
+const VAULT_VERIFIER_TEXT = 'srm-auto-login-vault';
+
 class CryptoHelper {
   constructor() {
+    this.log = new Logger('crypto');
     this.algorithm = 'AES-GCM';
     this.keyLength = 256;
   }
@@ -13,9 +18,10 @@ class CryptoHelper {
    * Generate a cryptographic key from a password
    * @param {string} password - Master password for encryption
    * @param {Uint8Array} salt - Salt for key derivation
+   * @param {boolean} extractable - Whether the key can be exported (default false)
    * @returns {Promise<CryptoKey>} - Derived key
    */
-  async deriveKey(password, salt) {
+  async deriveKey(password, salt, extractable = false) {
     const encoder = new TextEncoder();
     const keyMaterial = await crypto.subtle.importKey(
       'raw',
@@ -34,7 +40,7 @@ class CryptoHelper {
       },
       keyMaterial,
       { name: this.algorithm, length: this.keyLength },
-      false,
+      extractable,
       ['encrypt', 'decrypt']
     );
   }
@@ -99,73 +105,318 @@ class CryptoHelper {
   }
 
   /**
-   * Store encrypted credentials in chrome storage
-   * @param {string} username - Username to encrypt and store
-   * @param {string} password - Password to encrypt and store
+   * Encrypt text with an already derived key (master password mode)
+   * @param {string} text - Text to encrypt
+   * @param {CryptoKey} key - Vault key from deriveVaultKey/importVaultKey
+   * @returns {Promise<Object>} - Encrypted data with IV
+   */
+  async encryptWithKey(text, key) {
+    const encoder = new TextEncoder();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    const encrypted = await crypto.subtle.encrypt(
+      { name: this.algorithm, iv: iv },
+      key,
+      encoder.encode(text)
+    );
+
+    return {
+      encrypted: Array.from(new Uint8Array(encrypted)),
+      iv: Array.from(iv)
+    };
+  }
+
+  /**
+   * Decrypt data that was encrypted with encryptWithKey
+   * @param {Object} encryptedData - Object containing encrypted and iv
+   * @param {CryptoKey} key - Vault key
+   * @returns {Promise<string>} - Decrypted text
+   */
+  async decryptWithKey(encryptedData, key) {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: this.algorithm, iv: new Uint8Array(encryptedData.iv) },
+      key,
+      new Uint8Array(encryptedData.encrypted)
+    );
+
+    return new TextDecoder().decode(decrypted);
+  }
+
+  /**
+   * Derive the vault key for a user-chosen master password
+   * The key is extractable so the background worker can keep it in session storage
+   * @param {string} masterPassword - Master password chosen by the user
+   * @param {Array<number>} salt - Vault salt
+   * @returns {Promise<CryptoKey>} - Vault key
+   */
+  async deriveVaultKey(masterPassword, salt) {
+    return this.deriveKey(masterPassword, new Uint8Array(salt), true);
+  }
+
+  /**
+   * Create a new vault record for a master password
+   * @param {string} masterPassword - Master password chosen by the user
+   * @returns {Promise<Object>} - { vault: { salt, verifier }, key }
+   */
+  async createVault(masterPassword) {
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await this.deriveVaultKey(masterPassword, salt);
+    const verifier = await this.encryptWithKey(VAULT_VERIFIER_TEXT, key);
+
+    return { vault: { salt, verifier }, key };
+  }
+
+  /**
+   * Unlock a vault record with the master password
+   * @param {string} masterPassword - Master password entered by the user
+   * @param {Object} vault - Vault record from storage
+   * @returns {Promise<CryptoKey>} - Vault key
+   * @throws {Error} - If the master password is incorrect
+   */
+  async unlockVault(masterPassword, vault) {
+    const key = await this.deriveVaultKey(masterPassword, vault.salt);
+
+    try {
+      const text = await this.decryptWithKey(vault.verifier, key);
+      if (text !== VAULT_VERIFIER_TEXT) {
+        throw new Error('Verifier mismatch');
+      }
+    } catch (error) {
+      throw new Error('Incorrect master password');
+    }
+
+    return key;
+  }
+
+  /**
+   * Export a vault key to a plain array (for chrome.storage.session)
+   * @param {CryptoKey} key - Vault key
+   * @returns {Promise<Array<number>>} - Raw key bytes
+   */
+  async exportVaultKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    return Array.from(new Uint8Array(raw));
+  }
+
+  /**
+   * Import a vault key previously exported with exportVaultKey
+   * @param {Array<number>} raw - Raw key bytes
+   * @returns {Promise<CryptoKey>} - Vault key
+   */
+  async importVaultKey(raw) {
+    return crypto.subtle.importKey(
+      'raw',
+      new Uint8Array(raw),
+      { name: this.algorithm, length: this.keyLength },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt a value in the current mode (vault key or built-in key)
+   * @param {string} text - Text to encrypt
+   * @param {CryptoKey} vaultKey - Vault key when master password mode is enabled
+   */
+  async encryptValue(text, vaultKey = null) {
+    return vaultKey ? this.encryptWithKey(text, vaultKey) : this.encrypt(text);
+  }
+
+  /**
+   * Decrypt a value in the current mode (vault key or built-in key)
+   * @param {Object} encryptedData - Encrypted value
+   * @param {CryptoKey} vaultKey - Vault key when master password mode is enabled
+   */
+  async decryptValue(encryptedData, vaultKey = null) {
+    return vaultKey ? this.decryptWithKey(encryptedData, vaultKey) : this.decrypt(encryptedData);
+  }
+
+  /**
+   * Load encrypted profiles (older single-pair layouts are migrated by ExtensionStorage on update)
+   * @returns {Promise<Object>} - { profiles, defaultProfileId }
+   */
+  async loadProfiles() {
+    const result = await ExtensionStorage.getProfiles();
+    const profiles = result.credentialProfiles;
+    const defaultProfileId = profiles.some(profile => profile.id === result.defaultProfileId)
+      ? result.defaultProfileId
+      : (profiles[0] ? profiles[0].id : null);
+
+    return { profiles, defaultProfileId };
+  }
+
+  /**
+   * Save encrypted profiles and keep the credentialsStored flag in sync
+   */
+  async saveProfiles(profiles, defaultProfileId) {
+    await ExtensionStorage.saveProfiles(profiles, defaultProfileId);
+  }
+
+  /**
+   * List profiles without decrypting them
+   * @returns {Promise<Object>} - { profiles: [{ id, name, isDefault }], defaultProfileId }
+   */
+  async getProfiles() {
+    const { profiles, defaultProfileId } = await this.loadProfiles();
+
+    return {
+      profiles: profiles.map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        isDefault: profile.id === defaultProfileId
+      })),
+      defaultProfileId
+    };
+  }
+
+  /**
+   * Create or update a credential profile
+   * @param {Object} profile - { id (omit to create), name, username, password }
+   * @param {CryptoKey} vaultKey - Vault key when master password mode is enabled
+   * @returns {Promise<string|null>} - Profile id, or null on failure
+   */
+  async saveProfile(profile, vaultKey = null) {
+    try {
+      const { profiles, defaultProfileId } = await this.loadProfiles();
+      const id = profile.id || crypto.randomUUID();
+
+      const stored = {
+        id: id,
+        name: profile.name || 'Default',
+        encryptedUsername: await this.encryptValue(profile.username, vaultKey),
+        encryptedPassword: await this.encryptValue(profile.password, vaultKey)
+      };
+
+      const index = profiles.findIndex(existing => existing.id === id);
+      if (index >= 0) {
+        profiles[index] = stored;
+      } else {
+        profiles.push(stored);
+      }
+
+      await this.saveProfiles(profiles, defaultProfileId || id);
+      return id;
+    } catch (error) {
+      this.log.error('Error storing credentials:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a credential profile
+   * @param {string} profileId - Profile to delete
    * @returns {Promise<boolean>} - Success status
    */
-  async storeCredentials(username, password) {
+  async deleteProfile(profileId) {
     try {
-      const encryptedUsername = await this.encrypt(username);
-      const encryptedPassword = await this.encrypt(password);
-      
-      await chrome.storage.local.set({
-        encryptedUsername: encryptedUsername,
-        encryptedPassword: encryptedPassword,
-        credentialsStored: true
-      });
-      
+      const { profiles, defaultProfileId } = await this.loadProfiles();
+      const remaining = profiles.filter(profile => profile.id !== profileId);
+      const newDefault = defaultProfileId === profileId
+        ? (remaining[0] ? remaining[0].id : null)
+        : defaultProfileId;
+
+      await this.saveProfiles(remaining, newDefault);
       return true;
     } catch (error) {
-      console.error('Error storing credentials:', error);
+      this.log.error('Error deleting profile:', error);
       return false;
     }
   }
 
+  /**
+   * Make a profile the one used for automatic logins
+   * @param {string} profileId - Profile to use by default
+   */
+  async setDefaultProfile(profileId) {
+    await ExtensionStorage.set({ defaultProfileId: profileId });
+  }
+
+  /**
+   * Store encrypted credentials in the default profile
+   * @param {string} username - Username to encrypt and store
+   * @param {string} password - Password to encrypt and store
+   * @param {CryptoKey} vaultKey - Vault key when master password mode is enabled
+   * @returns {Promise<boolean>} - Success status
+   */
+  async storeCredentials(username, password, vaultKey = null) {
+    const { profiles, defaultProfileId } = await this.loadProfiles();
+    const current = profiles.find(profile => profile.id === defaultProfileId);
+
+    const id = await this.saveProfile({
+      id: defaultProfileId,
+      name: current ? current.name : 'Default',
+      username,
+      password
+    }, vaultKey);
+
+    return id !== null;
+  }
+
   /**
    * Retrieve and decrypt credentials from chrome storage
-   * @returns {Promise<Object>} - Object containing username and password
+   * @param {CryptoKey} vaultKey - Vault key when master password mode is enabled
+   * @param {string} profileId - Profile to read (defaults to the default profile)
+   * @returns {Promise<Object>} - Object containing username, password, profileId and profileName
    */
-  async getCredentials() {
+  async getCredentials(vaultKey = null, profileId = null) {
     try {
-      const result = await chrome.storage.local.get([
-        'encryptedUsername',
-        'encryptedPassword',
-        'credentialsStored'
-      ]);
+      const { profiles, defaultProfileId } = await this.loadProfiles();
+      const profile = profiles.find(entry => entry.id === (profileId || defaultProfileId));
       
-      if (!result.credentialsStored) {
+      if (!profile) {
         return { username: null, password: null };
       }
       
-      const username = await this.decrypt(result.encryptedUsername);
-      const password = await this.decrypt(result.encryptedPassword);
+      const username = await this.decryptValue(profile.encryptedUsername, vaultKey);
+      const password = await this.decryptValue(profile.encryptedPassword, vaultKey);
       
-      return { username, password };
+      return { username, password, profileId: profile.id, profileName: profile.name };
     } catch (error) {
-      console.error('Error retrieving credentials:', error);
+      this.log.error('Error retrieving credentials:', error);
       return { username: null, password: null };
     }
   }
 
   /**
-   * Clear stored credentials
+   * Re-encrypt every profile, e.g. when the master password changes
+   * @param {CryptoKey} fromKey - Current vault key (null for the built-in key)
+   * @param {CryptoKey} toKey - New vault key (null for the built-in key)
+   */
+  async reencryptProfiles(fromKey, toKey) {
+    const { profiles, defaultProfileId } = await this.loadProfiles();
+    const reencrypted = [];
+
+    for (const profile of profiles) {
+      const username = await this.decryptValue(profile.encryptedUsername, fromKey);
+      const password = await this.decryptValue(profile.encryptedPassword, fromKey);
+
+      reencrypted.push({
+        id: profile.id,
+        name: profile.name,
+        encryptedUsername: await this.encryptValue(username, toKey),
+        encryptedPassword: await this.encryptValue(password, toKey)
+      });
+    }
+
+    await this.saveProfiles(reencrypted, defaultProfileId);
+  }
+
+  /**
+   * Clear all stored credential profiles
    * @returns {Promise<boolean>} - Success status
    */
   async clearCredentials() {
     try {
-      await chrome.storage.local.remove([
-        'encryptedUsername',
-        'encryptedPassword',
-        'credentialsStored'
-      ]);
+      await ExtensionStorage.clearProfiles();
       return true;
     } catch (error) {
-      console.error('Error clearing credentials:', error);
+      this.log.error('Error clearing credentials:', error);
       return false;
     }
   }
 }
 
-// Make CryptoHelper available globally
-window.CryptoHelper = CryptoHelper;
+// Make CryptoHelper available globally (window in pages, self in the service worker)
+if (typeof window !== 'undefined') {
+  window.CryptoHelper = CryptoHelper;
+}
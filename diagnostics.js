@@ -0,0 +1,216 @@
+/**
+ * Diagnostics panel for the options page
+ * Shows the debug log the background worker keeps for logger.js, filtered by
+ * level, scope and text, and sets the level that is recorded
+ */
+
+class DiagnosticsPanel {
+  constructor() {
+    this.log = new Logger('options');
+    this.entries = [];
+    this.initializeEventListeners();
+    this.loadLevel();
+    this.loadLogs();
+  }
+
+  /**
+   * Initialize level, filter, button and storage listeners
+   */
+  initializeEventListeners() {
+    document.getElementById('logLevel').addEventListener('change', (e) => {
+      this.saveLevel(e.target.value);
+    });
+
+    ['logLevelFilter', 'logScopeFilter', 'logSearchFilter'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        this.renderTable();
+      });
+    });
+
+    document.getElementById('refreshLogsBtn').addEventListener('click', () => {
+      this.loadLogs();
+    });
+
+    document.getElementById('exportLogsBtn').addEventListener('click', () => {
+      this.exportJson();
+    });
+
+    document.getElementById('clearLogsBtn').addEventListener('click', () => {
+      this.clearLogs();
+    });
+
+    // Refresh when the background worker stores new entries while the page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.debugLog) {
+        this.loadLogs();
+      }
+    });
+  }
+
+  /**
+   * Show the recorded level
+   */
+  async loadLevel() {
+    try {
+      const { logLevel } = await ExtensionStorage.get(['logLevel']);
+      document.getElementById('logLevel').value = logLevel;
+    } catch (error) {
+      this.log.error('Error loading log level:', error);
+    }
+  }
+
+  /**
+   * Save the recorded level; every part of the extension picks it up
+   * @param {string} level - One of LOG_LEVELS
+   */
+  async saveLevel(level) {
+    try {
+      await ExtensionStorage.set({ logLevel: level });
+      this.showStatus(`Recording ${level} entries and above`, 'success');
+    } catch (error) {
+      this.log.error('Error saving log level:', error);
+      this.showStatus('❌ Could not save the log level', 'error');
+    }
+  }
+
+  /**
+   * Load the ring buffer from the background worker (it holds entries not yet stored) and render it
+   */
+  async loadLogs() {
+    try {
+      const { entries } = await window.optionsManager.request('getLogs');
+      this.entries = entries.slice().reverse();
+      this.renderScopes();
+      this.renderTable();
+    } catch (error) {
+      this.log.error('Error loading the debug log:', error);
+    }
+  }
+
+  /**
+   * Offer every scope that has entries in the scope filter, keeping the selection
+   */
+  renderScopes() {
+    const select = document.getElementById('logScopeFilter');
+    const selected = select.value;
+    const scopes = Array.from(new Set(this.entries.map(entry => entry.scope))).sort();
+
+    select.innerHTML = '';
+    select.appendChild(new Option('All scopes', ''));
+    scopes.forEach(scope => select.appendChild(new Option(scope, scope)));
+    select.value = scopes.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Render the entries using the current filters, newest first
+   */
+  renderTable() {
+    const filtered = this.getFilteredEntries();
+    const tbody = document.getElementById('logTableBody');
+    tbody.innerHTML = '';
+
+    filtered.forEach(entry => {
+      const row = this.createRow([
+        new Date(entry.at).toLocaleString(),
+        entry.level,
+        entry.scope,
+        entry.message,
+        DiagnosticsPanel.formatDetails(entry.details)
+      ]);
+      if (entry.level === 'warn' || entry.level === 'error') {
+        row.children[1].className = `log-${entry.level}`;
+      }
+      row.children[4].className = 'log-details';
+      tbody.appendChild(row);
+    });
+
+    document.getElementById('logEmpty').style.display = filtered.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Apply the level, scope and text filters
+   */
+  getFilteredEntries() {
+    const minLevel = LOG_LEVELS.indexOf(document.getElementById('logLevelFilter').value);
+    const scope = document.getElementById('logScopeFilter').value;
+    const search = document.getElementById('logSearchFilter').value.trim().toLowerCase();
+
+    return this.entries.filter(entry => {
+      if (LOG_LEVELS.indexOf(entry.level) < minLevel) return false;
+      if (scope && entry.scope !== scope) return false;
+
+      if (search) {
+        const haystack = `${entry.message} ${DiagnosticsPanel.formatDetails(entry.details)}`.toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Create a table row from cell values (as text, never HTML)
+   */
+  createRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  /**
+   * Export the filtered entries as JSON, oldest first like the stored log
+   */
+  exportJson() {
+    const content = JSON.stringify(this.getFilteredEntries().slice().reverse(), null, 2);
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `srm-auto-login-log-${HistoryDashboard.dayKey(Date.now())}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Remove every entry from the debug log
+   */
+  async clearLogs() {
+    if (!confirm('Clear the debug log?')) return;
+
+    try {
+      await window.optionsManager.request('clearLogs');
+      this.entries = [];
+      this.renderScopes();
+      this.renderTable();
+      this.showStatus('Debug log cleared', 'success');
+    } catch (error) {
+      this.log.error('Error clearing the debug log:', error);
+      this.showStatus('❌ Could not clear the debug log', 'error');
+    }
+  }
+
+  /**
+   * Show a status message using the options page status area
+   */
+  showStatus(message, type) {
+    if (window.optionsManager) {
+      window.optionsManager.showStatus(message, type);
+    }
+  }
+
+  /**
+   * Details of an entry as one line of text
+   * @param {Array} details - Serialized details (strings or JSON values)
+   */
+  static formatDetails(details) {
+    return (details || []).map(detail => (typeof detail === 'string' ? detail : JSON.stringify(detail))).join(' ');
+  }
+}
+
+// Initialize diagnostics panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.diagnosticsPanel = new DiagnosticsPanel();
+});
@@ -0,0 +1,341 @@
+/**
+ * Login history dashboard for the options page
+ * Reads login attempts from the background activity log and renders
+ * statistics, charts, a filterable table and CSV/JSON export
+ */
+
+// Outcomes shown in the table, with their display labels
+const OUTCOME_LABELS = {
+  success: 'Success',
+  wrong_captcha: 'Wrong captcha',
+  wrong_password: 'Wrong password',
+  account_locked: 'Account locked',
+  server_error: 'Server error',
+  captcha_failed: 'Captcha not solved',
+  captcha_manual: 'Captcha left to user',
+  cancelled: 'Cancelled',
+  fill_only: 'Filled, not submitted',
+  error: 'Error',
+  unknown: 'Unknown'
+};
+
+class HistoryDashboard {
+  constructor() {
+    this.log = new Logger('options');
+    this.entries = [];
+    this.initializeEventListeners();
+    this.loadHistory();
+  }
+
+  /**
+   * Initialize filter, export and storage listeners
+   */
+  initializeEventListeners() {
+    ['outcomeFilter', 'fromDateFilter', 'toDateFilter', 'searchFilter'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        this.renderTable();
+      });
+    });
+
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+      this.exportCsv();
+    });
+
+    document.getElementById('exportJsonBtn').addEventListener('click', () => {
+      this.exportJson();
+    });
+
+    // Refresh when a new attempt is logged while the page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.activityLog) {
+        this.loadHistory();
+      }
+    });
+  }
+
+  /**
+   * Load login attempts from the activity log and render everything
+   */
+  async loadHistory() {
+    try {
+      const activityLog = await ExtensionStorage.getActivityLog();
+      this.entries = activityLog
+        .filter(entry => entry.action === 'loginOutcome' && entry.details)
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+      this.renderSummary();
+      this.renderDaily();
+      this.renderTable();
+    } catch (error) {
+      this.log.error('Error loading login history:', error);
+    }
+  }
+
+  /**
+   * Render the summary cards
+   */
+  renderSummary() {
+    const stats = HistoryDashboard.summarize(this.entries);
+
+    document.getElementById('statTotal').textContent = stats.total;
+    document.getElementById('statSuccessRate').textContent = HistoryDashboard.formatPercent(stats.successRate);
+    document.getElementById('statAvgTime').textContent = HistoryDashboard.formatDuration(stats.avgDurationMs);
+    document.getElementById('statAvgConfidence').textContent = HistoryDashboard.formatPercent(stats.avgConfidence);
+  }
+
+  /**
+   * Render the per-day charts and table
+   */
+  renderDaily() {
+    // Oldest day first for the charts
+    const days = HistoryDashboard.groupByDay(this.entries).reverse();
+
+    this.drawBarChart(
+      document.getElementById('successRateChart'),
+      days.map(day => ({ label: day.day.slice(5), value: day.successRate === null ? 0 : day.successRate * 100 })),
+      value => `${Math.round(value)}%`,
+      '#27ae60',
+      100
+    );
+
+    this.drawBarChart(
+      document.getElementById('avgTimeChart'),
+      days.map(day => ({ label: day.day.slice(5), value: day.avgDurationMs === null ? 0 : day.avgDurationMs / 1000 })),
+      value => `${value.toFixed(1)}s`,
+      '#3498db'
+    );
+
+    const tbody = document.getElementById('dailyTableBody');
+    tbody.innerHTML = '';
+    days.slice().reverse().forEach(day => {
+      tbody.appendChild(this.createRow([
+        day.day,
+        day.total,
+        day.successes,
+        HistoryDashboard.formatPercent(day.successRate),
+        HistoryDashboard.formatDuration(day.avgDurationMs)
+      ]));
+    });
+  }
+
+  /**
+   * Render the attempts table using the current filters
+   */
+  renderTable() {
+    const filtered = this.getFilteredEntries();
+    const tbody = document.getElementById('historyTableBody');
+    tbody.innerHTML = '';
+
+    filtered.forEach(entry => {
+      const details = entry.details;
+      const row = this.createRow([
+        new Date(entry.timestamp).toLocaleString(),
+        OUTCOME_LABELS[details.outcome] || details.outcome,
+        details.attempt || '',
+        details.ocrText || '',
+        HistoryDashboard.formatPercent(details.confidence),
+        HistoryDashboard.formatDuration(details.durationMs),
+        details.message || ''
+      ]);
+      row.children[1].className = details.outcome === 'success' ? 'outcome-success' : 'outcome-failure';
+      tbody.appendChild(row);
+    });
+
+    document.getElementById('historyEmpty').style.display = filtered.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Apply the outcome, date and text filters
+   */
+  getFilteredEntries() {
+    const outcome = document.getElementById('outcomeFilter').value;
+    const fromDate = document.getElementById('fromDateFilter').value;
+    const toDate = document.getElementById('toDateFilter').value;
+    const search = document.getElementById('searchFilter').value.trim().toLowerCase();
+
+    return this.entries.filter(entry => {
+      const details = entry.details;
+      const day = HistoryDashboard.dayKey(entry.timestamp);
+
+      if (outcome && details.outcome !== outcome) return false;
+      if (fromDate && day < fromDate) return false;
+      if (toDate && day > toDate) return false;
+
+      if (search) {
+        const haystack = `${details.ocrText || ''} ${details.message || ''}`.toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Create a table row from cell values (as text, never HTML)
+   */
+  createRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  /**
+   * Draw a simple labelled bar chart on a canvas
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Array<Object>} bars - { label, value } per bar
+   * @param {Function} formatValue - Formats a value for the bar label
+   * @param {string} color - Bar colour
+   * @param {number} maxValue - Fixed top of the scale (defaults to the largest value)
+   */
+  drawBarChart(canvas, bars, formatValue, color, maxValue = null) {
+    const ctx = canvas.getContext('2d');
+    const padding = 30;
+    const chartHeight = canvas.height - padding * 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px Segoe UI, sans-serif';
+    ctx.textAlign = 'center';
+
+    if (bars.length === 0) {
+      ctx.fillStyle = '#7f8c8d';
+      ctx.fillText('No data yet', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    const top = maxValue || Math.max(...bars.map(bar => bar.value), 1);
+    const slot = (canvas.width - padding * 2) / bars.length;
+    const barWidth = Math.min(40, slot * 0.7);
+
+    bars.forEach((bar, i) => {
+      const x = padding + slot * i + (slot - barWidth) / 2;
+      const height = (bar.value / top) * chartHeight;
+      const y = padding + chartHeight - height;
+
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y, barWidth, height);
+
+      ctx.fillStyle = '#2c3e50';
+      ctx.fillText(formatValue(bar.value), x + barWidth / 2, y - 5);
+      ctx.fillStyle = '#7f8c8d';
+      ctx.fillText(bar.label, x + barWidth / 2, canvas.height - 10);
+    });
+  }
+
+  /**
+   * Export the filtered attempts as CSV
+   */
+  exportCsv() {
+    const header = ['timestamp', 'outcome', 'attempt', 'ocrText', 'confidence', 'durationMs', 'captchaAttempts', 'message', 'url'];
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [header.join(',')];
+    this.getFilteredEntries().forEach(entry => {
+      const details = entry.details;
+      lines.push([
+        new Date(entry.timestamp).toISOString(),
+        details.outcome,
+        details.attempt,
+        details.ocrText,
+        details.confidence,
+        details.durationMs,
+        details.captchaAttempts,
+        details.message,
+        entry.url
+      ].map(escape).join(','));
+    });
+
+    this.download(lines.join('\n'), 'text/csv', 'csv');
+  }
+
+  /**
+   * Export the filtered attempts as JSON
+   */
+  exportJson() {
+    this.download(JSON.stringify(this.getFilteredEntries(), null, 2), 'application/json', 'json');
+  }
+
+  /**
+   * Save text as a file download
+   */
+  download(content, type, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `srm-auto-login-history-${HistoryDashboard.dayKey(Date.now())}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Overall statistics for a list of attempts
+   * @param {Array<Object>} entries - Login attempt log entries
+   * @returns {Object} - { total, successes, successRate, avgDurationMs, avgConfidence }
+   */
+  static summarize(entries) {
+    const successes = entries.filter(entry => entry.details.outcome === 'success');
+    const durations = successes.map(entry => entry.details.durationMs).filter(Number.isFinite);
+    const confidences = entries.map(entry => entry.details.confidence).filter(Number.isFinite);
+    const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+    return {
+      total: entries.length,
+      successes: successes.length,
+      successRate: entries.length ? successes.length / entries.length : null,
+      avgDurationMs: average(durations),
+      avgConfidence: average(confidences)
+    };
+  }
+
+  /**
+   * Group attempts by local calendar day, newest day first
+   * @param {Array<Object>} entries - Login attempt log entries
+   * @returns {Array<Object>} - { day, ...summarize() } per day
+   */
+  static groupByDay(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const day = HistoryDashboard.dayKey(entry.timestamp);
+      if (!groups.has(day)) groups.set(day, []);
+      groups.get(day).push(entry);
+    });
+
+    return Array.from(groups.entries())
+      .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+      .map(([day, dayEntries]) => ({ day, ...HistoryDashboard.summarize(dayEntries) }));
+  }
+
+  /**
+   * Local YYYY-MM-DD key for a timestamp (matches <input type="date"> values)
+   */
+  static dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Format a 0-1 ratio as a percentage
+   */
+  static formatPercent(ratio) {
+    return Number.isFinite(ratio) ? `${(ratio * 100).toFixed(1)}%` : '–';
+  }
+
+  /**
+   * Format milliseconds as seconds
+   */
+  static formatDuration(ms) {
+    return Number.isFinite(ms) ? `${(ms / 1000).toFixed(1)}s` : '–';
+  }
+}
+
+// Initialize history dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.historyDashboard = new HistoryDashboard();
+});
@@ -0,0 +1,262 @@
+/**
+ * Logger for SRM Auto Login
+ * Leveled logging with a named scope per part of the extension ('content',
+ * 'background', 'ocr', 'crypto', ...). Entries below the level chosen on the
+ * options page are dropped; the rest are written to the console and kept, with
+ * credential fields redacted, in a ring buffer that the background worker
+ * stores for the Diagnostics panel. Content scripts and extension pages send
+ * their entries to the worker in batches
+ */
+
+// Levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Level used until the stored one is read, and when none is stored
+const DEFAULT_LOG_LEVEL = 'info';
+
+// Entries kept in the ring buffer, newest last
+const LOG_BUFFER_SIZE = 500;
+
+// Entries written elsewhere than the background worker are sent to it this long after the first one
+const LOG_FLUSH_DELAY_MS = 1000;
+
+// Longest message or serialized detail kept in the ring buffer
+const LOG_MAX_TEXT_LENGTH = 2000;
+
+// Console method per level
+const LOG_CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+// Fields never logged, at any depth
+const REDACTED_FIELDS = ['username', 'password', 'currentPassword', 'newPassword', 'encryptedUsername', 'encryptedPassword', 'vault', 'vaultKey', 'ocrText'];
+
+// Shared by every Logger in this context
+const loggerState = {
+  level: DEFAULT_LOG_LEVEL,
+  sink: null,        // set by the background worker, which keeps the ring buffer
+  pending: [],       // entries waiting to be sent to the background worker
+  flushTimer: null
+};
+
+class Logger {
+  /**
+   * @param {string} scope - Part of the extension the entries come from
+   */
+  constructor(scope) {
+    this.scope = scope;
+  }
+
+  debug(message, ...details) {
+    Logger.write('debug', this.scope, message, details);
+  }
+
+  info(message, ...details) {
+    Logger.write('info', this.scope, message, details);
+  }
+
+  warn(message, ...details) {
+    Logger.write('warn', this.scope, message, details);
+  }
+
+  error(message, ...details) {
+    Logger.write('error', this.scope, message, details);
+  }
+
+  /**
+   * Write an entry to the console and the ring buffer if its level is enabled
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} scope - Logger scope
+   * @param {string} message - Text of the entry
+   * @param {Array} details - Further values (objects, errors); secret fields are redacted
+   */
+  static write(level, scope, message, details) {
+    if (!Logger.isEnabled(level)) return;
+
+    const redacted = details.map(detail => Logger.redact(detail));
+    console[LOG_CONSOLE_METHODS[level]](`[${scope}] ${message}`, ...redacted);
+
+    Logger.record({
+      at: Date.now(),
+      level,
+      scope,
+      message: Logger.truncate(String(message)),
+      details: redacted.map(detail => Logger.serialize(detail))
+    });
+  }
+
+  /**
+   * Whether entries of a level are currently kept
+   */
+  static isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(loggerState.level);
+  }
+
+  /**
+   * Change the lowest level kept; unknown levels are ignored
+   */
+  static setLevel(level) {
+    if (LOG_LEVELS.includes(level)) {
+      loggerState.level = level;
+    }
+  }
+
+  /**
+   * Read the stored level, and follow changes to it where storage events arrive
+   */
+  static async loadLevel() {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.logLevel) {
+          Logger.setLevel(changes.logLevel.newValue || DEFAULT_LOG_LEVEL);
+        }
+      });
+    }
+
+    try {
+      const { logLevel } = await ExtensionStorage.get(['logLevel']);
+      Logger.setLevel(logLevel);
+    } catch (error) {
+      // Keep the default, e.g. when the background worker cannot be reached
+    }
+  }
+
+  /**
+   * Deliver entries straight to the ring buffer instead of sending them (background worker only)
+   * @param {Function} sink - Called with an array of entries
+   */
+  static useSink(sink) {
+    loggerState.sink = sink;
+    Logger.flush();
+  }
+
+  /**
+   * Add an entry to the ring buffer, or queue it for the background worker
+   */
+  static record(entry) {
+    if (loggerState.sink) {
+      loggerState.sink([entry]);
+      return;
+    }
+
+    loggerState.pending.push(entry);
+    if (!loggerState.flushTimer) {
+      loggerState.flushTimer = setTimeout(() => Logger.flush(), LOG_FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Hand queued entries to the sink or send them to the background worker
+   */
+  static flush() {
+    clearTimeout(loggerState.flushTimer);
+    loggerState.flushTimer = null;
+
+    const entries = loggerState.pending.splice(0, LOG_BUFFER_SIZE);
+    if (entries.length === 0) return;
+
+    if (loggerState.sink) {
+      loggerState.sink(entries);
+      return;
+    }
+
+    // After the extension is reloaded, content scripts left in open tabs can no longer reach it
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) return;
+
+    try {
+      chrome.runtime.sendMessage({ action: 'appendLogs', data: { entries } }).catch(() => {
+        // The entries are still in the console
+      });
+    } catch (error) {
+      // Same as above: the extension context is gone
+    }
+  }
+
+  /**
+   * Copy of a value that is safe to log: secret fields are replaced and data
+   * URLs (captcha images) are shortened. Errors and other class instances are
+   * kept as they are
+   * @param {*} value - Anything passed to a log call
+   * @param {number} depth - Nesting level (deeper values are cut off)
+   * @returns {*}
+   */
+  static redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return value.startsWith('data:') ? `[data URL, ${value.length} characters]` : value;
+    }
+
+    if (!value || typeof value !== 'object' || !Logger.isPlain(value)) {
+      return value;
+    }
+
+    if (depth >= 8) {
+      return '[nested too deeply]';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => Logger.redact(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, field]) => {
+      copy[key] = REDACTED_FIELDS.includes(key) && field !== null && field !== undefined
+        ? '[redacted]'
+        : Logger.redact(field, depth + 1);
+    });
+    return copy;
+  }
+
+  /**
+   * Whether a value is an array or a plain object (the only things redact copies)
+   */
+  static isPlain(value) {
+    // Compared by shape rather than identity, so objects from another frame count too
+    const prototype = Object.getPrototypeOf(value);
+    return Array.isArray(value) || prototype === null || Object.getPrototypeOf(prototype) === null;
+  }
+
+  /**
+   * Turn a redacted detail into something that can be stored and sent as JSON
+   */
+  static serialize(value) {
+    if (Object.prototype.toString.call(value) === '[object Error]') {
+      return Logger.truncate(value.stack || `${value.name}: ${value.message}`);
+    }
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+      return String(value);
+    }
+    if (value && typeof value === 'object' && !Logger.isPlain(value)) {
+      return Object.prototype.toString.call(value);
+    }
+
+    try {
+      const json = JSON.stringify(value);
+      return json.length > LOG_MAX_TEXT_LENGTH ? Logger.truncate(json) : JSON.parse(json);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  /**
+   * Cut text to LOG_MAX_TEXT_LENGTH
+   */
+  static truncate(text) {
+    return text.length > LOG_MAX_TEXT_LENGTH ? `${text.slice(0, LOG_MAX_TEXT_LENGTH)}…` : text;
+  }
+}
+
+// Follow the level chosen on the options page (the OCR document has no storage access and keeps the default)
+if (typeof ExtensionStorage !== 'undefined') {
+  Logger.loadLevel();
+}
+
+// Send what is queued before a page or tab goes away
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => Logger.flush());
+}
+
+// Make Logger available globally
+if (typeof window !== 'undefined') {
+  window.Logger = Logger;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Logger, LOG_LEVELS, LOG_BUFFER_SIZE, REDACTED_FIELDS };
+}
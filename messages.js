@@ -0,0 +1,161 @@
+/**
+ * Message protocol for SRM Auto Login
+ * Every action the background worker and the OCR offscreen document accept,
+ * who may send it and the shape of its data. Both check each message against
+ * this before routing it
+ */
+
+// Per action: who may send it ('extension' for the options page and popup,
+// 'offscreen' for the OCR document, 'worker' for the background worker,
+// 'portal' for a content script in a tab on a configured portal), the
+// `target` it must carry when another context than the background worker
+// answers it, and the fields of `data` with their type ('string', 'number',
+// 'boolean', 'object', 'array' or 'dataUrl' for an image data URL; a trailing
+// '[]' means an array of that type and a trailing '?' accepts a missing or
+// null value). Fields not listed are refused
+const MESSAGE_SCHEMA = {
+  // Credentials (only the background worker decrypts them)
+  getProfiles: { from: ['extension'] },
+  getCredentials: { from: ['extension', 'portal'], data: { profileId: 'string?' } },
+  storeCredentials: { from: ['extension'], data: { id: 'string?', name: 'string?', username: 'string', password: 'string' } },
+  deleteProfile: { from: ['extension'], data: { profileId: 'string' } },
+  setDefaultProfile: { from: ['extension'], data: { profileId: 'string' } },
+  clearCredentials: { from: ['extension'] },
+
+  // Master password
+  getVaultStatus: { from: ['extension'] },
+  unlockVault: { from: ['extension'], data: { password: 'string' } },
+  lockVault: { from: ['extension'] },
+  setMasterPassword: { from: ['extension'], data: { currentPassword: 'string?', newPassword: 'string', lockTimeout: 'number?' } },
+  removeMasterPassword: { from: ['extension'], data: { password: 'string' } },
+
+  // Storage for content scripts (ExtensionStorage); keys are checked against the storage schema
+  getSettings: { from: ['extension', 'portal'], data: { keys: 'array' } },
+  saveSettings: { from: ['extension', 'portal'], data: { values: 'object' } },
+  removeSettings: { from: ['extension', 'portal'], data: { keys: 'array' } },
+
+  // Login flow
+  beginLoginAttempt: {
+    from: ['portal'],
+    data: {
+      attempt: 'number',
+      profileId: 'string?',
+      flowStartedAt: 'number?',
+      ocrText: 'string?',
+      confidence: 'number?',
+      captchaAttempts: 'number?',
+      captchaSampleId: 'number?'
+    }
+  },
+  takePendingLogin: { from: ['portal'] },
+  loginSucceeded: { from: ['portal'] },
+  logActivity: { from: ['portal'], data: { action: 'string', details: 'object?', url: 'string?' } },
+  showNotification: { from: ['extension', 'portal'], data: { title: 'string?', message: 'string' } },
+  openOptionsPage: { from: ['extension', 'portal'] },
+
+  // Captcha
+  solveCaptcha: { from: ['portal'], data: { raw: 'dataUrl', images: 'dataUrl[]', format: 'object?', multiPass: 'boolean?', minConfidence: 'number?' } },
+  ocrProgress: { from: ['offscreen'], data: { tabId: 'number?', progress: 'number' } },
+  collectCaptchaSample: { from: ['portal'], data: { image: 'dataUrl', ocrText: 'string?', confidence: 'number?', attempt: 'number?', portalId: 'string?' } },
+  labelCaptchaSample: { from: ['portal'], data: { id: 'number', outcome: 'string' } },
+
+  // Diagnostics (logger.js ring buffer kept by the background worker)
+  appendLogs: { from: ['extension', 'offscreen', 'portal'], data: { entries: 'array' } },
+  getLogs: { from: ['extension'] },
+  clearLogs: { from: ['extension'] },
+
+  // OCR offscreen document (offscreen.js), asked by the background worker only
+  recognize: { from: ['worker'], target: 'offscreen', data: { images: 'dataUrl[]', format: 'object?', multiPass: 'boolean?', tabId: 'number?' } },
+  ping: { from: ['worker'], target: 'offscreen' }
+};
+
+class MessageProtocol {
+  /**
+   * Check a message against MESSAGE_SCHEMA
+   * @param {Object} message - Message as received
+   * @returns {Object} - Schema entry of its action
+   * @throws {Error} - If the action is unknown or the data does not match
+   */
+  static validate(message) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+      throw new Error('Malformed message');
+    }
+
+    const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMA, message.action) ? MESSAGE_SCHEMA[message.action] : null;
+    if (!schema) {
+      throw new Error('Unknown action');
+    }
+    if (message.target !== schema.target) {
+      throw new Error(`"${message.action}" is not answered by ${message.target ? `the ${message.target} document` : 'the background worker'}`);
+    }
+
+    // Actions without data accept none, null or an empty object
+    const data = message.data ?? {};
+    if (MessageProtocol.typeOf(data) !== 'object') {
+      throw new Error(`"${message.action}" data must be an object`);
+    }
+
+    const fields = schema.data || {};
+    const unknown = Object.keys(data).find(field => !Object.prototype.hasOwnProperty.call(fields, field));
+    if (unknown) {
+      throw new Error(`"${message.action}" does not take "${unknown}"`);
+    }
+
+    Object.entries(fields).forEach(([field, declared]) => {
+      const optional = declared.endsWith('?');
+      const type = optional ? declared.slice(0, -1) : declared;
+      const value = data[field];
+
+      if (value === undefined || value === null) {
+        if (!optional) {
+          throw new Error(`"${message.action}" needs "${field}"`);
+        }
+      } else if (!MessageProtocol.matches(value, type)) {
+        throw new Error(`"${message.action}" field "${field}" must be ${MessageProtocol.describeType(type)}`);
+      }
+    });
+
+    return schema;
+  }
+
+  /**
+   * Whether a value has a schema type
+   */
+  static matches(value, type) {
+    if (type.endsWith('[]')) {
+      return Array.isArray(value) && value.every(item => MessageProtocol.matches(item, type.slice(0, -2)));
+    }
+    if (type === 'dataUrl') {
+      return typeof value === 'string' && value.startsWith('data:image/');
+    }
+    return MessageProtocol.typeOf(value) === type;
+  }
+
+  /**
+   * Schema type in words, for error messages
+   */
+  static describeType(type) {
+    if (type.endsWith('[]')) {
+      return `an array of ${MessageProtocol.describeType(type.slice(0, -2)).replace(/^an? /, '')}s`;
+    }
+    const name = type === 'dataUrl' ? 'image data URL' : type;
+    return `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`;
+  }
+
+  /**
+   * Type name used by the schema (arrays and null are told apart from objects)
+   */
+  static typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+}
+
+// Make MessageProtocol available globally
+if (typeof window !== 'undefined') {
+  window.MessageProtocol = MessageProtocol;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageProtocol, MESSAGE_SCHEMA };
+}
@@ -0,0 +1,135 @@
+/**
+ * Multi-pass OCR voting for SRM Auto Login
+ * Combines several OCR readings of the same captcha (different preprocessing
+ * variants and page segmentation modes) into one answer by voting per
+ * character position with Tesseract's symbol confidences
+ */
+
+// Characters a captcha may contain when the portal does not say otherwise
+const DEFAULT_CAPTCHA_CHARSET = 'A-Za-z0-9';
+
+class OcrVoter {
+  /**
+   * Turn a reading into allowed characters with a confidence each
+   * Tesseract symbols are used when present; otherwise every character of
+   * the text gets the reading's overall confidence
+   * @param {Object} candidate - { text, confidence, symbols: [{ text, confidence }] } (confidences 0-1)
+   * @param {RegExp} allowed - Matches one allowed character
+   * @returns {Array<Object>} - [{ char, confidence }]
+   */
+  static toCharacters(candidate, allowed) {
+    const symbols = candidate.symbols && candidate.symbols.length > 0
+      ? candidate.symbols
+      : Array.from(candidate.text || '').map(char => ({ text: char, confidence: candidate.confidence }));
+
+    const characters = [];
+    symbols.forEach(symbol => {
+      Array.from(symbol.text || '').forEach(char => {
+        if (allowed.test(char)) {
+          characters.push({ char, confidence: Math.min(1, Math.max(0, symbol.confidence || 0)) });
+        }
+      });
+    });
+    return characters;
+  }
+
+  /**
+   * Pick the captcha length: the configured one, else the length the readings
+   * support most (weighted by their confidence)
+   * @param {Array<Array<Object>>} readings - Character lists from toCharacters
+   * @param {number|null} expectedLength - Configured captcha length
+   * @returns {number}
+   */
+  static chooseLength(readings, expectedLength) {
+    if (expectedLength) return expectedLength;
+
+    const weights = new Map();
+    readings.forEach(characters => {
+      if (characters.length === 0) return;
+      const mean = characters.reduce((sum, c) => sum + c.confidence, 0) / characters.length;
+      weights.set(characters.length, (weights.get(characters.length) || 0) + mean);
+    });
+
+    let best = 0;
+    let bestWeight = -1;
+    weights.forEach((weight, length) => {
+      if (weight > bestWeight) {
+        best = length;
+        bestWeight = weight;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Vote on the captcha text
+   *
+   * Readings of the chosen length are aligned by position. At each position
+   * every reading votes for its character with that symbol's confidence. The
+   * position's confidence is the winner's vote total divided by the number of
+   * readings that voted, so it is high only when the readings agree and are
+   * sure. The answer's confidence is its weakest position (one wrong
+   * character fails the whole captcha), scaled down when fewer than half of
+   * all readings had the chosen length.
+   *
+   * @param {Array<Object>} candidates - OCR readings
+   * @param {Object} format - { length, charset } expected captcha format
+   * @returns {Object} - { text, confidence, positions, agreeing, total }
+   */
+  static vote(candidates, format = {}) {
+    const allowed = new RegExp(`^[${format.charset || DEFAULT_CAPTCHA_CHARSET}]$`);
+    const readings = candidates.map(candidate => OcrVoter.toCharacters(candidate, allowed));
+    const length = OcrVoter.chooseLength(readings, format.length);
+    const aligned = readings.filter(characters => characters.length === length);
+
+    if (length === 0 || aligned.length === 0) {
+      // Nothing has the expected length: report the longest reading as a clear failure
+      const fallback = readings.reduce((best, characters) => (characters.length > best.length ? characters : best), []);
+      return {
+        text: fallback.map(c => c.char).join(''),
+        confidence: 0,
+        positions: [],
+        agreeing: 0,
+        total: candidates.length
+      };
+    }
+
+    const positions = [];
+    for (let i = 0; i < length; i++) {
+      const scores = new Map();
+      aligned.forEach(characters => {
+        const { char, confidence } = characters[i];
+        scores.set(char, (scores.get(char) || 0) + confidence);
+      });
+
+      let winner = null;
+      let winnerScore = -1;
+      scores.forEach((score, char) => {
+        if (score > winnerScore) {
+          winner = char;
+          winnerScore = score;
+        }
+      });
+
+      positions.push({ char: winner, confidence: winnerScore / aligned.length, votes: Object.fromEntries(scores) });
+    }
+
+    const weakest = Math.min(...positions.map(position => position.confidence));
+    const lengthSupport = Math.min(1, aligned.length / Math.ceil(candidates.length / 2));
+    return {
+      text: positions.map(position => position.char).join(''),
+      confidence: weakest * lengthSupport,
+      positions: positions,
+      agreeing: aligned.length,
+      total: candidates.length
+    };
+  }
+}
+
+// Make OcrVoter available globally (and to Node for the OCR benchmark)
+if (typeof window !== 'undefined') {
+  window.OcrVoter = OcrVoter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OcrVoter;
+}
@@ -0,0 +1,118 @@
+/**
+ * OCR engine configuration for SRM Auto Login
+ * Tesseract.js loads its worker, wasm core and language data from the
+ * extension package so captcha solving works offline and nothing is fetched from a CDN.
+ * The engine runs in the offscreen document (offscreen.js) owned by the background worker
+ */
+
+// Tesseract.js release the bundled files in lib/ belong to
+const OCR_ENGINE_VERSION = '5.0.4';
+
+// Bundled engine files, relative to the extension root
+const OCR_ASSETS = {
+  worker: 'lib/worker.min.js',
+  coreDir: 'lib/tesseract-core',
+  langDir: 'lib/lang',
+  files: [
+    'lib/tesseract.min.js',
+    'lib/worker.min.js',
+    'lib/tesseract-core/tesseract-core-lstm.wasm.js',
+    'lib/tesseract-core/tesseract-core-simd-lstm.wasm.js',
+    'lib/lang/eng.traineddata.gz'
+  ]
+};
+
+// Recognition parameters set once on the warm worker (7 = Tesseract.PSM.SINGLE_LINE)
+const OCR_PARAMETERS = {
+  tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  tessedit_pageseg_mode: '7'
+};
+
+// Page segmentation modes tried by multi-pass OCR: single line, single word, raw line
+const OCR_PAGE_SEG_MODES = ['7', '8', '13'];
+
+class OcrEngine {
+  /**
+   * Tesseract.js worker options pointing at the bundled files
+   * @param {Object} extra - Additional options (e.g. logger)
+   * @returns {Object} - Options for Tesseract.createWorker
+   */
+  static getWorkerOptions(extra = {}) {
+    return {
+      workerPath: chrome.runtime.getURL(OCR_ASSETS.worker),
+      corePath: chrome.runtime.getURL(OCR_ASSETS.coreDir),
+      langPath: chrome.runtime.getURL(OCR_ASSETS.langDir),
+      // The data is already local, so there is nothing to gain from an IndexedDB copy
+      cacheMethod: 'none',
+      // Extension pages may start workers from chrome-extension:// URLs directly
+      workerBlobURL: false,
+      gzip: true,
+      ...extra
+    };
+  }
+
+  /**
+   * Read every image under every page segmentation mode
+   * @param {Object} worker - Initialized Tesseract worker
+   * @param {Array<string>} images - Image variants (data URLs or buffers)
+   * @param {Array<string>} modes - Page segmentation modes
+   * @param {Function} onPass - Optional, called with (pass index, pass count) before each pass
+   * @returns {Promise<Array<Object>>} - { text, confidence, symbols, variant, mode } per pass (confidences 0-1)
+   */
+  static async recognizeAll(worker, images, modes, onPass = null) {
+    const candidates = [];
+
+    for (let variant = 0; variant < images.length; variant++) {
+      for (const mode of modes) {
+        if (onPass) onPass(candidates.length, images.length * modes.length);
+        await worker.setParameters({ tessedit_pageseg_mode: mode });
+        const { data } = await worker.recognize(images[variant], {}, { text: true, blocks: true });
+
+        // Symbols link back to their words and pages, so copy out only what can be sent as a message
+        candidates.push({
+          text: data.text.trim().replace(/[^a-zA-Z0-9]/g, ''),
+          confidence: data.confidence / 100,
+          symbols: (data.symbols || []).map(symbol => ({ text: symbol.text, confidence: symbol.confidence / 100 })),
+          variant: variant,
+          mode: mode
+        });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Check that every bundled engine file can be loaded from the extension package
+   * @returns {Promise<Object>} - { ok, version, missing, checkedAt }
+   */
+  static async checkAssets() {
+    const missing = [];
+
+    for (const file of OCR_ASSETS.files) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(file));
+        if (!response.ok) {
+          missing.push(file);
+        }
+      } catch (error) {
+        missing.push(file);
+      }
+    }
+
+    return {
+      ok: missing.length === 0,
+      version: OCR_ENGINE_VERSION,
+      missing: missing,
+      checkedAt: Date.now()
+    };
+  }
+}
+
+// Make OcrEngine available globally (and its settings to Node for the OCR benchmark)
+if (typeof window !== 'undefined') {
+  window.OcrEngine = OcrEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OcrEngine, OCR_ASSETS, OCR_PARAMETERS, OCR_PAGE_SEG_MODES, OCR_ENGINE_VERSION };
+}
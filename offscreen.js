@@ -0,0 +1,163 @@
+/**
+ * Offscreen document for SRM Auto Login
+ * Keeps one Tesseract worker loaded and configured so each captcha only
+ * pays for recognition, not for starting the engine and loading the model.
+ */
+
+class OffscreenOcr {
+  constructor() {
+    this.log = new Logger('ocr');
+    this.workerPromise = null;
+    this.progress = null;
+    this.queue = Promise.resolve();
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Every extension page sees runtime messages; only answer the ones meant for us
+      if (!message || message.target !== 'offscreen') return false;
+
+      // Only the background worker may ask; it refuses anyone else's request itself
+      if (!OffscreenOcr.isServiceWorker(sender)) {
+        this.log.warn(`⛔ Refused ${message.action} from ${sender.url || 'an unknown sender'}`);
+        return false;
+      }
+
+      try {
+        MessageProtocol.validate(message);
+      } catch (error) {
+        this.log.warn(`⛔ Refused ${message.action}: ${error.message}`);
+        sendResponse({ success: false, error: error.message });
+        return false;
+      }
+
+      this.handleMessage(message, sendResponse);
+      return true; // Keep message channel open for async response
+    });
+
+    // Warm up straight away so the first captcha does not wait for the model
+    this.getWorker().catch(() => {});
+    this.log.info('🤖 SRM Auto Login - OCR offscreen document loaded');
+  }
+
+  /**
+   * Whether a message comes from this extension's background service worker
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @returns {boolean}
+   */
+  static isServiceWorker(sender) {
+    return !!sender && sender.id === chrome.runtime.id && !sender.tab &&
+      sender.url === chrome.runtime.getURL(chrome.runtime.getManifest().background.service_worker);
+  }
+
+  /**
+   * Handle a request from the background service worker
+   */
+  async handleMessage(message, sendResponse) {
+    try {
+      switch (message.action) {
+        case 'recognize':
+          sendResponse({ success: true, data: await this.recognize(message.data) });
+          break;
+
+        case 'ping':
+          await this.getWorker();
+          sendResponse({ success: true });
+          break;
+
+        default:
+          sendResponse({ success: false, error: 'Unknown action' });
+      }
+    } catch (error) {
+      this.log.error('❌ Offscreen OCR error:', error);
+      sendResponse({ success: false, error: error.message || String(error) });
+    }
+  }
+
+  /**
+   * Create the worker once, with the captcha parameters applied
+   * @returns {Promise<Object>} - Tesseract worker
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const startedAt = Date.now();
+        const worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, OcrEngine.getWorkerOptions({
+          logger: m => {
+            if (m.status === 'recognizing text') {
+              this.reportProgress(m.progress);
+            }
+          }
+        }));
+        await worker.setParameters(OCR_PARAMETERS);
+        this.log.info(`✅ Tesseract worker ready in ${Date.now() - startedAt}ms`);
+        return worker;
+      })();
+
+      // Let the next request try again instead of failing forever
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognise a captcha, one request at a time on the shared worker
+   * With multi-pass on, every image variant is read under several page
+   * segmentation modes and the readings are combined by per-character voting
+   * @param {Object} request - { images: [data URL], format: { length, charset }, multiPass }
+   * @returns {Promise<Object>} - { text, confidence, passes, agreeing }
+   */
+  recognize(request) {
+    const job = this.queue.then(async () => {
+      const worker = await this.getWorker();
+      const images = request.multiPass ? request.images : request.images.slice(0, 1);
+      const modes = request.multiPass ? OCR_PAGE_SEG_MODES : [OCR_PARAMETERS.tessedit_pageseg_mode];
+
+      const startedAt = Date.now();
+      this.progress = { tabId: request.tabId, pass: 0, passes: 1, sent: -1 };
+      const candidates = await OcrEngine.recognizeAll(worker, images, modes, (pass, passes) => {
+        Object.assign(this.progress, { pass, passes });
+      }).finally(() => {
+        this.progress = null;
+      });
+      // A single reading keeps Tesseract's own overall confidence, as before multi-pass
+      const result = candidates.length > 1
+        ? OcrVoter.vote(candidates, request.format || {})
+        : { ...candidates[0], agreeing: 1 };
+      this.log.info(`🗳️ ${candidates.length} OCR pass(es) in ${Date.now() - startedAt}ms: ${(result.text || '').length} character(s), ${result.agreeing} agreeing`);
+
+      return {
+        text: result.text,
+        confidence: result.confidence,
+        passes: candidates.length,
+        agreeing: result.agreeing
+      };
+    });
+
+    this.queue = job.catch(() => {});
+    return job;
+  }
+
+  /**
+   * Send overall progress of the current request to the tab it came from, via the background worker
+   * @param {number} passProgress - Progress of the current pass, 0-1
+   */
+  reportProgress(passProgress) {
+    const progress = this.progress;
+    if (!progress || progress.tabId === null || progress.tabId === undefined) return;
+
+    // Steps of 5% are plenty for a progress bar
+    const overall = (progress.pass + passProgress) / progress.passes;
+    const rounded = Math.floor(overall * 20) / 20;
+    if (rounded === progress.sent) return;
+    progress.sent = rounded;
+
+    chrome.runtime.sendMessage({
+      action: 'ocrProgress',
+      data: { tabId: progress.tabId, progress: rounded }
+    }).catch(() => {});
+  }
+}
+
+// Start the OCR host
+const offscreenOcr = new OffscreenOcr();
@@ -3,17 +3,36 @@
  * Handles saving, loading, and clearing encrypted credentials
  */
 
+// Value of the profile selector entry that starts a new profile
+const NEW_PROFILE_VALUE = '__new__';
+
 class OptionsManager {
   constructor() {
+    this.log = new Logger('options');
     this.cryptoHelper = new CryptoHelper();
+    this.captchaStore = new CaptchaStore();
+    this.vaultStatus = { enabled: false, locked: false };
+    this.currentProfileId = null;
     this.initializeEventListeners();
-    this.loadExistingCredentials();
+    this.loadVaultStatus().then(() => this.loadExistingCredentials());
+    this.loadPreprocessingSettings();
+    this.loadRetrySettings();
+    this.loadKeepAliveSettings();
+    this.loadRuleSettings();
+    this.loadDatasetSettings();
   }
 
   /**
    * Initialize event listeners for form elements
    */
   initializeEventListeners() {
+    // Settings / History tabs
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.switchTab(tab.dataset.tab);
+      });
+    });
+
     // Form submission handler
     document.getElementById('credentialsForm').addEventListener('submit', (e) => {
       e.preventDefault();
@@ -30,6 +49,82 @@ class OptionsManager {
       this.openLoginPage();
     });
 
+    // Profile selector and actions
+    document.getElementById('profileSelect').addEventListener('change', (e) => {
+      this.loadProfile(e.target.value === NEW_PROFILE_VALUE ? null : e.target.value);
+    });
+
+    document.getElementById('defaultProfileBtn').addEventListener('click', () => {
+      this.setDefaultProfile();
+    });
+
+    document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+      this.deleteProfile();
+    });
+
+    // Master password form
+    document.getElementById('masterPasswordForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.setMasterPassword();
+    });
+
+    document.getElementById('unlockBtn').addEventListener('click', () => {
+      this.unlockVault();
+    });
+
+    document.getElementById('removeMasterBtn').addEventListener('click', () => {
+      this.removeMasterPassword();
+    });
+
+    document.getElementById('lockTimeout').addEventListener('change', () => {
+      this.saveLockTimeout();
+    });
+
+    // Captcha preprocessing toggles
+    document.querySelectorAll('#preprocessingSteps input[data-step]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.savePreprocessingSettings();
+      });
+    });
+
+    document.getElementById('ocrMultiPass').addEventListener('change', () => {
+      this.savePreprocessingSettings();
+    });
+
+    // Captcha retry settings
+    ['captchaMaxAttempts', 'captchaRetryDelay', 'loginMaxAttempts'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.saveRetrySettings();
+      });
+    });
+
+    // Captcha dataset collection
+    document.getElementById('captchaCollectionEnabled').addEventListener('change', (e) => {
+      this.saveCollectionSetting(e.target.checked);
+    });
+
+    document.getElementById('exportDatasetBtn').addEventListener('click', () => {
+      this.exportDataset();
+    });
+
+    document.getElementById('clearDatasetBtn').addEventListener('click', () => {
+      this.clearDataset();
+    });
+
+    // Session keep-alive settings
+    ['keepAliveEnabled', 'reloginReturnEnabled', 'keepAliveUrl', 'keepAliveInterval'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.saveKeepAliveSettings();
+      });
+    });
+
+    // Auto-login rules
+    ['fillOnlyEnabled', 'profileDisabled', 'windowsEnabled', 'timeWindows', 'skipParams'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.saveRuleSettings();
+      });
+    });
+
     // Input validation
     const inputs = document.querySelectorAll('input');
     inputs.forEach(input => {
@@ -40,20 +135,107 @@ class OptionsManager {
   }
 
   /**
-   * Load existing credentials if they exist
+   * Load the profile list and the selected (or default) profile
+   * @param {string} selectId - Profile to select after loading
    */
-  async loadExistingCredentials() {
+  async loadExistingCredentials(selectId = null) {
     try {
-      const { username, password } = await this.cryptoHelper.getCredentials();
-      
+      const { profiles, defaultProfileId } = await this.request('getProfiles');
+      const select = document.getElementById('profileSelect');
+      select.innerHTML = '';
+
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.isDefault ? `⭐ ${profile.name}` : profile.name;
+        select.appendChild(option);
+      });
+
+      const newOption = document.createElement('option');
+      newOption.value = NEW_PROFILE_VALUE;
+      newOption.textContent = '➕ New profile';
+      select.appendChild(newOption);
+
+      const profileId = selectId || defaultProfileId;
+      select.value = profileId || NEW_PROFILE_VALUE;
+
+      if (this.vaultStatus.locked) {
+        this.showStatus('🔒 Credentials are locked. Enter your master password below to unlock.', 'error');
+        return;
+      }
+
+      await this.loadProfile(profileId);
+    } catch (error) {
+      this.log.error('Error loading credentials:', error);
+      this.showStatus('Error loading existing credentials', 'error');
+    }
+  }
+
+  /**
+   * Fill the form with a profile, or clear it for a new one
+   * @param {string|null} profileId - Profile to show (null for a new profile)
+   */
+  async loadProfile(profileId) {
+    this.currentProfileId = profileId;
+    document.getElementById('deleteProfileBtn').disabled = !profileId;
+    document.getElementById('defaultProfileBtn').disabled = !profileId;
+
+    if (!profileId) {
+      document.getElementById('profileName').value = '';
+      document.getElementById('username').value = '';
+      document.getElementById('password').value = '';
+      return;
+    }
+
+    try {
+      const { username, password, profileName } = await this.readCredentials(profileId);
+
       if (username && password) {
+        document.getElementById('profileName').value = profileName || '';
         document.getElementById('username').value = username;
         document.getElementById('password').value = password;
-        this.showStatus('Existing credentials loaded successfully', 'success');
+        this.showStatus(`Profile "${profileName}" loaded successfully`, 'success');
       }
     } catch (error) {
-      console.error('Error loading credentials:', error);
-      this.showStatus('Error loading existing credentials', 'error');
+      this.log.error('Error loading profile:', error);
+      this.showStatus('Error loading profile', 'error');
+    }
+  }
+
+  /**
+   * Make the selected profile the one used for automatic logins
+   */
+  async setDefaultProfile() {
+    if (!this.currentProfileId) return;
+
+    try {
+      await this.request('setDefaultProfile', { profileId: this.currentProfileId });
+      await this.loadExistingCredentials(this.currentProfileId);
+      this.showStatus('⭐ Auto-login will use this profile by default', 'success');
+    } catch (error) {
+      this.log.error('Error setting default profile:', error);
+      this.showStatus('❌ Failed to set default profile', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected profile
+   */
+  async deleteProfile() {
+    if (!this.currentProfileId) return;
+
+    const name = document.getElementById('profileName').value || 'this profile';
+    if (!confirm(`Delete the profile "${name}"?`)) {
+      return;
+    }
+
+    try {
+      await this.request('deleteProfile', { profileId: this.currentProfileId });
+      await this.loadExistingCredentials();
+      this.showStatus('🗑️ Profile deleted', 'success');
+    } catch (error) {
+      this.log.error('Error deleting profile:', error);
+      this.showStatus('❌ Failed to delete profile', 'error');
     }
   }
 
@@ -62,6 +244,7 @@ class OptionsManager {
    */
   async saveCredentials() {
     const saveBtn = document.getElementById('saveBtn');
+    const name = document.getElementById('profileName').value.trim();
     const username = document.getElementById('username').value.trim();
     const password = document.getElementById('password').value.trim();
 
@@ -77,13 +260,25 @@ class OptionsManager {
     saveBtn.disabled = true;
 
     try {
-      const success = await this.cryptoHelper.storeCredentials(username, password);
+      const profileId = await this.writeCredentials({
+        id: this.currentProfileId,
+        name: name || username,
+        username,
+        password
+      });
       
-      if (success) {
+      if (profileId) {
+        // New credentials lift the stop set after a wrong password
+        const { loginBlocked } = await ExtensionStorage.get(['loginBlocked']);
+        if (loginBlocked && (!loginBlocked.profileId || loginBlocked.profileId === profileId)) {
+          await ExtensionStorage.remove(['loginBlocked']);
+        }
+
+        await this.loadExistingCredentials(profileId);
         this.showStatus('✅ Credentials saved successfully! Extension is ready to use.', 'success');
         
         // Log success for debugging
-        console.log('Credentials encrypted and stored successfully');
+        this.log.info('Credentials encrypted and stored successfully');
         
         // Show additional success info
         setTimeout(() => {
@@ -93,7 +288,7 @@ class OptionsManager {
         this.showStatus('❌ Failed to save credentials. Please try again.', 'error');
       }
     } catch (error) {
-      console.error('Error saving credentials:', error);
+      this.log.error('Error saving credentials:', error);
       this.showStatus('❌ Error occurred while saving. Please try again.', 'error');
     } finally {
       // Restore button state
@@ -102,6 +297,195 @@ class OptionsManager {
     }
   }
 
+  /**
+   * Send a credential request to the background worker, the only place credentials are decrypted
+   * @param {string} action - Message action
+   * @param {Object} data - Message data
+   * @returns {Promise<*>} - Response data
+   * @throws {Error} - With the worker's error, e.g. when the vault is locked
+   */
+  async request(action, data = {}) {
+    const response = await chrome.runtime.sendMessage({ action, data });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The extension did not answer');
+    }
+    return response.data;
+  }
+
+  /**
+   * Read a profile's decrypted credentials
+   * @param {string} profileId - Profile to read
+   */
+  async readCredentials(profileId) {
+    return this.request('getCredentials', { profileId });
+  }
+
+  /**
+   * Write a profile; the background worker encrypts it
+   * @param {Object} profile - { id, name, username, password }
+   * @returns {Promise<string|null>} - Saved profile id, or null on failure
+   */
+  async writeCredentials(profile) {
+    try {
+      const { profileId } = await this.request('storeCredentials', profile);
+      return profileId;
+    } catch (error) {
+      this.log.error('Error storing credentials:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load master password state and update the section UI
+   */
+  async loadVaultStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+      if (response && response.success) {
+        this.vaultStatus = response.data;
+      }
+    } catch (error) {
+      this.log.error('Error loading vault status:', error);
+    }
+
+    const { enabled, locked, lockTimeout } = this.vaultStatus;
+    const vaultStatus = document.getElementById('vaultStatus');
+
+    if (!enabled) {
+      vaultStatus.textContent = 'Optional. Without a master password, credentials are encrypted with a key built into the extension.';
+    } else if (locked) {
+      vaultStatus.textContent = '🔒 Master password is set. Credentials are locked.';
+    } else {
+      vaultStatus.textContent = '🔓 Master password is set. Credentials are unlocked.';
+    }
+
+    document.getElementById('currentMasterGroup').style.display = enabled ? 'block' : 'none';
+    document.getElementById('unlockBtn').style.display = enabled && locked ? 'block' : 'none';
+    document.getElementById('removeMasterBtn').style.display = enabled ? 'block' : 'none';
+    document.getElementById('setMasterBtn').textContent = enabled ? '🔑 Change Master Password' : '🔑 Set Master Password';
+
+    if (lockTimeout) {
+      document.getElementById('lockTimeout').value = lockTimeout;
+    }
+  }
+
+  /**
+   * Enable or change the master password
+   */
+  async setMasterPassword() {
+    const currentPassword = document.getElementById('currentMasterPassword').value;
+    const newPassword = document.getElementById('newMasterPassword').value;
+    const confirmPassword = document.getElementById('confirmMasterPassword').value;
+    const lockTimeout = parseInt(document.getElementById('lockTimeout').value, 10);
+
+    if (newPassword.length < 8) {
+      this.showStatus('❌ Master password must be at least 8 characters', 'error');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      this.showStatus('❌ Master passwords do not match', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setMasterPassword',
+        data: { currentPassword, newPassword, lockTimeout }
+      });
+
+      if (!response || !response.success) {
+        this.showStatus('❌ ' + (response?.error || 'Failed to set master password'), 'error');
+        return;
+      }
+
+      this.clearMasterPasswordFields();
+      await this.loadVaultStatus();
+      this.showStatus('✅ Master password set. Credentials are now encrypted with it.', 'success');
+    } catch (error) {
+      this.log.error('Error setting master password:', error);
+      this.showStatus('❌ Error occurred while setting master password', 'error');
+    }
+  }
+
+  /**
+   * Unlock the vault from the options page
+   */
+  async unlockVault() {
+    const password = document.getElementById('currentMasterPassword').value;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'unlockVault',
+        data: { password }
+      });
+
+      if (!response || !response.success) {
+        this.showStatus('❌ ' + (response?.error || 'Unlock failed'), 'error');
+        return;
+      }
+
+      this.clearMasterPasswordFields();
+      await this.loadVaultStatus();
+      await this.loadExistingCredentials();
+    } catch (error) {
+      this.log.error('Error unlocking vault:', error);
+      this.showStatus('❌ Error occurred while unlocking', 'error');
+    }
+  }
+
+  /**
+   * Disable the master password and go back to the built-in key
+   */
+  async removeMasterPassword() {
+    if (!confirm('Remove the master password? Credentials will be encrypted with the built-in key again.')) {
+      return;
+    }
+
+    const password = document.getElementById('currentMasterPassword').value;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'removeMasterPassword',
+        data: { password }
+      });
+
+      if (!response || !response.success) {
+        this.showStatus('❌ ' + (response?.error || 'Failed to remove master password'), 'error');
+        return;
+      }
+
+      this.clearMasterPasswordFields();
+      await this.loadVaultStatus();
+      this.showStatus('Master password removed', 'success');
+    } catch (error) {
+      this.log.error('Error removing master password:', error);
+      this.showStatus('❌ Error occurred while removing master password', 'error');
+    }
+  }
+
+  /**
+   * Save the idle lock timeout
+   */
+  async saveLockTimeout() {
+    const lockTimeout = parseInt(document.getElementById('lockTimeout').value, 10);
+    if (!lockTimeout || lockTimeout < 1) return;
+
+    if (this.vaultStatus.enabled) {
+      await ExtensionStorage.set({ vaultLockTimeout: lockTimeout });
+      this.showStatus(`Credentials will lock after ${lockTimeout} idle minutes`, 'success');
+    }
+  }
+
+  /**
+   * Clear master password inputs
+   */
+  clearMasterPasswordFields() {
+    document.getElementById('currentMasterPassword').value = '';
+    document.getElementById('newMasterPassword').value = '';
+    document.getElementById('confirmMasterPassword').value = '';
+  }
+
   /**
    * Clear all stored credentials
    */
@@ -109,7 +493,7 @@ class OptionsManager {
     const clearBtn = document.getElementById('clearBtn');
     
     // Confirm before clearing
-    if (!confirm('Are you sure you want to clear all stored credentials?')) {
+    if (!confirm('Are you sure you want to clear all stored credentials? Every profile will be deleted.')) {
       return;
     }
 
@@ -118,20 +502,15 @@ class OptionsManager {
     clearBtn.disabled = true;
 
     try {
-      const success = await this.cryptoHelper.clearCredentials();
-      
-      if (success) {
-        // Clear form fields
-        document.getElementById('username').value = '';
-        document.getElementById('password').value = '';
-        
-        this.showStatus('🗑️ All credentials cleared successfully', 'success');
-        console.log('Credentials cleared from storage');
-      } else {
-        this.showStatus('❌ Failed to clear credentials', 'error');
-      }
+      await this.request('clearCredentials');
+
+      // Clear form fields and the profile list
+      await this.loadExistingCredentials();
+
+      this.showStatus('🗑️ All credentials cleared successfully', 'success');
+      this.log.info('Credentials cleared from storage');
     } catch (error) {
-      console.error('Error clearing credentials:', error);
+      this.log.error('Error clearing credentials:', error);
       this.showStatus('❌ Error occurred while clearing data', 'error');
     } finally {
       clearBtn.innerHTML = originalText;
@@ -140,23 +519,294 @@ class OptionsManager {
   }
 
   /**
-   * Open SRM login page in new tab
+   * Open the default portal's login page in new tab
    */
-  openLoginPage() {
+  async openLoginPage() {
     try {
-      const loginUrl = 'https://student.srmap.edu.in/srmapstudentcorner/HRDSystem';
+      const portal = await new PortalRegistry().getDefaultPortal();
       if (chrome.tabs && chrome.tabs.create) {
-        chrome.tabs.create({ url: loginUrl });
-        this.showStatus('🌐 Opening SRM login page...', 'success');
+        chrome.tabs.create({ url: portal.loginUrl });
+        this.showStatus(`🌐 Opening ${portal.name} login page...`, 'success');
       } else {
         this.showStatus('❌ Unable to open new tab', 'error');
       }
     } catch (error) {
-      console.error('Error opening login page:', error);
+      this.log.error('Error opening login page:', error);
       this.showStatus('❌ Error opening login page', 'error');
     }
   }
 
+  /**
+   * Load captcha preprocessing toggles
+   */
+  async loadPreprocessingSettings() {
+    try {
+      const result = await ExtensionStorage.get(['captchaPreprocessing', 'ocrMultiPass']);
+      const steps = { ...CaptchaPreprocessor.DEFAULT_STEPS, ...result.captchaPreprocessing };
+
+      document.querySelectorAll('#preprocessingSteps input[data-step]').forEach(checkbox => {
+        checkbox.checked = !!steps[checkbox.dataset.step];
+      });
+      document.getElementById('ocrMultiPass').checked = result.ocrMultiPass !== false;
+    } catch (error) {
+      this.log.error('Error loading preprocessing settings:', error);
+    }
+  }
+
+  /**
+   * Save captcha preprocessing toggles
+   */
+  async savePreprocessingSettings() {
+    const steps = {};
+    document.querySelectorAll('#preprocessingSteps input[data-step]').forEach(checkbox => {
+      steps[checkbox.dataset.step] = checkbox.checked;
+    });
+
+    try {
+      await ExtensionStorage.set({
+        captchaPreprocessing: steps,
+        ocrMultiPass: document.getElementById('ocrMultiPass').checked
+      });
+      this.showStatus('Preprocessing settings saved', 'success');
+    } catch (error) {
+      this.log.error('Error saving preprocessing settings:', error);
+      this.showStatus('❌ Failed to save preprocessing settings', 'error');
+    }
+  }
+
+  /**
+   * Load captcha retry settings
+   */
+  async loadRetrySettings() {
+    try {
+      const result = await ExtensionStorage.get(['captchaMaxAttempts', 'captchaRetryDelay', 'loginMaxAttempts']);
+      document.getElementById('captchaMaxAttempts').value = result.captchaMaxAttempts || 3;
+      document.getElementById('captchaRetryDelay').value = result.captchaRetryDelay ?? 500;
+      document.getElementById('loginMaxAttempts').value = result.loginMaxAttempts || 3;
+    } catch (error) {
+      this.log.error('Error loading retry settings:', error);
+    }
+  }
+
+  /**
+   * Save captcha retry settings
+   */
+  async saveRetrySettings() {
+    const captchaMaxAttempts = parseInt(document.getElementById('captchaMaxAttempts').value, 10);
+    const captchaRetryDelay = parseInt(document.getElementById('captchaRetryDelay').value, 10);
+    const loginMaxAttempts = parseInt(document.getElementById('loginMaxAttempts').value, 10);
+
+    if (!(captchaMaxAttempts >= 1 && captchaMaxAttempts <= 10) ||
+        !(loginMaxAttempts >= 1 && loginMaxAttempts <= 10) ||
+        !(captchaRetryDelay >= 0)) {
+      this.showStatus('❌ Attempts must be 1-10 and the wait must not be negative', 'error');
+      return;
+    }
+
+    try {
+      await ExtensionStorage.set({ captchaMaxAttempts, captchaRetryDelay, loginMaxAttempts });
+      this.showStatus('Retry settings saved', 'success');
+    } catch (error) {
+      this.log.error('Error saving retry settings:', error);
+      this.showStatus('❌ Failed to save retry settings', 'error');
+    }
+  }
+
+  /**
+   * Load session keep-alive settings
+   */
+  async loadKeepAliveSettings() {
+    try {
+      const result = await ExtensionStorage.get(['keepAliveEnabled', 'reloginReturnEnabled', 'keepAliveUrl', 'keepAliveInterval']);
+      document.getElementById('keepAliveEnabled').checked = !!result.keepAliveEnabled;
+      document.getElementById('reloginReturnEnabled').checked = result.reloginReturnEnabled !== false;
+      document.getElementById('keepAliveUrl').value = result.keepAliveUrl || '';
+      document.getElementById('keepAliveInterval').value = result.keepAliveInterval || 5;
+    } catch (error) {
+      this.log.error('Error loading keep-alive settings:', error);
+    }
+  }
+
+  /**
+   * Save session keep-alive settings
+   */
+  async saveKeepAliveSettings() {
+    const keepAliveEnabled = document.getElementById('keepAliveEnabled').checked;
+    const reloginReturnEnabled = document.getElementById('reloginReturnEnabled').checked;
+    const keepAliveUrl = document.getElementById('keepAliveUrl').value.trim();
+    const keepAliveInterval = parseInt(document.getElementById('keepAliveInterval').value, 10);
+
+    if (!(keepAliveInterval >= 1 && keepAliveInterval <= 60)) {
+      this.showStatus('❌ Minutes between requests must be 1-60', 'error');
+      return;
+    }
+
+    // The background worker only has access to (and cookies for) configured portals
+    if (keepAliveUrl && !await new PortalRegistry().findPortalForOrigin(keepAliveUrl)) {
+      this.showStatus('❌ The keep-alive URL must be a page of a configured portal', 'error');
+      return;
+    }
+
+    if (keepAliveEnabled && !keepAliveUrl) {
+      this.showStatus('Enter a keep-alive URL to keep the session alive', 'error');
+      return;
+    }
+
+    try {
+      await ExtensionStorage.set({ keepAliveEnabled, reloginReturnEnabled, keepAliveUrl, keepAliveInterval });
+      this.showStatus('Keep-alive settings saved', 'success');
+    } catch (error) {
+      this.log.error('Error saving keep-alive settings:', error);
+      this.showStatus('❌ Failed to save keep-alive settings', 'error');
+    }
+  }
+
+  /**
+   * Load the auto-login rules
+   */
+  async loadRuleSettings() {
+    try {
+      const rules = await AutoLoginSchedule.load();
+      document.getElementById('fillOnlyEnabled').checked = rules.fillOnly;
+      document.getElementById('profileDisabled').checked = rules.disabledInThisProfile;
+      document.getElementById('windowsEnabled').checked = rules.windowsEnabled;
+      document.getElementById('timeWindows').value = AutoLoginSchedule.formatWindows(rules.windows);
+      document.getElementById('skipParams').value = rules.skipParams.join(', ');
+
+      const { mode, reason } = AutoLoginSchedule.evaluate(rules);
+      document.getElementById('pauseStatus').textContent = mode === 'paused' ? `⏸️ ${reason}` : '';
+    } catch (error) {
+      this.log.error('Error loading auto-login rules:', error);
+    }
+  }
+
+  /**
+   * Save the auto-login rules; the pause set from the popup is kept
+   */
+  async saveRuleSettings() {
+    const { windows, errors } = AutoLoginSchedule.parseWindows(document.getElementById('timeWindows').value);
+    if (errors.length > 0) {
+      this.showStatus(`❌ ${errors[0]}`, 'error');
+      return;
+    }
+
+    const windowsEnabled = document.getElementById('windowsEnabled').checked;
+    if (windowsEnabled && windows.length === 0) {
+      this.showStatus('Enter at least one time window', 'error');
+      return;
+    }
+
+    const skipParams = document.getElementById('skipParams').value
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    try {
+      await AutoLoginSchedule.update({
+        fillOnly: document.getElementById('fillOnlyEnabled').checked,
+        disabledInThisProfile: document.getElementById('profileDisabled').checked,
+        windowsEnabled,
+        windows,
+        skipParams
+      });
+      this.showStatus('Auto-login rules saved', 'success');
+    } catch (error) {
+      this.log.error('Error saving auto-login rules:', error);
+      this.showStatus('❌ Failed to save auto-login rules', 'error');
+    }
+  }
+
+  /**
+   * Load the collection toggle and dataset counts
+   */
+  async loadDatasetSettings() {
+    try {
+      const { captchaCollectionEnabled } = await ExtensionStorage.get(['captchaCollectionEnabled']);
+      document.getElementById('captchaCollectionEnabled').checked = !!captchaCollectionEnabled;
+
+      const stats = await this.captchaStore.getStats();
+      document.getElementById('datasetStats').textContent = stats.total === 0
+        ? 'No samples collected yet.'
+        : `${stats.total} sample(s): ${stats.confirmed} confirmed correct, ${stats.rejected} rejected, ${stats.unlabelled} not submitted or unknown.`;
+    } catch (error) {
+      this.log.error('Error loading captcha dataset:', error);
+    }
+  }
+
+  /**
+   * Turn captcha collection mode on or off
+   */
+  async saveCollectionSetting(enabled) {
+    try {
+      await ExtensionStorage.set({ captchaCollectionEnabled: enabled });
+      this.showStatus(enabled ? 'Captcha collection enabled' : 'Captcha collection disabled', 'success');
+    } catch (error) {
+      this.log.error('Error saving collection setting:', error);
+      this.showStatus('❌ Failed to save collection setting', 'error');
+    }
+  }
+
+  /**
+   * Download the collected captchas as a JSON dataset
+   */
+  async exportDataset() {
+    try {
+      const { captchaPreprocessing } = await ExtensionStorage.get(['captchaPreprocessing']);
+      const dataset = await this.captchaStore.exportDataset({ ...CaptchaPreprocessor.DEFAULT_STEPS, ...captchaPreprocessing });
+
+      if (dataset.samples.length === 0) {
+        this.showStatus('No captcha samples to export', 'error');
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(dataset)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `srm-auto-login-captchas-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      this.showStatus(`📤 Exported ${dataset.samples.length} captcha sample(s)`, 'success');
+    } catch (error) {
+      this.log.error('Error exporting captcha dataset:', error);
+      this.showStatus('❌ Failed to export dataset', 'error');
+    }
+  }
+
+  /**
+   * Delete all collected captchas
+   */
+  async clearDataset() {
+    if (!confirm('Delete all collected captcha samples?')) {
+      return;
+    }
+
+    try {
+      await this.captchaStore.clear();
+      await this.loadDatasetSettings();
+      this.showStatus('🗑️ Captcha dataset cleared', 'success');
+    } catch (error) {
+      this.log.error('Error clearing captcha dataset:', error);
+      this.showStatus('❌ Failed to clear dataset', 'error');
+    }
+  }
+
+  /**
+   * Show one tab panel and hide the others
+   * @param {string} tabId - Id of the panel to show
+   */
+  switchTab(tabId) {
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.tab === tabId);
+    });
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+      panel.classList.toggle('active', panel.id === tabId);
+    });
+
+    // The history tables need more room than the settings form
+    document.body.classList.toggle('wide', tabId === 'historyTab');
+  }
+
   /**
    * Validate form inputs
    */
@@ -202,7 +852,7 @@ class OptionsManager {
       const encrypted = await this.cryptoHelper.encrypt(testData);
       const decrypted = await this.cryptoHelper.decrypt(encrypted);
       
-      console.log('Storage test:', {
+      this.log.info('Storage test:', {
         original: testData,
         encrypted: encrypted,
         decrypted: decrypted,
@@ -211,7 +861,7 @@ class OptionsManager {
       
       return testData === decrypted;
     } catch (error) {
-      console.error('Storage test failed:', error);
+      this.log.error('Storage test failed:', error);
       return false;
     }
   }
@@ -224,12 +874,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // Expose for debugging
   window.optionsManager = optionsManager;
   
-  console.log('SRM Auto Login Options - Initialized');
+  optionsManager.log.info('SRM Auto Login Options - Initialized');
 });
 
 // Handle chrome extension context
 if (typeof chrome !== 'undefined' && chrome.runtime) {
-  console.log('Extension context detected');
+  new Logger('options').info('Extension context detected');
 } else {
-  console.warn('Not running in extension context');
+  new Logger('options').warn('Not running in extension context');
 }
@@ -0,0 +1,301 @@
+/**
+ * Field picker for SRM Auto Login
+ * Lets the user click the login form fields on the page and stores a
+ * selector for each as a per-portal override that the content script tries first
+ */
+
+// Fields the picker asks for, in order
+const PICKER_FIELDS = [
+  { key: 'username', label: 'username field' },
+  { key: 'password', label: 'password field' },
+  { key: 'captchaImage', label: 'captcha image' },
+  { key: 'captchaInput', label: 'captcha input' },
+  { key: 'submit', label: 'login button' }
+];
+
+class FieldPicker {
+  /**
+   * @param {Object} portal - Portal definition the overrides belong to
+   */
+  constructor(portal) {
+    this.log = new Logger('content');
+    this.portal = portal;
+    this.step = 0;
+    this.picked = {};
+    this.hovered = null;
+
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Show the overlay and start listening for clicks
+   * @returns {Promise<Object|null>} - Picked selectors, or null when cancelled
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.createOverlay();
+      this.updateBar();
+
+      // Capture phase so the page never sees the clicks (picking the login button must not submit)
+      ['mousedown', 'mouseup', 'click'].forEach(type => {
+        document.addEventListener(type, this.onClick, true);
+      });
+      document.addEventListener('mousemove', this.onMouseMove, true);
+      document.addEventListener('keydown', this.onKeyDown, true);
+
+      this.log.info('🎯 Field picker started');
+    });
+  }
+
+  /**
+   * Create the instruction bar and the hover highlight
+   */
+  createOverlay() {
+    this.highlight = document.createElement('div');
+    Object.assign(this.highlight.style, {
+      position: 'fixed',
+      pointerEvents: 'none',
+      border: '2px solid #ff9800',
+      background: 'rgba(255, 152, 0, 0.15)',
+      borderRadius: '3px',
+      zIndex: '2147483646',
+      display: 'none'
+    });
+
+    this.bar = document.createElement('div');
+    Object.assign(this.bar.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      right: '0',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '10px 16px',
+      background: '#2c3e50',
+      color: 'white',
+      fontSize: '14px',
+      fontFamily: 'Arial, sans-serif',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+      zIndex: '2147483647'
+    });
+
+    this.message = document.createElement('span');
+    this.message.style.flex = '1';
+    this.bar.appendChild(this.message);
+
+    this.skipButton = this.createButton('Skip', () => this.next(null));
+    this.cancelButton = this.createButton('Cancel', () => this.finish(null));
+    this.bar.appendChild(this.skipButton);
+    this.bar.appendChild(this.cancelButton);
+
+    document.body.appendChild(this.highlight);
+    document.body.appendChild(this.bar);
+  }
+
+  /**
+   * Create a button for the instruction bar
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    Object.assign(button.style, {
+      padding: '6px 12px',
+      border: '1px solid rgba(255,255,255,0.4)',
+      borderRadius: '4px',
+      background: 'rgba(255,255,255,0.15)',
+      color: 'white',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show which field to click next
+   */
+  updateBar() {
+    const field = PICKER_FIELDS[this.step];
+    this.message.textContent = `🎯 ${this.portal.name}: click the ${field.label} (${this.step + 1}/${PICKER_FIELDS.length}) · Esc to cancel`;
+  }
+
+  /**
+   * Highlight the element under the pointer
+   */
+  onMouseMove(event) {
+    const target = event.target;
+    if (this.isOwnElement(target)) {
+      this.highlight.style.display = 'none';
+      this.hovered = null;
+      return;
+    }
+
+    this.hovered = target;
+    const rect = target.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Pick the clicked element for the current field
+   */
+  onClick(event) {
+    if (this.isOwnElement(event.target)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.type !== 'click') return;
+
+    const field = PICKER_FIELDS[this.step];
+    const selector = FieldPicker.buildSelector(event.target);
+    this.log.info(`🎯 Picked ${field.key}: ${selector}`);
+    this.next(selector);
+  }
+
+  /**
+   * Cancel on Escape
+   */
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.finish(null);
+    }
+  }
+
+  /**
+   * Record the selector for the current field (null = skipped) and move on
+   */
+  next(selector) {
+    const field = PICKER_FIELDS[this.step];
+    if (selector) {
+      this.picked[field.key] = selector;
+    }
+
+    this.step++;
+    if (this.step < PICKER_FIELDS.length) {
+      this.updateBar();
+    } else {
+      this.finish(this.picked);
+    }
+  }
+
+  /**
+   * Remove the overlay and listeners and report the result
+   */
+  finish(result) {
+    ['mousedown', 'mouseup', 'click'].forEach(type => {
+      document.removeEventListener(type, this.onClick, true);
+    });
+    document.removeEventListener('mousemove', this.onMouseMove, true);
+    document.removeEventListener('keydown', this.onKeyDown, true);
+
+    this.highlight.remove();
+    this.bar.remove();
+
+    this.log.info(result ? '🎯 Field picker finished' : '🎯 Field picker cancelled');
+    this.resolve(result);
+  }
+
+  /**
+   * Whether an element belongs to the picker overlay
+   */
+  isOwnElement(element) {
+    return this.bar.contains(element) || element === this.highlight;
+  }
+
+  /**
+   * Build a selector that matches only the given element, preferring ones
+   * that survive markup changes (id, name, stable attributes) over DOM paths
+   * @param {Element} element - Picked element
+   * @returns {string} - CSS selector
+   */
+  static buildSelector(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+
+    if (element.id && !FieldPicker.looksGenerated(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    ['name', 'type', 'placeholder', 'alt', 'title', 'aria-label', 'value'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && value.length < 60 && !(attribute === 'value' && tag === 'input' && element.type !== 'submit' && element.type !== 'button')) {
+        candidates.push(`${tag}[${attribute}="${CSS.escape(value)}"]`);
+      }
+    });
+
+    // Captcha endpoints usually carry a cache-busting query string, so match the path only
+    const src = element.getAttribute('src');
+    if (src && !src.startsWith('data:')) {
+      const path = src.split('?')[0];
+      candidates.push(`${tag}[src*="${CSS.escape(path.slice(path.lastIndexOf('/') + 1) || path)}"]`);
+    }
+
+    const name = element.getAttribute('name');
+    const type = element.getAttribute('type');
+    if (name && type) {
+      candidates.push(`${tag}[type="${CSS.escape(type)}"][name="${CSS.escape(name)}"]`);
+    }
+
+    const unique = candidates.find(selector => FieldPicker.isUnique(selector, element));
+    return unique || FieldPicker.buildPath(element);
+  }
+
+  /**
+   * Fallback selector: the nth-of-type path from the closest element with a usable id
+   */
+  static buildPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current.id && !FieldPicker.looksGenerated(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Whether a selector matches exactly the given element
+   */
+  static isUnique(selector, element) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Ids with long digit runs or framework prefixes change between page loads
+   */
+  static looksGenerated(id) {
+    return /\d{4,}|^(ember|react|ng-|ui-id-|j_id)/i.test(id);
+  }
+}
+
+// Make FieldPicker available globally
+if (typeof window !== 'undefined') {
+  window.FieldPicker = FieldPicker;
+}
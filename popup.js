@@ -3,10 +3,22 @@
  * Handles popup UI interactions and status display
  */
 
+// How the content script's flow steps are described in the popup
+const STATE_STEP_LABELS = {
+  fill: 'filling credentials',
+  captcha: 'loading captcha',
+  ocr: 'solving captcha',
+  submit: 'submitting',
+  outcome: 'waiting for the portal'
+};
+
 class PopupManager {
   constructor() {
+    this.log = new Logger('popup');
+    this.portalRegistry = new PortalRegistry();
     this.initializeUI();
     this.checkStatus();
+    this.loadShortcuts();
   }
 
   /**
@@ -28,7 +40,48 @@ class PopupManager {
       this.clearStoredData();
     });
 
-    console.log('🎨 Popup UI initialized');
+    // Master password unlock form
+    document.getElementById('unlockForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlockVault();
+    });
+
+    // Lock now button
+    document.getElementById('lockBtn').addEventListener('click', () => {
+      this.lockVault();
+    });
+
+    // Make the selected profile the default
+    document.getElementById('defaultProfileBtn').addEventListener('click', () => {
+      this.setDefaultProfile();
+    });
+
+    // Stop the auto-login running in the current tab
+    document.getElementById('cancelRunBtn').addEventListener('click', () => {
+      this.cancelAutoLogin();
+    });
+
+    // Pause and resume auto-login
+    document.getElementById('pauseBtn').addEventListener('click', () => {
+      const minutes = Number(document.getElementById('pauseDuration').value);
+      this.pauseAutoLogin(Date.now() + minutes * 60 * 1000);
+    });
+
+    document.getElementById('pauseTomorrowBtn').addEventListener('click', () => {
+      this.pauseAutoLogin(AutoLoginSchedule.tomorrow());
+    });
+
+    document.getElementById('resumeBtn').addEventListener('click', () => {
+      this.pauseAutoLogin(null);
+    });
+
+    // Shortcuts are rebound on Chrome's own page
+    document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+      window.close();
+    });
+
+    this.log.info('🎨 Popup UI initialized');
   }
 
   /**
@@ -37,19 +90,25 @@ class PopupManager {
   async checkStatus() {
     try {
       // Check if credentials are stored
-      const result = await chrome.storage.local.get(['credentialsStored', 'lastUpdated']);
+      const result = await ExtensionStorage.get(['credentialsStored', 'credentialsUpdatedAt', 'loginBlocked']);
       
       const statusDot = document.getElementById('statusDot');
       const statusText = document.getElementById('statusText');
       const statusDetails = document.getElementById('statusDetails');
 
-      if (result.credentialsStored) {
+      if (result.credentialsStored && result.loginBlocked) {
+        statusDot.className = 'status-dot inactive';
+        statusText.textContent = 'Auto-login stopped';
+        statusDetails.textContent = result.loginBlocked.reason === 'account_locked'
+          ? 'The portal reported a locked account. Update your credentials to resume.'
+          : 'The portal rejected your password. Update your credentials to resume.';
+      } else if (result.credentialsStored) {
         statusDot.className = 'status-dot active';
         statusText.textContent = 'Ready for auto-login';
         
-        if (result.lastUpdated) {
-          const lastUpdated = new Date(result.lastUpdated);
-          statusDetails.textContent = `Credentials saved on ${lastUpdated.toLocaleDateString()}`;
+        if (result.credentialsUpdatedAt) {
+          const updatedAt = new Date(result.credentialsUpdatedAt);
+          statusDetails.textContent = `Credentials saved on ${updatedAt.toLocaleDateString()}`;
         } else {
           statusDetails.textContent = 'Credentials are configured';
         }
@@ -59,32 +118,247 @@ class PopupManager {
         statusDetails.textContent = 'Click "Configure Credentials" to set up auto-login';
       }
 
+      // Fill the profile switcher
+      await this.loadProfiles();
+
+      // Show whether auto-login is paused, scheduled or in fill-only mode
+      await this.checkMode();
+
+      // Check master password lock state
+      await this.checkVaultStatus();
+
+      // Show whether the bundled OCR engine is usable
+      await this.checkOcrStatus();
+
       // Check current tab
       await this.checkCurrentTab();
 
     } catch (error) {
-      console.error('Error checking status:', error);
+      this.log.error('Error checking status:', error);
       this.showError('Error checking status');
     }
   }
 
   /**
-   * Check if current tab is the SRM login page
+   * Fill the profile switcher (only shown when there is more than one profile)
+   */
+  async loadProfiles() {
+    const response = await chrome.runtime.sendMessage({ action: 'getProfiles' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not load profiles');
+    }
+
+    const { profiles, defaultProfileId } = response.data;
+    const select = document.getElementById('profileSelect');
+    const selected = select.value || defaultProfileId;
+    select.innerHTML = '';
+
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.isDefault ? `⭐ ${profile.name}` : profile.name;
+      select.appendChild(option);
+    });
+
+    if (profiles.some(profile => profile.id === selected)) {
+      select.value = selected;
+    }
+
+    document.getElementById('profileSwitcher').style.display = profiles.length > 1 ? 'flex' : 'none';
+  }
+
+  /**
+   * Make the profile chosen in the switcher the default
+   */
+  async setDefaultProfile() {
+    const profileId = document.getElementById('profileSelect').value;
+    if (!profileId) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'setDefaultProfile',
+        data: { profileId }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      await this.loadProfiles();
+      this.showSuccess('Default profile updated');
+    } catch (error) {
+      this.log.error('Error setting default profile:', error);
+      this.showError('Failed to set default profile');
+    }
+  }
+
+  /**
+   * Show the result of the OCR self-check run by the background worker
+   */
+  async checkOcrStatus() {
+    const { ocrSelfCheck, ocrLastLoad } = await ExtensionStorage.get(['ocrSelfCheck', 'ocrLastLoad']);
+    const ocrStatus = document.getElementById('ocrStatus');
+
+    if (!ocrSelfCheck) {
+      ocrStatus.textContent = '🤖 OCR engine: not checked yet';
+    } else if (!ocrSelfCheck.ok) {
+      ocrStatus.textContent = `⚠️ OCR engine files missing: ${ocrSelfCheck.missing.join(', ')}. Reinstall the extension.`;
+    } else if (ocrLastLoad && !ocrLastLoad.ok) {
+      ocrStatus.textContent = `⚠️ OCR engine is bundled but failed to load last time: ${ocrLastLoad.error}`;
+    } else {
+      ocrStatus.textContent = `🤖 OCR engine: Tesseract.js ${ocrSelfCheck.version}, loaded locally (works offline)`;
+    }
+  }
+
+  /**
+   * Show the auto-login mode from the scheduling rules, with pause or resume controls
+   */
+  async checkMode() {
+    const rules = await AutoLoginSchedule.load();
+    const { mode, reason } = AutoLoginSchedule.evaluate(rules);
+    const modeText = document.getElementById('modeText');
+    const paused = mode === 'paused';
+
+    if (mode === 'active') {
+      modeText.textContent = '▶️ Auto-login is on';
+    } else if (mode === 'fillOnly') {
+      modeText.textContent = '✍️ Fill only: forms are filled but not submitted';
+    } else {
+      modeText.textContent = `⏸️ ${reason}`;
+    }
+
+    document.getElementById('pauseControls').style.display = paused || mode === 'disabled' ? 'none' : 'flex';
+    document.getElementById('resumeBtn').style.display = paused ? 'block' : 'none';
+  }
+
+  /**
+   * Pause auto-login until a time, or resume it
+   * @param {number|null} until - Timestamp, or null to resume
+   */
+  async pauseAutoLogin(until) {
+    try {
+      await AutoLoginSchedule.update({ pausedUntil: until });
+      await this.checkMode();
+      this.showSuccess(until ? `Paused until ${AutoLoginSchedule.formatTime(until)}` : 'Auto-login resumed');
+    } catch (error) {
+      this.log.error('Error pausing auto-login:', error);
+      this.showError('Failed to change the pause');
+    }
+  }
+
+  /**
+   * List the keyboard shortcuts with the keys currently bound to them
+   */
+  async loadShortcuts() {
+    try {
+      const commands = await chrome.commands.getAll();
+      const list = document.getElementById('shortcutList');
+      list.innerHTML = '';
+
+      commands.filter(command => command.description).forEach(command => {
+        const row = document.createElement('div');
+        const label = document.createElement('span');
+        label.textContent = command.description;
+        const keys = document.createElement('kbd');
+        keys.textContent = command.shortcut || 'Not set';
+        row.appendChild(label);
+        row.appendChild(keys);
+        list.appendChild(row);
+      });
+    } catch (error) {
+      this.log.error('Error loading shortcuts:', error);
+    }
+  }
+
+  /**
+   * Show the unlock form or lock button depending on the vault state
+   */
+  async checkVaultStatus() {
+    const response = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+    const vault = response && response.success ? response.data : { enabled: false, locked: false };
+
+    document.getElementById('vaultCard').style.display = vault.locked ? 'block' : 'none';
+    document.getElementById('lockBtn').style.display = vault.enabled && !vault.locked ? 'block' : 'none';
+
+    if (vault.locked) {
+      document.getElementById('statusDot').className = 'status-dot inactive';
+      document.getElementById('statusText').textContent = 'Locked';
+      document.getElementById('masterPassword').focus();
+    }
+  }
+
+  /**
+   * Unlock the vault with the entered master password
+   */
+  async unlockVault() {
+    const input = document.getElementById('masterPassword');
+    const unlockBtn = document.getElementById('unlockBtn');
+    unlockBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'unlockVault',
+        data: { password: input.value }
+      });
+
+      if (!response || !response.success) {
+        this.showError(response?.error || 'Unlock failed');
+        input.select();
+        return;
+      }
+
+      input.value = '';
+      await this.checkStatus();
+      this.showSuccess('Unlocked');
+
+      // Resume auto-login if the portal is open in this tab
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tabs[0] && await this.portalRegistry.findPortalForUrl(tabs[0].url)) {
+        await this.triggerAutoLogin();
+      }
+    } catch (error) {
+      this.log.error('Error unlocking vault:', error);
+      this.showError('Unlock failed');
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Lock the vault immediately
+   */
+  async lockVault() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'lockVault' });
+      await this.checkStatus();
+    } catch (error) {
+      this.log.error('Error locking vault:', error);
+      this.showError('Failed to lock');
+    }
+  }
+
+  /**
+   * Check if current tab is a portal login page
    */
   async checkCurrentTab() {
     try {
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
       const currentTab = tabs[0];
 
-      if (currentTab && currentTab.url && currentTab.url.includes('student.srmap.edu.in/srmapstudentcorner/HRDSystem')) {
+      const portal = currentTab ? await this.portalRegistry.findPortalForUrl(currentTab.url) : null;
+
+      if (portal) {
         const statusDetails = document.getElementById('statusDetails');
-        statusDetails.innerHTML = statusDetails.innerHTML + '<br>📍 Currently on SRM login page';
+        statusDetails.appendChild(document.createElement('br'));
+        statusDetails.appendChild(document.createTextNode(`📍 Currently on ${portal.name} login page`));
         
         // Add a trigger auto-login button
         this.addTriggerButton();
+        this.addPickFieldsButton();
+
+        // Follow the auto-login in this tab while the popup is open
+        this.watchTabState(currentTab.id);
       }
     } catch (error) {
-      console.error('Error checking current tab:', error);
+      this.log.error('Error checking current tab:', error);
     }
   }
 
@@ -111,6 +385,132 @@ class PopupManager {
     buttonGroup.insertBefore(triggerBtn, buttonGroup.children[1]);
   }
 
+  /**
+   * Poll the content script for the auto-login state of a tab
+   * @param {number} tabId - Tab on a portal login page
+   */
+  watchTabState(tabId) {
+    this.watchedTabId = tabId;
+    const poll = async () => {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'getAutoLoginState' });
+        this.renderTabState(response && response.success ? response.data : null);
+      } catch (error) {
+        // Content script not loaded (yet)
+        this.renderTabState(null);
+      }
+    };
+
+    poll();
+    clearInterval(this.stateTimer);
+    this.stateTimer = setInterval(poll, 1000);
+  }
+
+  /**
+   * Show the current step of the tab's auto-login and the cancel button while it runs
+   * @param {Object|null} state - From the content script's getState
+   */
+  renderTabState(state) {
+    const tabState = document.getElementById('tabState');
+    const cancelBtn = document.getElementById('cancelRunBtn');
+
+    if (!state) {
+      tabState.style.display = 'none';
+      cancelBtn.style.display = 'none';
+      return;
+    }
+
+    const steps = Object.values(state.steps || {});
+    const active = Object.entries(state.steps || {}).find(([, step]) => step.state === 'active');
+    let text;
+    if (state.running) {
+      const label = active ? (STATE_STEP_LABELS[active[0]] || active[0]) : 'Starting';
+      text = `⏳ Auto-login running: ${label}${active && active[1].detail ? ` (${active[1].detail})` : ''}`;
+    } else if (state.skipped) {
+      text = '🚫 Auto-login is off until the page reloads';
+    } else if (state.message) {
+      text = `${state.message.type === 'error' ? '❌' : state.message.type === 'success' ? '✅' : 'ℹ️'} ${state.message.text}`;
+    } else if (steps.length === 0) {
+      text = '💤 Auto-login has not run on this page';
+    } else {
+      text = '💤 Auto-login finished';
+    }
+
+    tabState.textContent = text;
+    tabState.style.display = 'block';
+    cancelBtn.style.display = state.running ? 'block' : 'none';
+  }
+
+  /**
+   * Cancel the auto-login running in the watched tab
+   */
+  async cancelAutoLogin() {
+    if (!this.watchedTabId) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.watchedTabId, { action: 'cancelAutoLogin' });
+      if (response && response.success && response.data.cancelled) {
+        this.showSuccess('Auto-login cancelled');
+      }
+    } catch (error) {
+      this.log.error('Error cancelling auto-login:', error);
+      this.showError('Failed to cancel auto-login: ' + error.message);
+    }
+  }
+
+  /**
+   * Add a button that starts the field picker on the current tab
+   */
+  addPickFieldsButton() {
+    const buttonGroup = document.querySelector('.button-group');
+
+    if (document.getElementById('pickFieldsBtn')) return;
+
+    const pickFieldsBtn = document.createElement('button');
+    pickFieldsBtn.id = 'pickFieldsBtn';
+    pickFieldsBtn.innerHTML = '🎯 Pick Login Fields';
+    pickFieldsBtn.title = 'Click the login form fields on the page to teach the extension where they are';
+
+    pickFieldsBtn.addEventListener('click', () => {
+      this.startFieldPicker();
+    });
+
+    // Insert after the trigger button
+    buttonGroup.insertBefore(pickFieldsBtn, document.getElementById('triggerBtn').nextSibling);
+  }
+
+  /**
+   * Start the field picker overlay on the current tab
+   */
+  async startFieldPicker() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const currentTab = tabs[0];
+
+      if (!currentTab || !await this.portalRegistry.findPortalForUrl(currentTab.url)) {
+        this.showError('Please navigate to a portal login page first');
+        return;
+      }
+
+      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'startFieldPicker' });
+
+      if (response && response.success) {
+        // The picker overlay needs the page, so get out of the way
+        window.close();
+      } else {
+        this.showError('Failed to start field picker: ' + (response?.error || 'Unknown error'));
+      }
+
+    } catch (error) {
+      this.log.error('Error starting field picker:', error);
+      if (error.message.includes('Could not establish connection')) {
+        this.showError('Content script not loaded. Please refresh the page and try again.');
+      } else {
+        this.showError('Failed to start field picker: ' + error.message);
+      }
+    }
+  }
+
   /**
    * Trigger auto-login on current tab
    */
@@ -124,15 +524,16 @@ class PopupManager {
         return;
       }
 
-      // Check if tab is on SRM login page
-      if (!currentTab.url || !currentTab.url.includes('student.srmap.edu.in/srmapstudentcorner/HRDSystem')) {
-        this.showError('Please navigate to SRM login page first');
+      // Check if tab is on a portal login page
+      if (!await this.portalRegistry.findPortalForUrl(currentTab.url)) {
+        this.showError('Please navigate to a portal login page first');
         return;
       }
 
-      // Send message to content script to trigger auto-login
+      // Send message to content script to trigger auto-login with the profile picked in the switcher
       const response = await chrome.tabs.sendMessage(currentTab.id, {
-        action: 'triggerAutoLogin'
+        action: 'triggerAutoLogin',
+        profileId: document.getElementById('profileSelect').value || null
       });
 
       if (response && response.success) {
@@ -147,7 +548,7 @@ class PopupManager {
       }
 
     } catch (error) {
-      console.error('Error triggering auto-login:', error);
+      this.log.error('Error triggering auto-login:', error);
       if (error.message.includes('Could not establish connection')) {
         this.showError('Content script not loaded. Please refresh the page and try again.');
       } else {
@@ -167,17 +568,18 @@ class PopupManager {
   }
 
   /**
-   * Open SRM login page
+   * Open the default portal's login page
    */
-  openLoginPage() {
+  async openLoginPage() {
+    const portal = await this.portalRegistry.getDefaultPortal();
     chrome.tabs.create({
-      url: 'https://student.srmap.edu.in/srmapstudentcorner/HRDSystem'
+      url: portal.loginUrl
     });
     window.close();
   }
 
   /**
-   * Clear stored data
+   * Clear the stored credential profiles (settings, portals and the master password are kept)
    */
   async clearStoredData() {
     if (!confirm('Are you sure you want to clear all stored credentials?')) {
@@ -185,8 +587,11 @@ class PopupManager {
     }
 
     try {
-      await chrome.storage.local.clear();
-      this.showSuccess('All data cleared');
+      const response = await chrome.runtime.sendMessage({ action: 'clearCredentials' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'The extension did not answer');
+      }
+      this.showSuccess('All credentials cleared');
       
       // Update status
       setTimeout(() => {
@@ -194,7 +599,7 @@ class PopupManager {
       }, 500);
 
     } catch (error) {
-      console.error('Error clearing data:', error);
+      this.log.error('Error clearing data:', error);
       this.showError('Failed to clear data');
     }
   }
@@ -235,19 +640,19 @@ class PopupManager {
    */
   async getExtensionStats() {
     try {
-      const result = await chrome.storage.local.get([
+      const result = await ExtensionStorage.get([
         'installedAt',
         'activityLog',
-        'lastUpdated'
+        'credentialsUpdatedAt'
       ]);
 
       return {
         installedAt: result.installedAt,
-        activityCount: result.activityLog ? result.activityLog.length : 0,
-        lastUpdated: result.lastUpdated
+        activityCount: result.activityLog.length,
+        credentialsUpdatedAt: result.credentialsUpdatedAt
       };
     } catch (error) {
-      console.error('Error getting stats:', error);
+      this.log.error('Error getting stats:', error);
       return null;
     }
   }
@@ -260,7 +665,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Expose for debugging
   window.popupManager = popupManager;
   
-  console.log('🚀 SRM Auto Login Popup - Initialized');
+  popupManager.log.info('🚀 SRM Auto Login Popup - Initialized');
 });
 
 // Handle popup communication
@@ -0,0 +1,320 @@
+/**
+ * Portal definitions section of the options page
+ * Lists built-in and user-defined portals and handles adding, importing,
+ * exporting and granting host access at runtime
+ */
+
+class PortalSettings {
+  constructor() {
+    this.log = new Logger('options');
+    this.portalRegistry = new PortalRegistry();
+    this.initializeEventListeners();
+    this.renderPortals();
+  }
+
+  /**
+   * Initialize editor, import and export listeners
+   */
+  initializeEventListeners() {
+    document.getElementById('savePortalBtn').addEventListener('click', () => {
+      this.saveFromEditor();
+    });
+
+    document.getElementById('templatePortalBtn').addEventListener('click', () => {
+      this.loadTemplate();
+    });
+
+    document.getElementById('importPortalBtn').addEventListener('click', () => {
+      document.getElementById('portalFile').click();
+    });
+
+    document.getElementById('portalFile').addEventListener('change', (e) => {
+      this.importFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    document.getElementById('exportPortalsBtn').addEventListener('click', () => {
+      this.exportPortals();
+    });
+  }
+
+  /**
+   * Render the list of portals with their access state and actions
+   */
+  async renderPortals() {
+    const portals = await this.portalRegistry.getPortals();
+    const defaultPortal = await this.portalRegistry.getDefaultPortal();
+    const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+    const list = document.getElementById('portalList');
+    list.innerHTML = '';
+
+    for (const portal of portals) {
+      const granted = await chrome.permissions.contains({ origins: PortalRegistry.originsFor(portal) });
+
+      const item = document.createElement('div');
+      item.className = 'portal-item';
+
+      const title = document.createElement('div');
+      title.className = 'portal-item-title';
+      title.textContent = portal.id === defaultPortal.id ? `⭐ ${portal.name}` : portal.name;
+      title.appendChild(this.createBadge(portal.builtIn ? 'Built-in' : 'Custom', 'ok'));
+      title.appendChild(granted ? this.createBadge('Access granted', 'ok') : this.createBadge('Needs access', 'warn'));
+      const picked = selectorOverrides && selectorOverrides[portal.id];
+      if (picked) {
+        title.appendChild(this.createBadge('Picked fields', 'ok'));
+      }
+      item.appendChild(title);
+
+      const meta = document.createElement('div');
+      meta.className = 'portal-item-meta';
+      meta.textContent = `${portal.id} · ${portal.matches.join(', ')}`;
+      item.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'portal-item-actions';
+      actions.appendChild(this.createAction('🌐 Open', () => chrome.tabs.create({ url: portal.loginUrl })));
+      actions.appendChild(this.createAction('⭐ Default', () => this.setDefault(portal)));
+      actions.appendChild(this.createAction('📤 Export', () => this.download([portal], `portal-${portal.id}.json`)));
+
+      if (!granted) {
+        actions.appendChild(this.createAction('🔓 Grant Access', () => this.requestAccess([portal])));
+      }
+
+      if (picked) {
+        actions.appendChild(this.createAction('🧹 Reset Picked Fields', () => this.resetPickedFields(portal)));
+      }
+
+      if (!portal.builtIn) {
+        actions.appendChild(this.createAction('✏️ Edit', () => this.editPortal(portal)));
+        actions.appendChild(this.createAction('❌ Delete', () => this.deletePortal(portal)));
+      }
+
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Create a small status badge
+   */
+  createBadge(text, type) {
+    const badge = document.createElement('span');
+    badge.className = `badge ${type}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  /**
+   * Create a portal action button
+   */
+  createAction(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Fill the editor with a copy of the built-in SRM definition
+   */
+  loadTemplate() {
+    const template = JSON.parse(JSON.stringify(BUILTIN_PORTALS[0]));
+    delete template.builtIn;
+    template.id = 'my-portal';
+    template.name = 'My Portal';
+
+    document.getElementById('portalJson').value = JSON.stringify(template, null, 2);
+  }
+
+  /**
+   * Load a custom portal into the editor
+   */
+  editPortal(portal) {
+    document.getElementById('portalJson').value = JSON.stringify(portal, null, 2);
+    document.getElementById('portalJson').focus();
+  }
+
+  /**
+   * Save the definition(s) in the editor
+   */
+  async saveFromEditor() {
+    let parsed;
+    try {
+      parsed = JSON.parse(document.getElementById('portalJson').value);
+    } catch (error) {
+      this.showStatus('❌ Portal definition is not valid JSON', 'error');
+      return;
+    }
+
+    if (await this.savePortals(parsed)) {
+      document.getElementById('portalJson').value = '';
+    }
+  }
+
+  /**
+   * Import definition(s) from a JSON file
+   * @param {File} file - Selected file
+   */
+  async importFile(file) {
+    if (!file) return;
+
+    try {
+      await this.savePortals(JSON.parse(await file.text()));
+    } catch (error) {
+      this.log.error('Error importing portals:', error);
+      this.showStatus('❌ Could not read the portal file: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Validate, request access for and store one or more definitions
+   * @param {Object|Array<Object>} input - A definition or a list of definitions
+   * @returns {Promise<boolean>} - Whether the definitions were saved
+   */
+  async savePortals(input) {
+    const definitions = Array.isArray(input) ? input : [input];
+
+    for (const definition of definitions) {
+      const errors = PortalRegistry.validate(definition);
+      if (errors.length > 0) {
+        const label = definition && definition.id ? `"${definition.id}"` : 'Portal';
+        this.showStatus(`❌ ${label}: ${errors.join('; ')}`, 'error');
+        return false;
+      }
+    }
+
+    // An "Export All" file also contains the built-in portals, which are always present
+    const normalized = definitions
+      .filter(definition => !BUILTIN_PORTALS.some(portal => portal.id === definition.id))
+      .map(definition => PortalRegistry.normalize(definition));
+
+    if (normalized.length === 0) {
+      this.showStatus('Nothing to save: built-in portals are already included', 'success');
+      return true;
+    }
+
+    try {
+      await this.portalRegistry.savePortals(normalized);
+    } catch (error) {
+      this.showStatus('❌ ' + error.message, 'error');
+      return false;
+    }
+
+    const granted = await this.requestAccess(normalized);
+    this.showStatus(granted
+      ? `✅ Saved ${normalized.length} portal(s). Auto-login will run on their login pages.`
+      : `⚠️ Saved ${normalized.length} portal(s), but access was not granted. Use "Grant Access" to enable them.`,
+      granted ? 'success' : 'error');
+
+    await this.renderPortals();
+    return true;
+  }
+
+  /**
+   * Ask Chrome for host access to the given portals
+   * @param {Array<Object>} portals - Portal definitions
+   * @returns {Promise<boolean>} - Whether access was granted
+   */
+  async requestAccess(portals) {
+    const origins = Array.from(new Set(portals.flatMap(portal => PortalRegistry.originsFor(portal))));
+
+    try {
+      const granted = await chrome.permissions.request({ origins });
+      await this.renderPortals();
+      return granted;
+    } catch (error) {
+      this.log.error('Error requesting portal access:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Make a portal the one opened by "Test Login Page"
+   */
+  async setDefault(portal) {
+    await this.portalRegistry.setDefaultPortal(portal.id);
+    await this.renderPortals();
+    this.showStatus(`⭐ "Test Login Page" will open ${portal.name}`, 'success');
+  }
+
+  /**
+   * Forget the fields picked on a portal's login page
+   */
+  async resetPickedFields(portal) {
+    const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+    if (selectorOverrides) {
+      delete selectorOverrides[portal.id];
+      await ExtensionStorage.set({ selectorOverrides });
+    }
+
+    await this.renderPortals();
+    this.showStatus(`🧹 Picked fields for ${portal.name} cleared`, 'success');
+  }
+
+  /**
+   * Delete a custom portal
+   */
+  async deletePortal(portal) {
+    if (!confirm(`Delete the portal "${portal.name}"?`)) {
+      return;
+    }
+
+    await this.portalRegistry.deletePortal(portal.id);
+
+    const { selectorOverrides } = await ExtensionStorage.get(['selectorOverrides']);
+    if (selectorOverrides && selectorOverrides[portal.id]) {
+      delete selectorOverrides[portal.id];
+      await ExtensionStorage.set({ selectorOverrides });
+    }
+
+    // Give back host access no other portal needs
+    const remaining = await this.portalRegistry.getPortals();
+    const stillNeeded = new Set(remaining.flatMap(other => PortalRegistry.originsFor(other)));
+    const unused = PortalRegistry.originsFor(portal).filter(origin => !stillNeeded.has(origin));
+    if (unused.length > 0) {
+      await chrome.permissions.remove({ origins: unused });
+    }
+
+    await this.renderPortals();
+    this.showStatus(`🗑️ Portal "${portal.name}" deleted`, 'success');
+  }
+
+  /**
+   * Export all portal definitions
+   */
+  async exportPortals() {
+    const portals = await this.portalRegistry.getPortals();
+    this.download(portals.map(portal => {
+      const copy = { ...portal };
+      delete copy.builtIn;
+      return copy;
+    }), 'srm-auto-login-portals.json');
+  }
+
+  /**
+   * Save definitions as a JSON file download
+   */
+  download(portals, filename) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(portals, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show a status message using the options page status area
+   */
+  showStatus(message, type) {
+    if (window.optionsManager) {
+      window.optionsManager.showStatus(message, type);
+    }
+  }
+}
+
+// Initialize portal settings when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.portalSettings = new PortalSettings();
+});
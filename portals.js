@@ -0,0 +1,436 @@
+/**
+ * Portal definitions for SRM Auto Login
+ * A portal definition describes where a login page lives and how to find its
+ * fields, so the extension can work on portals other than the built-in one
+ *
+ * Definition format (JSON):
+ * {
+ *   "id": "srm-ap",                        // unique, lowercase letters, digits and dashes
+ *   "name": "SRM AP Student Portal",
+ *   "loginUrl": "https://.../HRDSystem",   // opened by "Test Login Page"
+ *   "matches": ["https://.../HRDSystem*"], // Chrome match patterns for the login page
+ *   "captchaUrl": "https://.../captchas",  // optional, fetched for a fresh captcha
+ *   "captchaFormat": {                     // optional, used by multi-pass OCR voting
+ *     "length": 6,                         // null = decided by the OCR readings
+ *     "charset": "A-Za-z0-9"               // regex character class body
+ *   },
+ *   "selectors": {                         // CSS selectors, tried in order
+ *     "username": [], "password": [], "captchaImage": [],
+ *     "captchaInput": [], "captchaRefresh": [], "submit": []
+ *   },
+ *   "successMarkers": {                    // optional, any match means logged in
+ *     "urlPatterns": [], "selectors": []
+ *   },
+ *   "failureMarkers": {
+ *     "errorSelectors": [],                // elements that hold the error message
+ *     "patterns": [{ "outcome": "wrong_captcha", "pattern": "regex source", "flags": "i" }]
+ *   }
+ * }
+ */
+
+// Outcomes a failure marker can report
+const PORTAL_FAILURE_OUTCOMES = ['wrong_captcha', 'wrong_password', 'account_locked', 'server_error'];
+
+// Selector groups every definition must provide
+const PORTAL_SELECTOR_KEYS = ['username', 'password', 'captchaImage', 'captchaInput', 'captchaRefresh', 'submit'];
+
+// Definition shipped with the extension (also declared statically in manifest.json)
+const BUILTIN_PORTALS = [
+  {
+    id: 'srm-ap',
+    name: 'SRM AP Student Portal',
+    builtIn: true,
+    loginUrl: 'https://student.srmap.edu.in/srmapstudentcorner/HRDSystem',
+    matches: ['https://student.srmap.edu.in/srmapstudentcorner/HRDSystem*'],
+    captchaUrl: 'https://student.srmap.edu.in/srmapstudentcorner/captchas',
+    captchaFormat: {
+      length: null,
+      charset: 'A-Za-z0-9'
+    },
+    selectors: {
+      username: [
+        'input[name="username"]',
+        'input[name="user"]',
+        'input[name="userid"]',
+        'input[name="login"]',
+        'input[id*="username"]',
+        'input[id*="user"]',
+        'input[placeholder*="username"]',
+        'input[placeholder*="User"]',
+        'input[type="text"]'
+      ],
+      password: [
+        'input[name="password"]',
+        'input[name="pass"]',
+        'input[name="pwd"]',
+        'input[id*="password"]',
+        'input[id*="pass"]',
+        'input[type="password"]'
+      ],
+      captchaImage: [
+        'img[src*="captcha"]',
+        'img[src*="Captcha"]',
+        'img[src*="CAPTCHA"]',
+        'img[alt*="captcha"]',
+        'img[id*="captcha"]',
+        'img[class*="captcha"]',
+        'img[src*="code"]',
+        'img[src*="verify"]'
+      ],
+      captchaInput: [
+        'input[name*="captcha"]',
+        'input[name*="Captcha"]',
+        'input[name*="CAPTCHA"]',
+        'input[id*="captcha"]',
+        'input[placeholder*="captcha"]',
+        'input[placeholder*="code"]',
+        'input[placeholder*="verification"]',
+        'input[name*="code"]',
+        'input[name*="verify"]'
+      ],
+      captchaRefresh: [
+        'a[onclick*="captcha"]',
+        'a[onclick*="Captcha"]',
+        'img[onclick*="captcha"]',
+        '[id*="refresh"]',
+        '[class*="refresh"]',
+        'img[src*="refresh"]',
+        'a[title*="Refresh"]'
+      ],
+      submit: [
+        'input[type="submit"]',
+        'button[type="submit"]',
+        'input[value*="Login"]',
+        'input[value*="Sign"]',
+        '.login-btn',
+        '#login-btn',
+        'form button',
+        'form input[type="button"]'
+      ]
+    },
+    successMarkers: {
+      urlPatterns: [],
+      selectors: []
+    },
+    failureMarkers: {
+      errorSelectors: [
+        '.error',
+        '.alert',
+        '.alert-danger',
+        '.text-danger',
+        '[class*="error"]',
+        '[id*="error"]',
+        '[id*="msg"]',
+        '[class*="msg"]',
+        'font[color="red"]',
+        'span[style*="red"]'
+      ],
+      patterns: [
+        { outcome: 'wrong_captcha', pattern: '(invalid|incorrect|wrong|mismatch(ed)?)\\s*(captcha|security code|verification code)|(captcha|security code|verification code)\\s*(is\\s*)?(invalid|incorrect|wrong|does not match|mismatch)', flags: 'i' },
+        { outcome: 'account_locked', pattern: 'account\\s*(is\\s*|has been\\s*)?(locked|blocked|disabled|suspended)|too many (failed\\s*)?(login\\s*)?attempts', flags: 'i' },
+        { outcome: 'wrong_password', pattern: '(invalid|incorrect|wrong)\\s*(user\\s*(name|id)?|login|password|credentials)|(password|user\\s*(name|id)?)\\s*(is\\s*)?(invalid|incorrect|wrong)|authentication failed', flags: 'i' },
+        { outcome: 'server_error', pattern: 'server error|internal error|service (is\\s*)?(temporarily\\s*)?unavailable|something went wrong|please try again later|http status 5\\d\\d', flags: 'i' }
+      ]
+    }
+  }
+];
+
+class PortalRegistry {
+  /**
+   * Load built-in and user-defined portals
+   * @returns {Promise<Array<Object>>} - All portal definitions, built-in first
+   */
+  async getPortals() {
+    const result = await ExtensionStorage.get(['portalDefinitions']);
+    return [...BUILTIN_PORTALS, ...(result.portalDefinitions || [])];
+  }
+
+  /**
+   * Load only user-defined portals
+   * @returns {Promise<Array<Object>>} - Custom portal definitions
+   */
+  async getCustomPortals() {
+    const result = await ExtensionStorage.get(['portalDefinitions']);
+    return result.portalDefinitions || [];
+  }
+
+  /**
+   * Find a portal by id
+   * @param {string} portalId - Portal id
+   * @returns {Promise<Object|null>} - Portal definition
+   */
+  async getPortal(portalId) {
+    const portals = await this.getPortals();
+    return portals.find(portal => portal.id === portalId) || null;
+  }
+
+  /**
+   * Get the portal opened by "Test Login Page" (the built-in one unless changed)
+   * @returns {Promise<Object>} - Portal definition
+   */
+  async getDefaultPortal() {
+    const result = await ExtensionStorage.get(['defaultPortalId']);
+    return (await this.getPortal(result.defaultPortalId)) || BUILTIN_PORTALS[0];
+  }
+
+  /**
+   * Change the portal opened by "Test Login Page"
+   * @param {string} portalId - Portal id
+   */
+  async setDefaultPortal(portalId) {
+    await ExtensionStorage.set({ defaultPortalId: portalId });
+  }
+
+  /**
+   * Find the portal whose login page matches a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} - Portal definition
+   */
+  async findPortalForUrl(url) {
+    const portals = await this.getPortals();
+    return portals.find(portal => PortalRegistry.matchesUrl(portal, url)) || null;
+  }
+
+  /**
+   * Find the portal that a URL belongs to (same site, any page)
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} - Portal definition
+   */
+  async findPortalForOrigin(url) {
+    const portals = await this.getPortals();
+    const origin = PortalRegistry.originOf(url);
+    return portals.find(portal => PortalRegistry.originOf(portal.loginUrl) === origin) || null;
+  }
+
+  /**
+   * Add or replace user-defined portals
+   * @param {Array<Object>} definitions - Validated portal definitions
+   */
+  async savePortals(definitions) {
+    const custom = await this.getCustomPortals();
+
+    definitions.forEach(definition => {
+      if (BUILTIN_PORTALS.some(portal => portal.id === definition.id)) {
+        throw new Error(`"${definition.id}" is a built-in portal and cannot be replaced`);
+      }
+
+      const stored = { ...definition };
+      delete stored.builtIn;
+
+      const index = custom.findIndex(portal => portal.id === definition.id);
+      if (index >= 0) {
+        custom[index] = stored;
+      } else {
+        custom.push(stored);
+      }
+    });
+
+    await ExtensionStorage.set({ portalDefinitions: custom });
+  }
+
+  /**
+   * Delete a user-defined portal
+   * @param {string} portalId - Portal id
+   */
+  async deletePortal(portalId) {
+    const custom = await this.getCustomPortals();
+    await ExtensionStorage.set({
+      portalDefinitions: custom.filter(portal => portal.id !== portalId)
+    });
+  }
+
+  /**
+   * Check a portal definition and list what is wrong with it
+   * @param {Object} definition - Parsed JSON definition
+   * @returns {Array<string>} - Error messages (empty when valid)
+   */
+  static validate(definition) {
+    const errors = [];
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Definition must be a JSON object'];
+    }
+
+    if (typeof definition.id !== 'string' || !/^[a-z0-9-]+$/.test(definition.id)) {
+      errors.push('"id" must use lowercase letters, digits and dashes');
+    }
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+      errors.push('"name" is required');
+    }
+    if (!PortalRegistry.isHttpUrl(definition.loginUrl)) {
+      errors.push('"loginUrl" must be an http(s) URL');
+    }
+    if (definition.captchaUrl !== undefined && definition.captchaUrl !== null && !PortalRegistry.isHttpUrl(definition.captchaUrl)) {
+      errors.push('"captchaUrl" must be an http(s) URL');
+    }
+
+    const format = definition.captchaFormat;
+    if (format !== undefined && format !== null) {
+      if (format.length !== undefined && format.length !== null && !(Number.isInteger(format.length) && format.length > 0 && format.length <= 20)) {
+        errors.push('"captchaFormat.length" must be a whole number from 1 to 20');
+      }
+      if (format.charset !== undefined && format.charset !== null) {
+        try {
+          new RegExp(`^[${format.charset}]$`);
+        } catch (error) {
+          errors.push('"captchaFormat.charset" is not a valid character class');
+        }
+      }
+    }
+
+    if (!isStringArray(definition.matches) || definition.matches.length === 0) {
+      errors.push('"matches" must be a non-empty list of match patterns');
+    } else {
+      definition.matches.forEach(pattern => {
+        if (!/^(https?|\*):\/\/[^/*]+(\/.*)?$/.test(pattern)) {
+          errors.push(`Invalid match pattern "${pattern}"`);
+        }
+      });
+      if (PortalRegistry.isHttpUrl(definition.loginUrl) && !PortalRegistry.matchesUrl(definition, definition.loginUrl)) {
+        errors.push('"loginUrl" is not covered by "matches"');
+      }
+    }
+
+    const selectors = definition.selectors || {};
+    PORTAL_SELECTOR_KEYS.forEach(key => {
+      if (selectors[key] !== undefined && !isStringArray(selectors[key])) {
+        errors.push(`"selectors.${key}" must be a list of CSS selectors`);
+      }
+    });
+    ['username', 'password', 'submit'].forEach(key => {
+      if (!isStringArray(selectors[key]) || selectors[key].length === 0) {
+        errors.push(`"selectors.${key}" needs at least one selector`);
+      }
+    });
+
+    const success = definition.successMarkers || {};
+    ['urlPatterns', 'selectors'].forEach(key => {
+      if (success[key] !== undefined && !isStringArray(success[key])) {
+        errors.push(`"successMarkers.${key}" must be a list of strings`);
+      }
+    });
+
+    const failure = definition.failureMarkers || {};
+    if (failure.errorSelectors !== undefined && !isStringArray(failure.errorSelectors)) {
+      errors.push('"failureMarkers.errorSelectors" must be a list of CSS selectors');
+    }
+    (failure.patterns || []).forEach((marker, index) => {
+      if (!PORTAL_FAILURE_OUTCOMES.includes(marker.outcome)) {
+        errors.push(`"failureMarkers.patterns[${index}].outcome" must be one of ${PORTAL_FAILURE_OUTCOMES.join(', ')}`);
+      }
+      try {
+        new RegExp(marker.pattern, marker.flags || '');
+      } catch (error) {
+        errors.push(`"failureMarkers.patterns[${index}].pattern" is not a valid regular expression`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Fill optional parts of a definition with empty defaults
+   * @param {Object} definition - Validated definition
+   * @returns {Object} - Normalized definition
+   */
+  static normalize(definition) {
+    const selectors = {};
+    PORTAL_SELECTOR_KEYS.forEach(key => {
+      selectors[key] = (definition.selectors && definition.selectors[key]) || [];
+    });
+
+    return {
+      id: definition.id,
+      name: definition.name.trim(),
+      loginUrl: definition.loginUrl,
+      matches: definition.matches,
+      captchaUrl: definition.captchaUrl || null,
+      captchaFormat: {
+        length: (definition.captchaFormat && definition.captchaFormat.length) || null,
+        charset: (definition.captchaFormat && definition.captchaFormat.charset) || 'A-Za-z0-9'
+      },
+      selectors: selectors,
+      successMarkers: {
+        urlPatterns: (definition.successMarkers && definition.successMarkers.urlPatterns) || [],
+        selectors: (definition.successMarkers && definition.successMarkers.selectors) || []
+      },
+      failureMarkers: {
+        errorSelectors: (definition.failureMarkers && definition.failureMarkers.errorSelectors) || [],
+        patterns: (definition.failureMarkers && definition.failureMarkers.patterns) || []
+      }
+    };
+  }
+
+  /**
+   * Check whether a URL matches one of a portal's match patterns
+   * @param {Object} portal - Portal definition
+   * @param {string} url - URL to test
+   * @returns {boolean}
+   */
+  static matchesUrl(portal, url) {
+    return !!url && portal.matches.some(pattern => PortalRegistry.patternToRegExp(pattern).test(url));
+  }
+
+  /**
+   * Convert a Chrome match pattern to a regular expression
+   * @param {string} pattern - e.g. "https://example.edu/login*"
+   * @returns {RegExp}
+   */
+  static patternToRegExp(pattern) {
+    const escaped = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${escaped.replace(/^\.\*:/, 'https?:')}$`);
+  }
+
+  /**
+   * Origin permission patterns a portal needs (for chrome.permissions)
+   * @param {Object} portal - Portal definition
+   * @returns {Array<string>} - e.g. ["https://example.edu/*"]
+   */
+  static originsFor(portal) {
+    const origins = new Set();
+
+    [portal.loginUrl, portal.captchaUrl].filter(Boolean).forEach(url => {
+      const origin = PortalRegistry.originOf(url);
+      if (origin) origins.add(`${origin}/*`);
+    });
+
+    // validate() only lets a pattern wildcard its scheme, never its host, so "*://host" is kept as-is (a valid permission pattern)
+    portal.matches.forEach(pattern => {
+      const match = pattern.match(/^([^:]+:\/\/[^/]+)/);
+      if (match) origins.add(`${match[1]}/*`);
+    });
+
+    return Array.from(origins);
+  }
+
+  /**
+   * Origin of a URL, or null if it cannot be parsed
+   */
+  static originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a value is an http(s) URL
+   */
+  static isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Make PortalRegistry available globally (window in pages, self in the service worker)
+if (typeof window !== 'undefined') {
+  window.PortalRegistry = PortalRegistry;
+}
@@ -0,0 +1,374 @@
+/**
+ * Captcha image preprocessing for SRM Auto Login
+ * Every step is a pure function: it takes an ImageData-like object
+ * ({ width, height, data }) and returns a new one without touching the input
+ */
+
+class CaptchaPreprocessor {
+  /**
+   * @param {Object} steps - Map of step name to enabled flag (defaults to DEFAULT_STEPS)
+   */
+  constructor(steps = {}) {
+    this.steps = { ...CaptchaPreprocessor.DEFAULT_STEPS, ...steps };
+  }
+
+  /**
+   * Run all enabled steps in pipeline order
+   * @param {Object} imageData - Source image
+   * @returns {Object} - Processed image
+   */
+  process(imageData) {
+    return CaptchaPreprocessor.PIPELINE.reduce((image, step) => {
+      return this.steps[step] ? CaptchaPreprocessor[step](image) : image;
+    }, imageData);
+  }
+
+  /**
+   * Step sets for multi-pass OCR: the configured pipeline plus lighter
+   * variants that keep strokes the heavier cleanup can erase
+   * @param {Object} steps - Configured steps
+   * @returns {Array<Object>} - Distinct step maps, configured pipeline first
+   */
+  static variants(steps = {}) {
+    const configured = { ...CaptchaPreprocessor.DEFAULT_STEPS, ...steps };
+    const only = enabled => Object.fromEntries(CaptchaPreprocessor.PIPELINE.map(step => [step, enabled.includes(step)]));
+
+    const candidates = [
+      configured,
+      only(['grayscale', 'adaptiveThreshold', 'upscale']),
+      only(['grayscale', 'upscale'])
+    ];
+
+    const seen = new Set();
+    return candidates.filter(candidate => {
+      const key = CaptchaPreprocessor.PIPELINE.filter(step => candidate[step]).join(',');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Create an empty image of the given size
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} - ImageData-like object
+   */
+  static createImage(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+  }
+
+  /**
+   * Get per-pixel luminance of an image
+   * @param {Object} imageData - Source image
+   * @returns {Uint8ClampedArray} - One luminance value per pixel
+   */
+  static luminance(imageData) {
+    const { width, height, data } = imageData;
+    const gray = new Uint8ClampedArray(width * height);
+
+    for (let i = 0; i < gray.length; i++) {
+      const o = i * 4;
+      gray[i] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+    }
+
+    return gray;
+  }
+
+  /**
+   * Build an opaque gray image from luminance values
+   * @param {Uint8ClampedArray} gray - One luminance value per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} - ImageData-like object
+   */
+  static fromLuminance(gray, width, height) {
+    const output = CaptchaPreprocessor.createImage(width, height);
+
+    for (let i = 0; i < gray.length; i++) {
+      const o = i * 4;
+      output.data[o] = output.data[o + 1] = output.data[o + 2] = gray[i];
+      output.data[o + 3] = 255;
+    }
+
+    return output;
+  }
+
+  /**
+   * Convert to grayscale using ITU-R BT.601 luma weights
+   * @param {Object} imageData - Source image
+   * @returns {Object} - Grayscale image
+   */
+  static grayscale(imageData) {
+    const gray = CaptchaPreprocessor.luminance(imageData);
+    return CaptchaPreprocessor.fromLuminance(gray, imageData.width, imageData.height);
+  }
+
+  /**
+   * Stretch luminance so the darkest and lightest pixels (ignoring outliers)
+   * become black and white; used to show the captcha to people, not in the OCR pipeline
+   * @param {Object} imageData - Source image
+   * @param {number} clip - Share of pixels clipped at each end
+   * @returns {Object} - Contrast-stretched grayscale image
+   */
+  static stretchContrast(imageData, clip = 0.02) {
+    const { width, height } = imageData;
+    const gray = CaptchaPreprocessor.luminance(imageData);
+
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => histogram[value]++);
+
+    const cut = gray.length * clip;
+    let low = 0;
+    let high = 255;
+    for (let count = 0; low < 255 && count + histogram[low] <= cut; low++) count += histogram[low];
+    for (let count = 0; high > 0 && count + histogram[high] <= cut; high--) count += histogram[high];
+    if (high <= low) {
+      return CaptchaPreprocessor.fromLuminance(gray, width, height);
+    }
+
+    const stretched = gray.map(value => ((value - low) * 255) / (high - low));
+    return CaptchaPreprocessor.fromLuminance(stretched, width, height);
+  }
+
+  /**
+   * Median filter to remove salt-and-pepper noise
+   * @param {Object} imageData - Source image
+   * @param {number} radius - Neighbourhood radius (1 = 3x3)
+   * @returns {Object} - Filtered grayscale image
+   */
+  static medianFilter(imageData, radius = 1) {
+    const { width, height } = imageData;
+    const gray = CaptchaPreprocessor.luminance(imageData);
+    const filtered = new Uint8ClampedArray(gray.length);
+    const window = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        window.length = 0;
+
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = Math.min(height - 1, Math.max(0, y + dy));
+          for (let dx = -radius; dx <= radius; dx++) {
+            const nx = Math.min(width - 1, Math.max(0, x + dx));
+            window.push(gray[ny * width + nx]);
+          }
+        }
+
+        window.sort((a, b) => a - b);
+        filtered[y * width + x] = window[window.length >> 1];
+      }
+    }
+
+    return CaptchaPreprocessor.fromLuminance(filtered, width, height);
+  }
+
+  /**
+   * Adaptive (local mean) thresholding to a black-on-white binary image
+   * @param {Object} imageData - Source image
+   * @param {number} windowSize - Size of the local neighbourhood in pixels
+   * @param {number} offset - How much darker than the local mean a pixel must be to count as ink
+   * @returns {Object} - Binary image (0 = ink, 255 = background)
+   */
+  static adaptiveThreshold(imageData, windowSize = 15, offset = 10) {
+    const { width, height } = imageData;
+    const gray = CaptchaPreprocessor.luminance(imageData);
+    const half = Math.floor(windowSize / 2);
+
+    // Integral image for constant-time local sums
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += gray[y * width + x];
+        integral[(y + 1) * (width + 1) + (x + 1)] = integral[y * (width + 1) + (x + 1)] + rowSum;
+      }
+    }
+
+    const binary = new Uint8ClampedArray(gray.length);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height, y + half + 1);
+
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width, x + half + 1);
+        const area = (x1 - x0) * (y1 - y0);
+        const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                    integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+
+        binary[y * width + x] = gray[y * width + x] < (sum / area) - offset ? 0 : 255;
+      }
+    }
+
+    return CaptchaPreprocessor.fromLuminance(binary, width, height);
+  }
+
+  /**
+   * Remove thin noise lines from a binary image
+   * An ink pixel is dropped when its horizontal or vertical run is no thicker
+   * than maxThickness, which keeps the thicker character strokes
+   * @param {Object} imageData - Binary image from adaptiveThreshold
+   * @param {number} maxThickness - Thickest run (in pixels) treated as noise
+   * @returns {Object} - Cleaned binary image
+   */
+  static removeNoiseLines(imageData, maxThickness = 1) {
+    const { width, height } = imageData;
+    const gray = CaptchaPreprocessor.luminance(imageData);
+    const isInk = (x, y) => x >= 0 && y >= 0 && x < width && y < height && gray[y * width + x] < 128;
+    const cleaned = new Uint8ClampedArray(gray);
+
+    const runLength = (x, y, dx, dy) => {
+      let length = 1;
+      for (let i = 1; isInk(x + dx * i, y + dy * i); i++) length++;
+      for (let i = 1; isInk(x - dx * i, y - dy * i); i++) length++;
+      return length;
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!isInk(x, y)) continue;
+
+        const horizontal = runLength(x, y, 1, 0);
+        const vertical = runLength(x, y, 0, 1);
+        if (Math.min(horizontal, vertical) <= maxThickness) {
+          cleaned[y * width + x] = 255;
+        }
+      }
+    }
+
+    return CaptchaPreprocessor.fromLuminance(cleaned, width, height);
+  }
+
+  /**
+   * Straighten a rotated captcha using the projection-profile method
+   * @param {Object} imageData - Binary image
+   * @param {number} maxAngle - Largest skew to try in degrees
+   * @returns {Object} - Rotated image (unchanged if no skew is found)
+   */
+  static deskew(imageData, maxAngle = 15) {
+    const { width, height } = imageData;
+    const gray = CaptchaPreprocessor.luminance(imageData);
+    const cx = width / 2;
+    const cy = height / 2;
+
+    const ink = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (gray[y * width + x] < 128) ink.push([x - cx, y - cy]);
+      }
+    }
+
+    if (ink.length === 0) {
+      return CaptchaPreprocessor.grayscale(imageData);
+    }
+
+    // The correct angle concentrates ink into the fewest rows (highest variance)
+    let bestAngle = 0;
+    let bestScore = -Infinity;
+    for (let angle = -maxAngle; angle <= maxAngle; angle++) {
+      const rad = angle * Math.PI / 180;
+      const sin = Math.sin(rad);
+      const cos = Math.cos(rad);
+      const rows = new Map();
+
+      for (const [x, y] of ink) {
+        const row = Math.round(x * sin + y * cos);
+        rows.set(row, (rows.get(row) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const count of rows.values()) score += count * count;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    if (bestAngle === 0) {
+      return CaptchaPreprocessor.fromLuminance(gray, width, height);
+    }
+
+    // Inverse-map each output pixel back into the source (nearest neighbour, white fill)
+    const rad = -bestAngle * Math.PI / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const rotated = new Uint8ClampedArray(gray.length).fill(255);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const sx = Math.round((x - cx) * cos - (y - cy) * sin + cx);
+        const sy = Math.round((x - cx) * sin + (y - cy) * cos + cy);
+        if (sx >= 0 && sy >= 0 && sx < width && sy < height) {
+          rotated[y * width + x] = gray[sy * width + sx];
+        }
+      }
+    }
+
+    return CaptchaPreprocessor.fromLuminance(rotated, width, height);
+  }
+
+  /**
+   * Upscale with bilinear interpolation (Tesseract prefers taller glyphs)
+   * @param {Object} imageData - Source image
+   * @param {number} factor - Scale factor
+   * @returns {Object} - Upscaled image
+   */
+  static upscale(imageData, factor = 2) {
+    const { width, height, data } = imageData;
+    const outWidth = Math.round(width * factor);
+    const outHeight = Math.round(height * factor);
+    const output = CaptchaPreprocessor.createImage(outWidth, outHeight);
+
+    for (let y = 0; y < outHeight; y++) {
+      const sy = Math.min(height - 1, Math.max(0, (y + 0.5) / factor - 0.5));
+      const y0 = Math.floor(sy);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fy = sy - y0;
+
+      for (let x = 0; x < outWidth; x++) {
+        const sx = Math.min(width - 1, Math.max(0, (x + 0.5) / factor - 0.5));
+        const x0 = Math.floor(sx);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const fx = sx - x0;
+
+        for (let c = 0; c < 4; c++) {
+          const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+          const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+          output.data[(y * outWidth + x) * 4 + c] = top * (1 - fy) + bottom * fy;
+        }
+      }
+    }
+
+    return output;
+  }
+}
+
+// Order in which enabled steps run
+CaptchaPreprocessor.PIPELINE = [
+  'grayscale',
+  'medianFilter',
+  'adaptiveThreshold',
+  'removeNoiseLines',
+  'deskew',
+  'upscale'
+];
+
+// Steps enabled when the user has not changed the settings
+CaptchaPreprocessor.DEFAULT_STEPS = {
+  grayscale: true,
+  medianFilter: true,
+  adaptiveThreshold: true,
+  removeNoiseLines: true,
+  deskew: false,
+  upscale: true
+};
+
+// Make CaptchaPreprocessor available globally (and to Node for fixture tests)
+if (typeof window !== 'undefined') {
+  window.CaptchaPreprocessor = CaptchaPreprocessor;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CaptchaPreprocessor;
+}
@@ -0,0 +1,207 @@
+/**
+ * Auto-login scheduling rules for SRM Auto Login
+ * Decides whether auto-login may run right now: pauses set from the popup,
+ * time windows, a per-Chrome-profile switch, query parameters that turn it
+ * off for one page, and a "fill only, don't submit" mode.
+ * Used by the content script (to decide), the background worker (for the
+ * toolbar badge) and the options page and popup (to edit the rules)
+ */
+
+// Stored under autoLoginRules in chrome.storage.local
+const DEFAULT_SCHEDULE_RULES = {
+  pausedUntil: null,           // timestamp; auto-login is paused until then
+  windowsEnabled: false,
+  windows: [],                 // [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }], Sunday = 0
+  disabledInThisProfile: false, // extension storage is per Chrome profile, so this only affects this one
+  skipParams: ['noautologin'], // any of these in the page URL turns auto-login off for that load
+  fillOnly: false
+};
+
+// Day names accepted in time window lines, Sunday first like Date.getDay()
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Toolbar badge per mode ('' = normal)
+const SCHEDULE_BADGES = {
+  active: { text: '', title: 'Auto-login is on' },
+  paused: { text: '⏸', title: 'Auto-login is paused' },
+  outsideWindow: { text: 'zZ', title: 'Auto-login is outside its time windows' },
+  disabled: { text: 'OFF', title: 'Auto-login is off in this Chrome profile' },
+  fillOnly: { text: 'FILL', title: 'Auto-login fills the form but does not submit' }
+};
+
+class AutoLoginSchedule {
+  /**
+   * Read the rules with defaults filled in
+   * @returns {Promise<Object>}
+   */
+  static async load() {
+    const { autoLoginRules } = await ExtensionStorage.get(['autoLoginRules']);
+    return { ...DEFAULT_SCHEDULE_RULES, ...autoLoginRules };
+  }
+
+  /**
+   * Merge changes into the stored rules
+   * @param {Object} changes - Rule fields to change
+   * @returns {Promise<Object>} - Updated rules
+   */
+  static async update(changes) {
+    const rules = { ...await AutoLoginSchedule.load(), ...changes };
+    await ExtensionStorage.set({ autoLoginRules: rules });
+    return rules;
+  }
+
+  /**
+   * Decide whether auto-login may run
+   * @param {Object} rules - Stored rules
+   * @param {Object} context - { now: Date, url: string|null }
+   * @returns {Object} - { allowed, fillOnly, mode, reason }
+   */
+  static evaluate(rules, context = {}) {
+    const now = context.now || new Date();
+    const decision = (allowed, mode, reason) => ({ allowed, fillOnly: allowed && !!rules.fillOnly, mode, reason });
+
+    if (rules.disabledInThisProfile) {
+      return decision(false, 'disabled', 'Auto-login is turned off in this Chrome profile');
+    }
+
+    if (rules.pausedUntil && now.getTime() < rules.pausedUntil) {
+      return decision(false, 'paused', `Auto-login is paused until ${AutoLoginSchedule.formatTime(rules.pausedUntil, now)}`);
+    }
+
+    if (rules.windowsEnabled && rules.windows.length > 0 && !rules.windows.some(range => AutoLoginSchedule.inWindow(range, now))) {
+      return decision(false, 'outsideWindow', 'Auto-login is outside its time windows');
+    }
+
+    if (context.url) {
+      const params = new URL(context.url).searchParams;
+      const param = (rules.skipParams || []).find(name => params.has(name));
+      if (param) {
+        return decision(false, 'active', `Auto-login is off for pages with "${param}" in the address`);
+      }
+    }
+
+    return decision(true, rules.fillOnly ? 'fillOnly' : 'active', null);
+  }
+
+  /**
+   * Whether a time falls inside a window; windows ending before they start run past midnight
+   * @param {Object} range - { days, start, end }
+   * @param {Date} now - Time to check
+   * @returns {boolean}
+   */
+  static inWindow(range, now) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = AutoLoginSchedule.toMinutes(range.start);
+    const end = AutoLoginSchedule.toMinutes(range.end);
+    const days = range.days && range.days.length > 0 ? range.days : [0, 1, 2, 3, 4, 5, 6];
+
+    if (start <= end) {
+      return days.includes(now.getDay()) && minutes >= start && minutes < end;
+    }
+
+    // Overnight: the part after midnight belongs to the previous day's window
+    const yesterday = (now.getDay() + 6) % 7;
+    return (days.includes(now.getDay()) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+  }
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Parse time window lines such as "Mon-Fri 08:00-18:00", "Sat,Sun 10:00-14:00" or "22:00-02:00"
+   * @param {string} text - One window per line
+   * @returns {Object} - { windows, errors }
+   */
+  static parseWindows(text) {
+    const windows = [];
+    const errors = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+      const match = line.match(/^(?:([A-Za-z,\- ]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+      if (!match) {
+        errors.push(`Line ${index + 1}: expected e.g. "Mon-Fri 08:00-18:00"`);
+        return;
+      }
+
+      const [, dayText, start, end] = match;
+      const times = [start, end].map(time => time.padStart(5, '0'));
+      if (times.some(time => AutoLoginSchedule.toMinutes(time) >= 24 * 60 || Number(time.split(':')[1]) >= 60)) {
+        errors.push(`Line ${index + 1}: times must be between 00:00 and 23:59`);
+        return;
+      }
+
+      const days = dayText ? AutoLoginSchedule.parseDays(dayText) : [];
+      if (days === null) {
+        errors.push(`Line ${index + 1}: unknown day in "${dayText}"`);
+        return;
+      }
+
+      windows.push({ days, start: times[0], end: times[1] });
+    });
+
+    return { windows, errors };
+  }
+
+  /**
+   * Parse "Mon-Fri" or "Sat,Sun" into day numbers
+   * @returns {Array<number>|null} - null when a day name is unknown
+   */
+  static parseDays(text) {
+    const dayIndex = name => SCHEDULE_DAYS.findIndex(day => day.toLowerCase() === name.trim().slice(0, 3).toLowerCase());
+    const days = new Set();
+
+    for (const part of text.split(',')) {
+      const [from, to] = part.split('-');
+      const first = dayIndex(from);
+      const last = to === undefined ? first : dayIndex(to);
+      if (first < 0 || last < 0) return null;
+
+      for (let day = first; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === last) break;
+      }
+    }
+
+    return Array.from(days).sort((a, b) => a - b);
+  }
+
+  /**
+   * Turn windows back into the text the options page edits
+   */
+  static formatWindows(windows) {
+    return windows.map(range => {
+      const days = range.days && range.days.length > 0 && range.days.length < 7
+        ? `${range.days.map(day => SCHEDULE_DAYS[day]).join(',')} `
+        : '';
+      return `${days}${range.start}-${range.end}`;
+    }).join('\n');
+  }
+
+  /**
+   * Timestamp of the next local midnight ("until tomorrow")
+   */
+  static tomorrow(now = new Date()) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  /**
+   * Short time for messages: "14:30", or "Tue 14:30" when not today
+   */
+  static formatTime(timestamp, now = new Date()) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === now.toDateString() ? time : `${SCHEDULE_DAYS[date.getDay()]} ${time}`;
+  }
+}
+
+// Make AutoLoginSchedule available globally
+if (typeof window !== 'undefined') {
+  window.AutoLoginSchedule = AutoLoginSchedule;
+}
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Headless OCR accuracy benchmark for SRM Auto Login
+ * Runs the extension's captcha preprocessing, OCR parameters and multi-pass
+ * voting over labelled captchas and reports whole-string and character-level accuracy
+ *
+ * Usage:
+ *   node scripts/benchmark-ocr.js <dataset.json | fixtures-folder> [options]
+ *
+ * Input:
+ *   - a dataset exported from the options page ("Export Dataset"); only samples
+ *     confirmed by a successful login are used, or
+ *   - a folder of PNG captchas named after their label, e.g. "A7kP2.png" or "A7kP2_2.png"
+ *
+ * Options:
+ *   --steps a,b,c    Preprocessing steps to enable (default: the dataset's, else the extension defaults)
+ *   --single-pass    Read each captcha once, as with multi-pass OCR turned off
+ *   --length n       Expected captcha length for voting (default: decided by the readings)
+ *   --ignore-case    Compare labels case-insensitively
+ *   --verbose        Print every sample
+ *
+ * Needs tesseract.js and pngjs, which are not bundled with the extension:
+ *   npm install --no-save tesseract.js@5.0.4 pngjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CaptchaPreprocessor = require('../preprocess.js');
+const { OcrEngine, OCR_ASSETS, OCR_PARAMETERS, OCR_PAGE_SEG_MODES } = require('../ocr.js');
+const OcrVoter = require('../ocr-voting.js');
+
+// Same acceptance threshold as the content script
+const CONFIDENCE_THRESHOLD = 0.8;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { input: null, steps: null, singlePass: false, length: null, ignoreCase: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--steps') {
+      args.steps = argv[++i] || '';
+    } else if (arg === '--single-pass') {
+      args.singlePass = true;
+    } else if (arg === '--length') {
+      args.length = parseInt(argv[++i], 10);
+      if (!(args.length > 0)) {
+        throw new Error('--length needs a positive number');
+      }
+    } else if (arg === '--ignore-case') {
+      args.ignoreCase = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (!args.input) {
+      args.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!args.input) {
+    throw new Error('Missing dataset file or fixtures folder');
+  }
+  return args;
+}
+
+/**
+ * Load labelled samples from an exported dataset or a fixtures folder
+ * @returns {Object} - { samples: [{ name, label, png }], preprocessing }
+ */
+function loadSamples(input) {
+  if (fs.statSync(input).isDirectory()) {
+    const samples = fs.readdirSync(input)
+      .filter(file => file.toLowerCase().endsWith('.png'))
+      .sort()
+      .map(file => ({
+        name: file,
+        label: path.basename(file, path.extname(file)).replace(/_\d+$/, ''),
+        png: fs.readFileSync(path.join(input, file))
+      }));
+    return { samples, preprocessing: null };
+  }
+
+  const dataset = JSON.parse(fs.readFileSync(input, 'utf8'));
+  if (!Array.isArray(dataset.samples)) {
+    throw new Error('Not an SRM Auto Login captcha dataset');
+  }
+
+  const samples = dataset.samples
+    .filter(sample => sample.status === 'confirmed' && sample.label && sample.image.startsWith('data:image/png'))
+    .map(sample => ({
+      name: `#${sample.id}`,
+      label: sample.label,
+      png: Buffer.from(sample.image.split(',')[1], 'base64')
+    }));
+  return { samples, preprocessing: dataset.preprocessing };
+}
+
+/**
+ * Decode a PNG, run the preprocessing pipeline and encode the result again
+ */
+function preprocess(png, preprocessor, PNG) {
+  const decoded = PNG.sync.read(png);
+  const image = {
+    width: decoded.width,
+    height: decoded.height,
+    data: new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length)
+  };
+
+  const processed = preprocessor.process(image);
+  const output = new PNG({ width: processed.width, height: processed.height });
+  Buffer.from(processed.data.buffer, processed.data.byteOffset, processed.data.length).copy(output.data);
+  return PNG.sync.write(output);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Format a 0-1 ratio as a percentage
+ */
+function percent(ratio) {
+  return Number.isFinite(ratio) ? `${(ratio * 100).toFixed(1)}%` : '–';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Optional dependencies, so only required once the arguments are valid
+  const Tesseract = require('tesseract.js');
+  const { PNG } = require('pngjs');
+
+  const { samples, preprocessing } = loadSamples(args.input);
+  if (samples.length === 0) {
+    throw new Error('No labelled samples found');
+  }
+
+  let steps = preprocessing || CaptchaPreprocessor.DEFAULT_STEPS;
+  if (args.steps !== null) {
+    const enabled = args.steps.split(',').map(step => step.trim()).filter(Boolean);
+    const unknown = enabled.filter(step => !CaptchaPreprocessor.PIPELINE.includes(step));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown preprocessing step(s): ${unknown.join(', ')}`);
+    }
+    steps = Object.fromEntries(CaptchaPreprocessor.PIPELINE.map(step => [step, enabled.includes(step)]));
+  }
+  // Same variants and modes as the offscreen document
+  const preprocessors = (args.singlePass ? [steps] : CaptchaPreprocessor.variants(steps))
+    .map(variant => new CaptchaPreprocessor(variant));
+  const modes = args.singlePass ? [OCR_PARAMETERS.tessedit_pageseg_mode] : OCR_PAGE_SEG_MODES;
+
+  console.log(`🧪 ${samples.length} labelled captcha(s)`);
+  preprocessors.forEach(preprocessor => {
+    console.log(`🧹 Preprocessing: ${CaptchaPreprocessor.PIPELINE.filter(step => preprocessor.steps[step]).join(', ') || 'none'}`);
+  });
+  console.log(`🔁 ${preprocessors.length * modes.length} pass(es) per captcha (page segmentation modes ${modes.join(', ')})`);
+
+  // Same engine setup as the offscreen document, with the bundled language data
+  const worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+    langPath: path.join(__dirname, '..', OCR_ASSETS.langDir),
+    cacheMethod: 'none',
+    gzip: true
+  });
+  await worker.setParameters(OCR_PARAMETERS);
+
+  const normalize = text => (args.ignoreCase ? text.toLowerCase() : text);
+  const totals = { exact: 0, chars: 0, correctChars: 0, confidence: 0, accepted: 0, acceptedExact: 0 };
+
+  try {
+    for (const sample of samples) {
+      const images = preprocessors.map(preprocessor => preprocess(sample.png, preprocessor, PNG));
+      const candidates = await OcrEngine.recognizeAll(worker, images, modes);
+      const { text, confidence } = candidates.length > 1
+        ? OcrVoter.vote(candidates, { length: args.length })
+        : candidates[0];
+
+      const label = normalize(sample.label);
+      const guess = normalize(text);
+      const exact = guess === label;
+      const distance = editDistance(guess, label);
+
+      totals.exact += exact ? 1 : 0;
+      totals.chars += label.length;
+      totals.correctChars += Math.max(0, label.length - distance);
+      totals.confidence += confidence;
+      if (confidence >= CONFIDENCE_THRESHOLD) {
+        totals.accepted++;
+        totals.acceptedExact += exact ? 1 : 0;
+      }
+
+      if (args.verbose) {
+        console.log(`${exact ? '✅' : '❌'} ${sample.name}: "${text}" vs "${sample.label}" (confidence ${percent(confidence)}, distance ${distance})`);
+      }
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  console.log('');
+  console.log(`Whole-string accuracy:   ${percent(totals.exact / samples.length)} (${totals.exact}/${samples.length})`);
+  console.log(`Character accuracy:      ${percent(totals.correctChars / totals.chars)} (${totals.correctChars}/${totals.chars})`);
+  console.log(`Average confidence:      ${percent(totals.confidence / samples.length)}`);
+  console.log(`Accepted (>= ${percent(CONFIDENCE_THRESHOLD)}):    ${totals.accepted}/${samples.length}, ${percent(totals.acceptedExact / totals.accepted)} of them correct`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  console.error('Usage: node scripts/benchmark-ocr.js <dataset.json | fixtures-folder> [--steps a,b,c] [--single-pass] [--length n] [--ignore-case] [--verbose]');
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * Captcha solvers section of the options page
+ * Lets the user enable solver backends, change their fallback order and
+ * point the HTTP backend at a solver service on localhost
+ */
+
+class SolverSettings {
+  constructor() {
+    this.log = new Logger('options');
+    this.settings = SolverChain.normalize(null);
+    this.initializeEventListeners();
+    this.load();
+  }
+
+  /**
+   * Initialize endpoint listeners
+   */
+  initializeEventListeners() {
+    document.getElementById('saveHttpSolverBtn').addEventListener('click', () => {
+      this.saveEndpoint();
+    });
+  }
+
+  /**
+   * Load the stored settings and render the list
+   */
+  async load() {
+    try {
+      const { captchaSolvers } = await ExtensionStorage.get(['captchaSolvers']);
+      this.settings = SolverChain.normalize(captchaSolvers);
+      document.getElementById('httpSolverEndpoint').value = this.settings.httpEndpoint;
+      this.renderSolvers();
+    } catch (error) {
+      this.log.error('Error loading solver settings:', error);
+    }
+  }
+
+  /**
+   * Render the backends in fallback order with their toggles and move buttons
+   */
+  renderSolvers() {
+    const list = document.getElementById('solverList');
+    list.innerHTML = '';
+
+    const chain = SolverChain.chain(this.settings);
+
+    this.settings.order.forEach((id, index) => {
+      const solver = CAPTCHA_SOLVERS[id];
+      const item = document.createElement('div');
+      item.className = 'portal-item';
+
+      const title = document.createElement('label');
+      title.className = 'portal-item-title';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = this.settings.enabled[id];
+      toggle.addEventListener('change', () => this.setEnabled(id, toggle.checked));
+      title.appendChild(toggle);
+      title.appendChild(document.createTextNode(` ${index + 1}. ${solver.label}`));
+
+      if (chain.includes(id)) {
+        title.appendChild(this.createBadge('In use', 'ok'));
+      } else if (this.settings.enabled[id] && id === 'http' && !SolverChain.isLocalEndpoint(this.settings.httpEndpoint)) {
+        title.appendChild(this.createBadge('Needs an endpoint', 'warn'));
+      } else if (this.settings.enabled[id]) {
+        title.appendChild(this.createBadge('After manual, never reached', 'warn'));
+      }
+      item.appendChild(title);
+
+      const meta = document.createElement('div');
+      meta.className = 'portal-item-meta';
+      meta.textContent = solver.description;
+      item.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'portal-item-actions';
+      const up = this.createAction('⬆️ Up', () => this.move(index, -1));
+      const down = this.createAction('⬇️ Down', () => this.move(index, 1));
+      up.disabled = index === 0;
+      down.disabled = index === this.settings.order.length - 1;
+      actions.appendChild(up);
+      actions.appendChild(down);
+      item.appendChild(actions);
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Turn a backend on or off
+   */
+  async setEnabled(id, enabled) {
+    this.settings.enabled[id] = enabled;
+    await this.save(`${CAPTCHA_SOLVERS[id].label} ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Move a backend up or down the fallback order
+   */
+  async move(index, direction) {
+    const order = this.settings.order;
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    await this.save('Solver order saved');
+  }
+
+  /**
+   * Save the endpoint after checking it is local and getting access to it
+   */
+  async saveEndpoint() {
+    const endpoint = document.getElementById('httpSolverEndpoint').value.trim();
+
+    if (endpoint && !SolverChain.isLocalEndpoint(endpoint)) {
+      this.showStatus('❌ The solver endpoint must be a localhost address', 'error');
+      return;
+    }
+
+    // The service worker needs host access to call the endpoint
+    if (endpoint) {
+      try {
+        const granted = await chrome.permissions.request({ origins: [SolverChain.originFor(endpoint)] });
+        if (!granted) {
+          this.showStatus('❌ Access to the solver endpoint was not granted', 'error');
+          return;
+        }
+      } catch (error) {
+        this.log.error('Error requesting solver endpoint access:', error);
+        this.showStatus('❌ Could not request access to the solver endpoint', 'error');
+        return;
+      }
+    }
+
+    this.settings.httpEndpoint = endpoint;
+    if (endpoint) {
+      this.settings.enabled.http = true;
+    }
+    await this.save(endpoint ? 'HTTP solver endpoint saved' : 'HTTP solver endpoint cleared');
+  }
+
+  /**
+   * Store the settings and redraw the list
+   */
+  async save(message) {
+    try {
+      await ExtensionStorage.set({ captchaSolvers: this.settings });
+      this.renderSolvers();
+      this.showStatus(message, 'success');
+    } catch (error) {
+      this.log.error('Error saving solver settings:', error);
+      this.showStatus('❌ Failed to save solver settings', 'error');
+    }
+  }
+
+  /**
+   * Create a small status badge
+   */
+  createBadge(text, type) {
+    const badge = document.createElement('span');
+    badge.className = `badge ${type}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  /**
+   * Create a solver action button
+   */
+  createAction(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show a status message using the options page status area
+   */
+  showStatus(message, type) {
+    if (window.optionsManager) {
+      window.optionsManager.showStatus(message, type);
+    }
+  }
+}
+
+// Initialize solver settings when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.solverSettings = new SolverSettings();
+});
@@ -0,0 +1,112 @@
+/**
+ * Captcha solver backends for SRM Auto Login
+ * Describes the solvers a captcha can be sent to and the user's choice of
+ * which ones to use and in what order. The background service worker runs
+ * the chain; the options page edits it
+ */
+
+// Available backends, in the default fallback order
+const CAPTCHA_SOLVERS = {
+  tesseract: {
+    label: 'Tesseract OCR',
+    description: 'General-purpose OCR bundled with the extension, with multi-pass voting'
+  },
+  http: {
+    label: 'Local HTTP solver',
+    description: 'Your own solver service on this computer (localhost only)'
+  },
+  manual: {
+    label: 'Manual',
+    description: 'Stop here, focus the captcha field and let you type it'
+  }
+};
+
+// Used until the options page saves a choice
+const DEFAULT_SOLVER_SETTINGS = {
+  order: ['tesseract', 'http', 'manual'],
+  enabled: { tesseract: true, http: false, manual: false },
+  httpEndpoint: ''
+};
+
+// A local solver that takes longer than this is skipped
+const HTTP_SOLVER_TIMEOUT_MS = 5000;
+
+class SolverChain {
+  /**
+   * Fill in defaults and drop unknown backends, so older or hand-edited settings still work
+   * @param {Object} settings - Stored captchaSolvers value
+   * @returns {Object} - { order, enabled, httpEndpoint }
+   */
+  static normalize(settings) {
+    const stored = settings || {};
+    const known = Object.keys(CAPTCHA_SOLVERS);
+
+    const order = (Array.isArray(stored.order) ? stored.order : [])
+      .filter((id, index, all) => known.includes(id) && all.indexOf(id) === index);
+    known.forEach(id => {
+      if (!order.includes(id)) order.push(id);
+    });
+
+    const enabled = {};
+    known.forEach(id => {
+      enabled[id] = stored.enabled && typeof stored.enabled[id] === 'boolean'
+        ? stored.enabled[id]
+        : DEFAULT_SOLVER_SETTINGS.enabled[id];
+    });
+
+    return {
+      order: order,
+      enabled: enabled,
+      httpEndpoint: typeof stored.httpEndpoint === 'string' ? stored.httpEndpoint.trim() : ''
+    };
+  }
+
+  /**
+   * Backends to try, in order
+   * The HTTP solver only counts once it has a usable endpoint, and nothing
+   * after "manual" is ever reached
+   * @param {Object} settings - Normalized settings
+   * @returns {Array<string>} - Backend ids
+   */
+  static chain(settings) {
+    const chain = [];
+    for (const id of settings.order) {
+      if (!settings.enabled[id]) continue;
+      if (id === 'http' && !SolverChain.isLocalEndpoint(settings.httpEndpoint)) continue;
+
+      chain.push(id);
+      if (id === 'manual') break;
+    }
+    return chain;
+  }
+
+  /**
+   * Whether a URL points at this computer, the only place captchas may be sent
+   * @param {string} url - Solver endpoint
+   * @returns {boolean}
+   */
+  static isLocalEndpoint(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) &&
+        ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Host permission pattern needed to call the endpoint from the service worker
+   * @param {string} url - Solver endpoint
+   * @returns {string} - Match pattern
+   */
+  static originFor(url) {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.hostname}/*`;
+  }
+}
+
+// Make SolverChain available globally
+if (typeof window !== 'undefined') {
+  window.SolverChain = SolverChain;
+}
@@ -0,0 +1,320 @@
+/**
+ * In-page status panel for SRM Auto Login
+ * One persistent panel, isolated from the portal's styles in a closed shadow
+ * root, that follows the login flow step by step and offers cancel, retry and
+ * "not on this page" controls
+ */
+
+// Steps of the login flow, in order
+const STATUS_STEPS = [
+  { key: 'fill', label: 'Fill credentials' },
+  { key: 'captcha', label: 'Load captcha' },
+  { key: 'ocr', label: 'Solve captcha' },
+  { key: 'submit', label: 'Submit login' },
+  { key: 'outcome', label: 'Outcome' }
+];
+
+// Icons for each step state
+const STATUS_ICONS = {
+  pending: '○',
+  active: '⏳',
+  done: '✅',
+  failed: '❌',
+  skipped: '➖'
+};
+
+// Short outcome texts for the last step
+const STATUS_OUTCOMES = {
+  success: 'Logged in',
+  wrong_captcha: 'Captcha rejected',
+  wrong_password: 'Wrong password',
+  account_locked: 'Account locked',
+  server_error: 'Server error',
+  unknown: 'Not completed'
+};
+
+// The panel folds into a small pill this long after a successful login
+const STATUS_COLLAPSE_DELAY_MS = 3000;
+
+const STATUS_PANEL_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    width: 300px;
+    background: #2c3e50;
+    color: white;
+    font: 13px Arial, sans-serif;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0,0,0,0.35);
+    z-index: 2147483647;
+    overflow: hidden;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 10px 12px;
+    font-weight: bold;
+    cursor: pointer;
+  }
+  .body { padding: 0 12px 12px 12px; }
+  .steps { list-style: none; margin: 0 0 8px 0; padding: 0; }
+  .steps li { display: flex; gap: 8px; padding: 3px 0; color: #bdc3c7; }
+  .steps li.active, .steps li.done, .steps li.failed { color: white; }
+  .steps .detail { margin-left: auto; font-size: 11px; color: #95a5a6; }
+  .progress { height: 4px; background: rgba(255,255,255,0.15); border-radius: 2px; margin: 2px 0 8px 0; display: none; }
+  .progress.visible { display: block; }
+  .progress div { height: 100%; width: 0; background: #3498db; border-radius: 2px; transition: width 0.2s; }
+  .message { padding: 8px; border-radius: 4px; background: rgba(255,255,255,0.1); margin-bottom: 8px; word-wrap: break-word; }
+  .message:empty { display: none; }
+  .message.success { background: #27ae60; }
+  .message.warning { background: #e67e22; }
+  .message.error { background: #c0392b; }
+  .buttons { display: flex; gap: 6px; }
+  button {
+    flex: 1;
+    padding: 6px;
+    border: 1px solid rgba(255,255,255,0.4);
+    border-radius: 4px;
+    background: rgba(255,255,255,0.15);
+    color: white;
+    font: 12px Arial, sans-serif;
+    cursor: pointer;
+  }
+  button:disabled { opacity: 0.4; cursor: default; }
+  .collapsed { width: auto; }
+  .collapsed .body { display: none; }
+`;
+
+class StatusPanel {
+  /**
+   * @param {Object} handlers - { onCancel, onRetry, onSkipPage } button callbacks
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.host = null;
+    this.collapseTimer = null;
+    this.state = { steps: {}, message: null };
+  }
+
+  /**
+   * Create the panel on first use
+   */
+  ensure() {
+    if (this.host && this.host.isConnected) return;
+
+    this.host = document.createElement('div');
+    this.host.id = 'srm-auto-login-status';
+    (document.body || document.documentElement).appendChild(this.host);
+    // Closed, so the portal's scripts cannot reach into the panel
+    const root = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STATUS_PANEL_STYLES;
+    root.appendChild(style);
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'panel';
+    root.appendChild(this.panel);
+
+    this.header = document.createElement('div');
+    this.header.className = 'header';
+    this.title = document.createElement('span');
+    this.title.textContent = '🔐 SRM Auto Login';
+    this.toggle = document.createElement('span');
+    this.header.appendChild(this.title);
+    this.header.appendChild(this.toggle);
+    this.header.addEventListener('click', () => {
+      if (this.panel.classList.contains('collapsed')) {
+        this.expand();
+      } else {
+        this.collapse();
+      }
+    });
+    this.panel.appendChild(this.header);
+
+    const body = document.createElement('div');
+    body.className = 'body';
+    this.panel.appendChild(body);
+
+    this.steps = document.createElement('ul');
+    this.steps.className = 'steps';
+    this.stepItems = {};
+    STATUS_STEPS.forEach(step => {
+      const item = document.createElement('li');
+      const icon = document.createElement('span');
+      const label = document.createElement('span');
+      const detail = document.createElement('span');
+      detail.className = 'detail';
+      label.textContent = step.label;
+      item.append(icon, label, detail);
+      this.steps.appendChild(item);
+      this.stepItems[step.key] = { item, icon, detail };
+    });
+    body.appendChild(this.steps);
+
+    this.progress = document.createElement('div');
+    this.progress.className = 'progress';
+    this.progressBar = document.createElement('div');
+    this.progress.appendChild(this.progressBar);
+    body.appendChild(this.progress);
+
+    this.message = document.createElement('div');
+    this.message.className = 'message';
+    body.appendChild(this.message);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'buttons';
+    this.cancelButton = this.createButton('✋ Cancel', this.handlers.onCancel);
+    this.retryButton = this.createButton('🔁 Retry', this.handlers.onRetry);
+    this.skipButton = this.createButton('🚫 Not on this page', this.handlers.onSkipPage);
+    buttons.append(this.cancelButton, this.retryButton, this.skipButton);
+    body.appendChild(buttons);
+
+    this.resetSteps();
+    this.setRunning(false);
+    this.expand();
+  }
+
+  /**
+   * Create a panel button
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (onClick) onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Start showing a new login flow
+   * @param {Array<string>} done - Steps already completed (e.g. on the page after submitting)
+   */
+  start(done = []) {
+    this.ensure();
+    this.resetSteps();
+    done.forEach(key => this.setStep(key, 'done'));
+    this.setMessage('', 'info');
+    this.expand();
+  }
+
+  /**
+   * Mark every step as pending
+   */
+  resetSteps() {
+    STATUS_STEPS.forEach(step => this.setStep(step.key, 'pending', ''));
+    this.setProgress(null);
+  }
+
+  /**
+   * Update one step
+   * @param {string} key - Step key from STATUS_STEPS
+   * @param {string} state - pending, active, done, failed or skipped
+   * @param {string} detail - Short text shown next to the step
+   */
+  setStep(key, state, detail = '') {
+    this.ensure();
+    this.state.steps[key] = { state, detail };
+    const step = this.stepItems[key];
+    step.item.className = state;
+    step.icon.textContent = STATUS_ICONS[state];
+    step.detail.textContent = detail;
+
+    if (key === 'ocr' && state !== 'active') {
+      this.setProgress(null);
+    }
+  }
+
+  /**
+   * Mark steps still in progress as skipped, e.g. after a cancellation
+   * @param {string} detail - Short text shown next to them
+   */
+  stopActiveSteps(detail) {
+    Object.entries(this.state.steps).forEach(([key, step]) => {
+      if (step.state === 'active') {
+        this.setStep(key, 'skipped', detail);
+      }
+    });
+  }
+
+  /**
+   * Copy of the steps and message shown, for the popup
+   * @returns {Object} - { steps: { key: { state, detail } }, message: { text, type } }
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Show OCR progress under the steps
+   * @param {number|null} ratio - 0-1, or null to hide the bar
+   */
+  setProgress(ratio) {
+    if (!this.progress) return;
+    this.progress.classList.toggle('visible', ratio !== null);
+    this.progressBar.style.width = `${Math.round((ratio || 0) * 100)}%`;
+  }
+
+  /**
+   * Show the latest message (replaces the previous one)
+   * @param {string} text - Message
+   * @param {string} type - info, success, warning or error
+   */
+  setMessage(text, type = 'info') {
+    this.ensure();
+    this.state.message = text ? { text, type } : null;
+    this.message.className = `message ${type}`;
+    this.message.textContent = text;
+    if (text && type !== 'success') {
+      this.expand();
+    }
+  }
+
+  /**
+   * Enable the buttons that make sense while the flow runs or after it stopped
+   */
+  setRunning(running) {
+    if (!this.cancelButton) return;
+    this.cancelButton.disabled = !running;
+    this.retryButton.disabled = running;
+  }
+
+  /**
+   * Fold into a small pill after a while, e.g. after a successful login
+   */
+  collapseSoon() {
+    clearTimeout(this.collapseTimer);
+    this.collapseTimer = setTimeout(() => this.collapse(), STATUS_COLLAPSE_DELAY_MS);
+  }
+
+  /**
+   * Show only the header
+   */
+  collapse() {
+    if (!this.panel) return;
+    clearTimeout(this.collapseTimer);
+    this.panel.classList.add('collapsed');
+    this.toggle.textContent = '▸';
+  }
+
+  /**
+   * Show the full panel
+   */
+  expand() {
+    if (!this.panel) return;
+    clearTimeout(this.collapseTimer);
+    this.panel.classList.remove('collapsed');
+    this.toggle.textContent = '▾';
+  }
+}
+
+// Make StatusPanel available globally
+if (typeof window !== 'undefined') {
+  window.StatusPanel = StatusPanel;
+}
@@ -0,0 +1,374 @@
+/**
+ * Storage schema for SRM Auto Login
+ * Declares every key kept in chrome.storage.local with its type and default,
+ * the schema version those keys follow, and the ordered migrations that bring
+ * an older layout up to date. Session storage only holds data for the current
+ * browser session and is not versioned.
+ * chrome.storage.local is closed to content scripts, so there ExtensionStorage
+ * asks the background worker, which only serves the keys marked `content`
+ */
+
+// Version of the layout described by STORAGE_SCHEMA; bump it together with a new migration
+const STORAGE_SCHEMA_VERSION = 2;
+
+// Keys in chrome.storage.local with their type, the value read when missing and
+// whether content scripts may 'read' or also 'write' them (never credentials or the vault)
+const STORAGE_SCHEMA = {
+  schemaVersion: { type: 'number', default: 0 },
+
+  // Installation and updates
+  installedAt: { type: 'number', default: null },
+  installedVersion: { type: 'string', default: null },
+  extensionUpdate: { type: 'object', default: null },    // { at, previousVersion, version }
+
+  // Credentials (crypto.js)
+  credentialProfiles: { type: 'array', default: [] },    // [{ id, name, encryptedUsername, encryptedPassword }]
+  defaultProfileId: { type: 'string', default: null },
+  credentialsStored: { type: 'boolean', default: false },
+  credentialsUpdatedAt: { type: 'number', default: null },
+  vault: { type: 'object', default: null },              // { salt, verifier } when a master password is set
+  masterPasswordEnabled: { type: 'boolean', default: false },
+  vaultLockTimeout: { type: 'number', default: null },
+
+  // Login flow
+  activityLog: { type: 'array', default: [] },           // [{ timestamp, action, details, url }]
+  loginBlocked: { type: 'object', default: null, content: 'write' },  // { reason, message, at, profileId }
+  autoLoginRules: { type: 'object', default: null, content: 'read' },  // schedule.js
+
+  // Portals (portals.js)
+  portalDefinitions: { type: 'array', default: [], content: 'read' },
+  defaultPortalId: { type: 'string', default: null },
+  selectorOverrides: { type: 'object', default: {}, content: 'write' },  // { [portalId]: { [field]: selector, savedAt } }
+
+  // Captcha
+  captchaSolvers: { type: 'object', default: null },     // solvers.js
+  captchaPreprocessing: { type: 'object', default: null, content: 'read' },
+  ocrMultiPass: { type: 'boolean', default: true, content: 'read' },
+  captchaMaxAttempts: { type: 'number', default: null, content: 'read' },
+  captchaRetryDelay: { type: 'number', default: null, content: 'read' },
+  loginMaxAttempts: { type: 'number', default: null, content: 'read' },
+  captchaCollectionEnabled: { type: 'boolean', default: false, content: 'read' },
+  ocrSelfCheck: { type: 'object', default: null },
+  ocrLastLoad: { type: 'object', default: null },
+
+  // Session keep-alive
+  keepAliveEnabled: { type: 'boolean', default: false },
+  keepAliveUrl: { type: 'string', default: '' },
+  keepAliveInterval: { type: 'number', default: null },
+  reloginReturnEnabled: { type: 'boolean', default: true },
+
+  // Diagnostics (logger.js)
+  logLevel: { type: 'string', default: 'info', content: 'read' },
+  debugLog: { type: 'array', default: [] }               // [{ at, level, scope, message, details }], kept by the background worker
+};
+
+// Activity log entries kept, newest last
+const ACTIVITY_LOG_LIMIT = 100;
+
+/**
+ * Ordered migrations. Each takes a copy of everything in storage at the
+ * previous version and returns it at its own version; keys missing from the
+ * result are removed. They must leave data that is already migrated untouched
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the single stored credential pair into a "Default" profile',
+    migrate(data) {
+      const { encryptedUsername, encryptedPassword, ...rest } = data;
+      if (rest.credentialProfiles || !encryptedUsername || !encryptedPassword) {
+        return rest;
+      }
+
+      const id = crypto.randomUUID();
+      return {
+        ...rest,
+        credentialProfiles: [{ id, name: 'Default', encryptedUsername, encryptedPassword }],
+        defaultProfileId: id,
+        credentialsStored: true
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Split lastUpdated (credential saves and extension updates) into credentialsUpdatedAt and extensionUpdate',
+    migrate(data) {
+      const { lastUpdated, previousVersion, currentVersion, version, ...rest } = data;
+
+      if (version !== undefined && rest.installedVersion === undefined) {
+        rest.installedVersion = version;
+      }
+
+      // An update overwrote lastUpdated, so it only dates the credentials when no update was recorded
+      if (previousVersion !== undefined) {
+        rest.extensionUpdate = { at: lastUpdated || null, previousVersion, version: currentVersion || null };
+      } else if (lastUpdated !== undefined && rest.credentialsStored) {
+        rest.credentialsUpdatedAt = lastUpdated;
+      }
+
+      return rest;
+    }
+  }
+];
+
+class ExtensionStorage {
+  /**
+   * Read keys, filling in the schema defaults
+   * @param {Array<string>} keys - Keys declared in STORAGE_SCHEMA
+   * @returns {Promise<Object>} - Values by key
+   */
+  static async get(keys) {
+    keys.forEach(key => ExtensionStorage.describe(key));
+    const stored = ExtensionStorage.inContentScript()
+      ? await ExtensionStorage.request('getSettings', { keys })
+      : await chrome.storage.local.get(keys);
+
+    const values = {};
+    keys.forEach(key => {
+      values[key] = stored[key] !== undefined ? stored[key] : ExtensionStorage.copyDefault(key);
+    });
+    return values;
+  }
+
+  /**
+   * Write keys after checking them against the schema
+   * @param {Object} values - Values by key
+   * @throws {Error} - If a key is not declared or a value has the wrong type
+   */
+  static async set(values) {
+    Object.entries(values).forEach(([key, value]) => ExtensionStorage.check(key, value));
+    if (ExtensionStorage.inContentScript()) {
+      await ExtensionStorage.request('saveSettings', { values });
+    } else {
+      await chrome.storage.local.set(values);
+    }
+  }
+
+  /**
+   * Remove keys
+   * @param {Array<string>} keys - Keys declared in STORAGE_SCHEMA
+   */
+  static async remove(keys) {
+    keys.forEach(key => ExtensionStorage.describe(key));
+    if (ExtensionStorage.inContentScript()) {
+      await ExtensionStorage.request('removeSettings', { keys });
+    } else {
+      await chrome.storage.local.remove(keys);
+    }
+  }
+
+  /**
+   * Whether this runs in a content script, where chrome.storage.local is not available
+   */
+  static inContentScript() {
+    return typeof window !== 'undefined' && window.location.protocol !== 'chrome-extension:';
+  }
+
+  /**
+   * Ask the background worker to read or write storage for a content script
+   * @param {string} action - getSettings, saveSettings or removeSettings
+   * @param {Object} data - { keys } or { values }
+   * @returns {Promise<Object>} - Response data
+   */
+  static async request(action, data) {
+    const response = await chrome.runtime.sendMessage({ action, data });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'The extension did not answer');
+    }
+    return response.data;
+  }
+
+  /**
+   * Whether content scripts may read, or also write, a key
+   * @param {string} key - Key declared in STORAGE_SCHEMA
+   * @param {string} access - 'read' or 'write'
+   */
+  static allowsContent(key, access) {
+    const { content } = ExtensionStorage.describe(key);
+    return content === 'write' || (content === 'read' && access === 'read');
+  }
+
+  /**
+   * Schema entry of a key
+   * @throws {Error} - If the key is not declared
+   */
+  static describe(key) {
+    const entry = STORAGE_SCHEMA[key];
+    if (!entry) {
+      throw new Error(`Unknown storage key "${key}"`);
+    }
+    return entry;
+  }
+
+  /**
+   * Fresh copy of a key's default, so callers can change it freely
+   */
+  static copyDefault(key) {
+    const value = STORAGE_SCHEMA[key].default;
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Check a value against the type declared for its key (null is accepted where the default is null)
+   * @throws {Error} - If the value has the wrong type
+   */
+  static check(key, value) {
+    const { type, default: defaultValue } = ExtensionStorage.describe(key);
+    if (value === null && defaultValue === null) return;
+
+    const actual = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    if (actual !== type) {
+      throw new Error(`Storage key "${key}" must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}, not ${actual}`);
+    }
+  }
+
+  /**
+   * Bring stored data from any older layout to STORAGE_SCHEMA_VERSION
+   * @returns {Promise<Object>} - { from, to, applied: [descriptions] }
+   */
+  static async migrate() {
+    const data = await chrome.storage.local.get(null);
+    const { data: upgraded, from, applied } = ExtensionStorage.upgrade(data);
+
+    if (applied.length === 0) {
+      return { from, to: from, applied };
+    }
+
+    const removed = Object.keys(data).filter(key => !(key in upgraded));
+    const changed = {};
+    Object.keys(upgraded).forEach(key => {
+      if (JSON.stringify(upgraded[key]) !== JSON.stringify(data[key])) {
+        changed[key] = upgraded[key];
+      }
+    });
+
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed);
+    }
+    await chrome.storage.local.set(changed);
+
+    applied.forEach(description => new Logger('storage').info(`🔁 Storage migration: ${description}`));
+    return { from, to: upgraded.schemaVersion, applied };
+  }
+
+  /**
+   * Apply the pending migrations to a copy of the stored data (no storage access)
+   * @param {Object} data - Everything in chrome.storage.local
+   * @returns {Object} - { data, from, applied: [descriptions] }
+   * @throws {Error} - If the data was written by a newer schema
+   */
+  static upgrade(data) {
+    const from = data.schemaVersion || 0;
+    if (from > STORAGE_SCHEMA_VERSION) {
+      throw new Error(`Stored data uses schema ${from}, newer than this version of the extension (${STORAGE_SCHEMA_VERSION})`);
+    }
+
+    let upgraded = JSON.parse(JSON.stringify(data));
+    const applied = [];
+
+    STORAGE_MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+      upgraded = { ...migration.migrate(upgraded), schemaVersion: migration.version };
+      applied.push(migration.description);
+    });
+
+    return { data: upgraded, from, applied };
+  }
+
+  /**
+   * Record a first installation; a new install starts at the current schema
+   * @param {string} version - Extension version
+   */
+  static async recordInstall(version) {
+    await ExtensionStorage.set({
+      installedAt: Date.now(),
+      installedVersion: version,
+      schemaVersion: STORAGE_SCHEMA_VERSION
+    });
+  }
+
+  /**
+   * Record an extension update
+   * @param {string} previousVersion - Version before the update
+   * @param {string} version - Version after the update
+   */
+  static async recordUpdate(previousVersion, version) {
+    await ExtensionStorage.set({
+      extensionUpdate: { at: Date.now(), previousVersion: previousVersion || null, version }
+    });
+  }
+
+  /**
+   * Read the credential profiles
+   * @returns {Promise<Object>} - { credentialProfiles, defaultProfileId }
+   */
+  static async getProfiles() {
+    return ExtensionStorage.get(['credentialProfiles', 'defaultProfileId']);
+  }
+
+  /**
+   * Save the credential profiles and keep credentialsStored and credentialsUpdatedAt in step
+   * @param {Array<Object>} profiles - Encrypted profiles
+   * @param {string|null} defaultProfileId - Profile used for automatic logins
+   */
+  static async saveProfiles(profiles, defaultProfileId) {
+    await ExtensionStorage.set({
+      credentialProfiles: profiles,
+      defaultProfileId: defaultProfileId,
+      credentialsStored: profiles.length > 0,
+      credentialsUpdatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Remove every credential profile
+   */
+  static async clearProfiles() {
+    await ExtensionStorage.remove(['credentialProfiles', 'defaultProfileId', 'credentialsStored', 'credentialsUpdatedAt']);
+  }
+
+  /**
+   * Read the activity log, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getActivityLog() {
+    const { activityLog } = await ExtensionStorage.get(['activityLog']);
+    return activityLog;
+  }
+
+  /**
+   * Add an activity log entry, keeping the last ACTIVITY_LOG_LIMIT
+   * @param {Object} entry - { timestamp, action, details, url }
+   */
+  static async appendActivity(entry) {
+    const activityLog = await ExtensionStorage.getActivityLog();
+    activityLog.push(entry);
+    if (activityLog.length > ACTIVITY_LOG_LIMIT) {
+      activityLog.splice(0, activityLog.length - ACTIVITY_LOG_LIMIT);
+    }
+    await ExtensionStorage.set({ activityLog });
+  }
+
+  /**
+   * Drop activity log entries older than a cutoff
+   * @param {number} maxAgeMs - Oldest entry age to keep
+   * @returns {Promise<number>} - Entries removed
+   */
+  static async pruneActivityLog(maxAgeMs) {
+    const activityLog = await ExtensionStorage.getActivityLog();
+    const cutoff = Date.now() - maxAgeMs;
+    const kept = activityLog.filter(entry => entry.timestamp > cutoff);
+
+    if (kept.length !== activityLog.length) {
+      await ExtensionStorage.set({ activityLog: kept });
+    }
+    return activityLog.length - kept.length;
+  }
+}
+
+// Make ExtensionStorage available globally
+if (typeof window !== 'undefined') {
+  window.ExtensionStorage = ExtensionStorage;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ExtensionStorage, STORAGE_SCHEMA, STORAGE_SCHEMA_VERSION, STORAGE_MIGRATIONS };
+}
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Draws the captcha fixtures in tests/fixtures/captchas
+ * The images are synthetic, laid out like the SRM portal's captcha: six dark
+ * characters with some vertical jitter on a light background with speckle
+ * noise and thin lines across it. They are drawn with a 5x7 bitmap font from a
+ * fixed seed per label, so running this again gives the same files.
+ * Each file is named after its label, the layout scripts/benchmark-ocr.js reads.
+ * tests/fixtures/skewed holds copies of some of them rotated by a few degrees,
+ * for the deskew step.
+ *
+ * Usage:
+ *   node tests/fixtures/make-captchas.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encode } = require('../helpers/png.js');
+
+const LABELS = ['K7MPX3', 'A4RT9W', 'H2NQ8E'];
+
+// Rotated copies in tests/fixtures/skewed: label -> degrees, clockwise
+const SKEWED = { K7MPX3: 6, A4RT9W: -5 };
+
+const WIDTH = 128;
+const HEIGHT = 40;
+
+// Size of one font cell in pixels (keeps strokes 3 pixels thick, thicker than the noise lines)
+const SCALE = 3;
+
+// 5x7 glyphs, one string per row
+const FONT = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  N: ['10001', '11001', '10101', '10011', '10001', '10001', '10001'],
+  P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  W: ['10001', '10001', '10001', '10101', '10101', '11011', '10001'],
+  X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100']
+};
+
+/**
+ * Small seeded PRNG (mulberry32)
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seedOf(label) {
+  return Array.from(label).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+}
+
+/**
+ * Draw one captcha
+ * @param {string} label - Characters to draw
+ * @returns {Object} - { width, height, data } RGBA image
+ */
+function drawCaptcha(label) {
+  const next = random(seedOf(label));
+  const between = (low, high) => low + Math.floor(next() * (high - low + 1));
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= WIDTH || y >= HEIGHT) return;
+    const o = (y * WIDTH + x) * 4;
+    data[o] = r;
+    data[o + 1] = g;
+    data[o + 2] = b;
+    data[o + 3] = 255;
+  };
+
+  // Light, slightly uneven background
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const shade = between(228, 250);
+      setPixel(x, y, [shade, shade, between(shade - 6, shade)]);
+    }
+  }
+
+  // Characters
+  Array.from(label).forEach((char, index) => {
+    const color = [between(20, 60), between(20, 60), between(60, 110)];
+    const left = 9 + index * 18;
+    const top = 9 + between(-3, 3);
+
+    FONT[char].forEach((row, gy) => {
+      Array.from(row).forEach((cell, gx) => {
+        if (cell !== '1') return;
+        for (let dy = 0; dy < SCALE; dy++) {
+          for (let dx = 0; dx < SCALE; dx++) {
+            setPixel(left + gx * SCALE + dx, top + gy * SCALE + dy, color);
+          }
+        }
+      });
+    });
+  });
+
+  // Two thin lines across the whole image
+  for (let line = 0; line < 2; line++) {
+    const color = [between(50, 90), between(50, 90), between(50, 90)];
+    const y0 = between(4, HEIGHT - 5);
+    const y1 = between(4, HEIGHT - 5);
+    for (let x = 0; x < WIDTH; x++) {
+      setPixel(x, Math.round(y0 + ((y1 - y0) * x) / (WIDTH - 1)), color);
+    }
+  }
+
+  // Speckle noise
+  for (let i = 0; i < WIDTH * HEIGHT * 0.02; i++) {
+    const shade = between(40, 90);
+    setPixel(between(0, WIDTH - 1), between(0, HEIGHT - 1), [shade, shade, shade]);
+  }
+
+  return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Rotate an image about its centre (nearest neighbour), filling uncovered
+ * corners with the colour of the top-left pixel
+ * @param {Object} image - { width, height, data } RGBA image
+ * @param {number} degrees - Clockwise angle
+ * @returns {Object} - Rotated image of the same size
+ */
+function rotate(image, degrees) {
+  const { width, height, data } = image;
+  const rad = degrees * Math.PI / 180;
+  const sin = Math.sin(rad);
+  const cos = Math.cos(rad);
+  const cx = width / 2;
+  const cy = height / 2;
+  const output = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.round((x - cx) * cos + (y - cy) * sin + cx);
+      const sy = Math.round(-(x - cx) * sin + (y - cy) * cos + cy);
+      const from = sx >= 0 && sy >= 0 && sx < width && sy < height ? (sy * width + sx) * 4 : 0;
+      output.set(data.subarray(from, from + 4), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data: output };
+}
+
+if (require.main === module) {
+  const folder = path.join(__dirname, 'captchas');
+  fs.mkdirSync(folder, { recursive: true });
+  LABELS.forEach(label => {
+    fs.writeFileSync(path.join(folder, `${label}.png`), encode(drawCaptcha(label)));
+    console.log(`Wrote ${label}.png`);
+  });
+
+  const skewedFolder = path.join(__dirname, 'skewed');
+  fs.mkdirSync(skewedFolder, { recursive: true });
+  Object.entries(SKEWED).forEach(([label, degrees]) => {
+    fs.writeFileSync(path.join(skewedFolder, `${label}.png`), encode(rotate(drawCaptcha(label), degrees)));
+    console.log(`Wrote skewed/${label}.png (${degrees} degrees)`);
+  });
+}
+
+module.exports = { drawCaptcha, rotate, LABELS, SKEWED };
@@ -0,0 +1,175 @@
+/**
+ * Loads extension scripts into a Node vm context with a stand-in for the
+ * chrome.* APIs they use at startup, so tests can send runtime messages to
+ * the background worker or the OCR offscreen document and see the replies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const EXTENSION_ORIGIN = `chrome-extension://${EXTENSION_ID}`;
+
+// Senders as chrome.runtime.MessageSender describes them
+const SENDERS = {
+  worker: { id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}/background.js`, origin: EXTENSION_ORIGIN },
+  options: { id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}/options.html`, origin: EXTENSION_ORIGIN, tab: { id: 5 }, frameId: 0 },
+  popup: { id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}/popup.html`, origin: EXTENSION_ORIGIN },
+  offscreen: { id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}/offscreen.html`, origin: EXTENSION_ORIGIN },
+  portal: {
+    id: EXTENSION_ID,
+    url: 'https://student.srmap.edu.in/srmapstudentcorner/StudentLoginPage',
+    origin: 'https://student.srmap.edu.in',
+    tab: { id: 3 },
+    frameId: 0
+  },
+  foreignTab: { id: EXTENSION_ID, url: 'https://evil.example/login', origin: 'https://evil.example', tab: { id: 4 }, frameId: 0 },
+  otherExtension: { id: 'ponmlkjihgfedcbaponmlkjihgfedcba', url: 'chrome-extension://ponmlkjihgfedcbaponmlkjihgfedcba/page.html', origin: 'chrome-extension://ponmlkjihgfedcbaponmlkjihgfedcba' }
+};
+
+function event() {
+  const listeners = [];
+  return { listeners, addListener: listener => listeners.push(listener), removeListener() {} };
+}
+
+function storageArea(contents = {}) {
+  const store = JSON.parse(JSON.stringify(contents));
+  return {
+    store,
+    async get(keys) {
+      const names = keys === null || keys === undefined ? Object.keys(store) : [].concat(keys);
+      const values = {};
+      names.forEach(key => {
+        if (key in store) values[key] = JSON.parse(JSON.stringify(store[key]));
+      });
+      return values;
+    },
+    async set(values) {
+      Object.assign(store, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete store[key]);
+    },
+    async setAccessLevel() {}
+  };
+}
+
+/**
+ * Stand-in for the chrome.* APIs
+ * @param {Object} local - Initial chrome.storage.local contents
+ */
+function createChrome(local) {
+  return {
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL: file => `${EXTENSION_ORIGIN}/${file}`,
+      getManifest: () => ({ version: '1.0.0', background: { service_worker: 'background.js' }, content_scripts: [{ js: [] }] }),
+      getContexts: async () => [],
+      sendMessage: async () => ({ success: true }),
+      onMessage: event(),
+      onInstalled: event(),
+      onStartup: event()
+    },
+    storage: { local: storageArea(local), session: storageArea(), onChanged: event() },
+    tabs: { onUpdated: event(), onRemoved: event(), query: async () => [], sendMessage: async () => ({}), create: async () => ({}), update: async () => ({}) },
+    alarms: { create() {}, clear: async () => true, onAlarm: event() },
+    action: { setBadgeText: async () => {}, setTitle: async () => {} },
+    contextMenus: { removeAll: callback => callback && callback(), create: (item, callback) => callback && callback(), onClicked: event() },
+    commands: { onCommand: event() },
+    permissions: { contains: async () => false, onAdded: event(), onRemoved: event() },
+    scripting: { getRegisteredContentScripts: async () => [], registerContentScripts: async () => {}, unregisterContentScripts: async () => {}, executeScript: async () => [] },
+    notifications: { create() {} },
+    offscreen: { Reason: { DOM_PARSER: 'DOM_PARSER' }, createDocument: async () => {} }
+  };
+}
+
+/**
+ * Create a vm context with the chrome stand-in and quiet consoles
+ * @param {Object} options - { local: chrome.storage.local contents, globals: extra globals }
+ */
+function createContext(options = {}) {
+  const chrome = createChrome(options.local);
+  const quiet = () => {};
+  const context = {
+    chrome,
+    console: { log: quiet, debug: quiet, info: quiet, warn: quiet, error: quiet },
+    URL,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    fetch: async () => ({ ok: true, json: async () => ({}), text: async () => '' }),
+    ...options.globals
+  };
+  context.self = context;
+  vm.createContext(context);
+  context.importScripts = (...files) => files.forEach(file => run(context, file));
+  return context;
+}
+
+/**
+ * Run an extension file in a context
+ */
+function run(context, file) {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+}
+
+/**
+ * Call the runtime.onMessage listeners the way Chrome does, serializing the
+ * response (which also brings it out of the vm context for deepEqual)
+ * @returns {Promise<Object|undefined>} - The first response, or undefined once every listener declined to answer
+ */
+function dispatch(context, message, sender) {
+  return new Promise(resolve => {
+    const respond = response => resolve(response === undefined ? undefined : JSON.parse(JSON.stringify(response)));
+    let waiting = 0;
+    context.chrome.runtime.onMessage.listeners.forEach(listener => {
+      if (listener(message, sender, respond) === true) waiting++;
+    });
+    if (waiting === 0) setTimeout(() => resolve(undefined), 0);
+  });
+}
+
+/**
+ * Start the background worker
+ * @param {Object} options - See createContext
+ */
+async function loadBackground(options) {
+  const context = createContext(options);
+  run(context, 'background.js');
+  // Drop log entries rather than keep them for the debug log, which would leave a write pending
+  vm.runInContext('Logger.useSink(() => {})', context);
+  // Let the startup work settle before sending messages
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return context;
+}
+
+/**
+ * Start the OCR offscreen document with a stand-in for Tesseract
+ * @param {Object} options - See createContext
+ */
+function loadOffscreen(options = {}) {
+  const context = createContext({
+    ...options,
+    globals: {
+      window: { addEventListener() {} },
+      Tesseract: { OEM: { LSTM_ONLY: 1 }, createWorker: async () => ({ setParameters: async () => {} }) },
+      OcrEngine: { getWorkerOptions: workerOptions => workerOptions },
+      OCR_PARAMETERS: {},
+      ...options.globals
+    }
+  });
+  run(context, 'logger.js');
+  vm.runInContext('Logger.useSink(() => {})', context);
+  run(context, 'messages.js');
+  run(context, 'offscreen.js');
+  return context;
+}
+
+module.exports = { SENDERS, loadBackground, loadOffscreen, dispatch };
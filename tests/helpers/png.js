@@ -0,0 +1,146 @@
+/**
+ * Minimal PNG reader and writer for test fixtures
+ * Handles the non-interlaced 8-bit RGB and RGBA files the fixtures use and
+ * returns ImageData-like objects ({ width, height, data }) as the extension's
+ * canvas code does, so tests need no image packages
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel by PNG colour type
+const CHANNELS = { 2: 3, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decode a PNG file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { width, height, data: Uint8ClampedArray (RGBA) }
+ */
+function decode(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  const compressed = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'IDAT') {
+      compressed.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || header.bitDepth !== 8 || !CHANNELS[header.colorType] || header.interlace !== 0) {
+    throw new Error('Only non-interlaced 8-bit RGB or RGBA PNG files are supported');
+  }
+
+  const { width, height } = header;
+  const channels = CHANNELS[header.colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let predictor = 0;
+
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        predictor = distances[0] <= distances[1] && distances[0] <= distances[2] ? left : (distances[1] <= distances[2] ? up : upLeft);
+      }
+
+      pixels[row + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = pixels[i * channels];
+    data[i * 4 + 1] = pixels[i * channels + 1];
+    data[i * 4 + 2] = pixels[i * channels + 2];
+    data[i * 4 + 3] = channels === 4 ? pixels[i * channels + 3] : 255;
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Encode an image as an RGBA PNG
+ * @param {Object} image - { width, height, data } with RGBA pixels
+ * @returns {Buffer} - File contents
+ */
+function encode(image) {
+  const { width, height, data } = image;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // RGBA
+
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([length, typed, crc]);
+  };
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { decode, encode };
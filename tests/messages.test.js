@@ -0,0 +1,183 @@
+/**
+ * Message protocol (messages.js) and the routers that enforce it: the
+ * background worker's onMessage listener and the OCR offscreen document's
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MessageProtocol, MESSAGE_SCHEMA } = require('../messages.js');
+const { SENDERS, loadBackground, loadOffscreen, dispatch } = require('./helpers/extension.js');
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('MessageProtocol.validate', async t => {
+  await t.test('accepts a message matching its schema', () => {
+    assert.equal(MessageProtocol.validate({ action: 'getCredentials', data: { profileId: null } }), MESSAGE_SCHEMA.getCredentials);
+    assert.equal(MessageProtocol.validate({ action: 'getProfiles' }), MESSAGE_SCHEMA.getProfiles);
+    assert.equal(MessageProtocol.validate({ action: 'clearCredentials', data: {} }), MESSAGE_SCHEMA.clearCredentials);
+  });
+
+  await t.test('refuses malformed messages', () => {
+    for (const message of [null, 'getProfiles', {}, { action: 42 }, { data: {} }]) {
+      assert.throws(() => MessageProtocol.validate(message), /Malformed message/);
+    }
+  });
+
+  await t.test('refuses unknown actions, including inherited property names', () => {
+    for (const action of ['deleteEverything', 'toString', '__proto__', 'constructor', 'hasOwnProperty']) {
+      assert.throws(() => MessageProtocol.validate({ action }), /Unknown action/, action);
+    }
+  });
+
+  await t.test('refuses data that is not an object', () => {
+    assert.throws(() => MessageProtocol.validate({ action: 'getProfiles', data: [] }), /data must be an object/);
+    assert.throws(() => MessageProtocol.validate({ action: 'unlockVault', data: 'secret' }), /data must be an object/);
+  });
+
+  await t.test('refuses fields the action does not take', () => {
+    assert.throws(() => MessageProtocol.validate({ action: 'getProfiles', data: { all: true } }), /does not take "all"/);
+    assert.throws(
+      () => MessageProtocol.validate({ action: 'getCredentials', data: { profileId: null, includeVault: true } }),
+      /does not take "includeVault"/
+    );
+  });
+
+  await t.test('refuses missing and wrongly typed fields', () => {
+    assert.throws(() => MessageProtocol.validate({ action: 'deleteProfile', data: {} }), /needs "profileId"/);
+    assert.throws(() => MessageProtocol.validate({ action: 'unlockVault', data: { password: 123 } }), /"password" must be a string/);
+    assert.throws(() => MessageProtocol.validate({ action: 'getSettings', data: { keys: 'vault' } }), /"keys" must be an array/);
+    assert.throws(() => MessageProtocol.validate({ action: 'saveSettings', data: { values: [] } }), /"values" must be an object/);
+    assert.throws(
+      () => MessageProtocol.validate({ action: 'setMasterPassword', data: { newPassword: 'x', lockTimeout: '5' } }),
+      /"lockTimeout" must be a number/
+    );
+  });
+
+  await t.test('only takes image data URLs for captcha images', () => {
+    const solve = images => ({ action: 'solveCaptcha', data: { raw: IMAGE, images } });
+    assert.doesNotThrow(() => MessageProtocol.validate(solve([IMAGE, IMAGE])));
+    assert.throws(() => MessageProtocol.validate(solve(['https://evil.example/track.png'])), /must be an array of image data URLs/);
+    assert.throws(() => MessageProtocol.validate(solve(IMAGE)), /must be an array of image data URLs/);
+    assert.throws(
+      () => MessageProtocol.validate({ action: 'collectCaptchaSample', data: { image: 'data:text/html,<script>' } }),
+      /"image" must be an image data URL/
+    );
+    assert.throws(
+      () => MessageProtocol.validate({ action: 'recognize', target: 'offscreen', data: { images: ['http://127.0.0.1:8080/admin'] } }),
+      /"images" must be an array of image data URLs/
+    );
+  });
+
+  await t.test('only takes an action with the target its schema names', () => {
+    assert.doesNotThrow(() => MessageProtocol.validate({ action: 'recognize', target: 'offscreen', data: { images: [IMAGE] } }));
+    assert.throws(() => MessageProtocol.validate({ action: 'recognize', data: { images: [IMAGE] } }), /not answered by the background worker/);
+    assert.throws(() => MessageProtocol.validate({ action: 'getCredentials', target: 'offscreen', data: {} }), /not answered by the offscreen document/);
+  });
+});
+
+test('background worker router', async t => {
+  const context = await loadBackground();
+  const send = (message, sender) => dispatch(context, message, sender);
+
+  await t.test('answers extension pages and portal tabs within their actions', async () => {
+    assert.deepEqual(await send({ action: 'getProfiles' }, SENDERS.options), { success: true, data: { profiles: [], defaultProfileId: null } });
+    assert.equal((await send({ action: 'getSettings', data: { keys: ['ocrMultiPass'] } }, SENDERS.portal)).success, true);
+    assert.equal((await send({ action: 'ocrProgress', data: { tabId: 3, progress: 0.5 } }, SENDERS.offscreen)).success, true);
+  });
+
+  await t.test('refuses invalid messages before routing them', async () => {
+    assert.deepEqual(await send({ action: 'toString' }, SENDERS.options), { success: false, error: 'Unknown action' });
+    assert.deepEqual(
+      await send({ action: 'deleteProfile', data: { profileId: 'a', force: true } }, SENDERS.options),
+      { success: false, error: '"deleteProfile" does not take "force"' }
+    );
+  });
+
+  await t.test('refuses privileged actions from portal tabs', async () => {
+    for (const message of [
+      { action: 'getProfiles' },
+      { action: 'clearCredentials' },
+      { action: 'storeCredentials', data: { username: 'alice', password: 'secret' } },
+      { action: 'unlockVault', data: { password: 'secret' } },
+      { action: 'getLogs' },
+      { action: 'ocrProgress', data: { tabId: 3, progress: 1 } }
+    ]) {
+      assert.deepEqual(await send(message, SENDERS.portal), { success: false, error: 'Not accepted from portal pages' }, message.action);
+    }
+  });
+
+  await t.test('refuses storage keys closed to content scripts', async () => {
+    const response = await send({ action: 'getSettings', data: { keys: ['vault'] } }, SENDERS.portal);
+    assert.equal(response.success, false);
+  });
+
+  await t.test('refuses senders from other origins', async () => {
+    const senders = {
+      'tab on another site': SENDERS.foreignTab,
+      'another extension': SENDERS.otherExtension,
+      'sandboxed frame on the portal': { ...SENDERS.portal, origin: 'null' },
+      'portal URL from another origin': { ...SENDERS.portal, origin: 'https://evil.example' },
+      'portal page outside a tab': { ...SENDERS.portal, tab: undefined },
+      'no sender': undefined
+    };
+    for (const [name, sender] of Object.entries(senders)) {
+      assert.deepEqual(await send({ action: 'getCredentials', data: {} }, sender), { success: false, error: 'Unknown sender' }, name);
+    }
+  });
+
+  await t.test('refuses requests meant for the offscreen document', async () => {
+    const recognize = { action: 'recognize', target: 'offscreen', data: { images: [IMAGE] } };
+    assert.deepEqual(await send(recognize, SENDERS.portal), { success: false, error: 'Not accepted from portal pages' });
+    assert.deepEqual(await send(recognize, SENDERS.options), { success: false, error: 'Not accepted from the extension\'s pages' });
+    assert.deepEqual(
+      await send({ action: 'recognize', target: 'offscreen', data: { images: ['http://127.0.0.1/'] } }, SENDERS.portal),
+      { success: false, error: '"recognize" field "images" must be an array of image data URLs' }
+    );
+    // An ordinary action addressed to the offscreen document is not run either
+    assert.equal((await send({ action: 'getCredentials', target: 'offscreen', data: {} }, SENDERS.portal)).success, false);
+  });
+});
+
+test('offscreen document router', async t => {
+  const context = loadOffscreen();
+  const send = (message, sender) => dispatch(context, message, sender);
+
+  await t.test('answers the background worker', async () => {
+    assert.deepEqual(await send({ action: 'ping', target: 'offscreen' }, SENDERS.worker), { success: true });
+  });
+
+  await t.test('leaves messages for the background worker alone', async () => {
+    assert.equal(await send({ action: 'getProfiles' }, SENDERS.options), undefined);
+    assert.equal(await send({ action: 'appendLogs', data: { entries: [] } }, SENDERS.portal), undefined);
+  });
+
+  await t.test('ignores requests from anyone but the background worker', async () => {
+    const recognize = { action: 'recognize', target: 'offscreen', data: { images: [IMAGE] } };
+    for (const [name, sender] of Object.entries({
+      'portal tab': SENDERS.portal,
+      'tab on another site': SENDERS.foreignTab,
+      'options page': SENDERS.options,
+      popup: SENDERS.popup,
+      'another extension': SENDERS.otherExtension,
+      'worker URL in a tab': { ...SENDERS.worker, tab: { id: 3 } }
+    })) {
+      assert.equal(await send(recognize, sender), undefined, name);
+    }
+  });
+
+  await t.test('refuses invalid requests from the background worker', async () => {
+    assert.deepEqual(
+      await send({ action: 'recognize', target: 'offscreen', data: { images: ['https://evil.example/'] } }, SENDERS.worker),
+      { success: false, error: '"recognize" field "images" must be an array of image data URLs' }
+    );
+    assert.deepEqual(
+      await send({ action: 'recognize', target: 'offscreen', data: { images: [IMAGE], debug: true } }, SENDERS.worker),
+      { success: false, error: '"recognize" does not take "debug"' }
+    );
+    assert.deepEqual(
+      await send({ action: 'getCredentials', target: 'offscreen', data: {} }, SENDERS.worker),
+      { success: false, error: '"getCredentials" is not answered by the offscreen document' }
+    );
+  });
+});
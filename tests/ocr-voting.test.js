@@ -0,0 +1,142 @@
+/**
+ * Multi-pass OCR voting (ocr-voting.js)
+ * Readings are built the way the offscreen document passes them: the text,
+ * Tesseract's overall confidence and one symbol per character, all 0-1
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const OcrVoter = require('../ocr-voting.js');
+
+/**
+ * One OCR reading; confidences is a number for every symbol or one per character
+ */
+function reading(text, confidences) {
+  const chars = Array.from(text);
+  const perChar = Array.isArray(confidences) ? confidences : chars.map(() => confidences);
+  return {
+    text,
+    confidence: perChar.reduce((sum, value) => sum + value, 0) / perChar.length,
+    symbols: chars.map((char, i) => ({ text: char, confidence: perChar[i] }))
+  };
+}
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+
+test('unanimous readings keep their confidence', () => {
+  const result = OcrVoter.vote([reading('K7MPX3', 0.9), reading('K7MPX3', 0.9), reading('K7MPX3', 0.9)], { length: 6 });
+
+  assert.equal(result.text, 'K7MPX3');
+  close(result.confidence, 0.9, 'confidence');
+  assert.equal(result.agreeing, 3);
+  assert.equal(result.total, 3);
+});
+
+test('disagreeing readings are outvoted per character, and the split lowers the confidence', () => {
+  const result = OcrVoter.vote([
+    reading('K7MPX3', 0.9),
+    reading('K7MPX3', 0.8),
+    reading('K1MPX3', 0.95)
+  ], { length: 6 });
+
+  assert.equal(result.text, 'K7MPX3');
+  assert.deepEqual(Object.keys(result.positions[1].votes).sort(), ['1', '7']);
+  // The disputed position: 0.9 + 0.8 for "7" out of three readings
+  close(result.positions[1].confidence, 1.7 / 3, 'position 1');
+  close(result.confidence, 1.7 / 3, 'weakest position');
+  // Undisputed positions average every reading
+  close(result.positions[0].confidence, 2.65 / 3, 'position 0');
+});
+
+test('a sure reading outweighs several unsure ones', () => {
+  const result = OcrVoter.vote([
+    reading('ABCDEF', [0.9, 0.9, 0.9, 0.9, 0.9, 0.9]),
+    reading('A8CDEF', [0.9, 0.2, 0.9, 0.9, 0.9, 0.9]),
+    reading('A8CDEF', [0.9, 0.25, 0.9, 0.9, 0.9, 0.9])
+  ], { length: 6 });
+
+  assert.equal(result.text, 'ABCDEF');
+  close(result.positions[1].confidence, 0.3, 'position 1');
+});
+
+test('readings of the wrong length are dropped', () => {
+  const result = OcrVoter.vote([
+    reading('K7MPX3', 0.9),
+    reading('K7MPX3', 0.9),
+    reading('K7MPXX3', 0.99)
+  ], { length: 6 });
+
+  assert.equal(result.text, 'K7MPX3');
+  assert.equal(result.agreeing, 2);
+  assert.equal(result.total, 3);
+  close(result.confidence, 0.9, 'confidence');
+});
+
+test('few readings of the right length scale the confidence down', () => {
+  const result = OcrVoter.vote([
+    reading('K7MPX3', 0.9),
+    reading('K7MPX', 0.9),
+    reading('K7MPXX3', 0.9),
+    reading('K7MPX33', 0.9)
+  ], { length: 6 });
+
+  assert.equal(result.text, 'K7MPX3');
+  assert.equal(result.agreeing, 1);
+  // One of four readings, where two would have been full support
+  close(result.confidence, 0.9 / 2, 'confidence');
+});
+
+test('no reading of the expected length is a failure with the longest reading as text', () => {
+  const result = OcrVoter.vote([reading('K7M', 0.9), reading('K7MPX', 0.9)], { length: 6 });
+
+  assert.deepEqual(result, { text: 'K7MPX', confidence: 0, positions: [], agreeing: 0, total: 2 });
+});
+
+test('without a configured length the best supported length wins', () => {
+  const chars = (text, confidence) => Array.from(text).map(char => ({ char, confidence }));
+
+  assert.equal(OcrVoter.chooseLength([chars('K7MPX3', 0.8), chars('K7MPX3', 0.7), chars('K7MPX', 0.9)], null), 6);
+  // Weighted by confidence, not counted: one sure reading beats two unsure ones
+  assert.equal(OcrVoter.chooseLength([chars('K7MPX3', 0.3), chars('K7MPX3', 0.3), chars('K7MPX', 0.9)], null), 5);
+  assert.equal(OcrVoter.chooseLength([chars('K7MPX', 0.9)], 6), 6);
+  assert.equal(OcrVoter.chooseLength([[], []], null), 0);
+
+  const result = OcrVoter.vote([reading('K7MPX3', 0.8), reading('K7MPX3', 0.7), reading('K7MP', 0.9)]);
+  assert.equal(result.text, 'K7MPX3');
+  assert.equal(result.agreeing, 2);
+});
+
+test('characters outside the charset are filtered before voting', () => {
+  const allowed = /^[A-Z0-9]$/;
+  const characters = OcrVoter.toCharacters(reading('K7-MP x3', 0.9), allowed);
+  assert.equal(characters.map(c => c.char).join(''), 'K7MP3');
+
+  // The default charset drops punctuation and spaces but keeps both cases
+  const result = OcrVoter.vote([reading('K7 m.PX3', 0.9), reading('K7m PX3', 0.9)]);
+  assert.equal(result.text, 'K7mPX3');
+  assert.equal(result.agreeing, 2);
+
+  // A portal charset also drops letters the default one would keep
+  const digits = OcrVoter.vote([reading('12O3456', 0.9), reading('123456', 0.9)], { length: 6, charset: '0-9' });
+  assert.equal(digits.text, '123456');
+  assert.equal(digits.agreeing, 2);
+});
+
+test('symbol confidences are clamped and readings without symbols use the overall confidence', () => {
+  const allowed = /^[A-Z0-9]$/;
+
+  const clamped = OcrVoter.toCharacters({
+    text: 'AB',
+    confidence: 0.5,
+    symbols: [{ text: 'A', confidence: 1.4 }, { text: 'B', confidence: -0.2 }]
+  }, allowed);
+  assert.deepEqual(clamped, [{ char: 'A', confidence: 1 }, { char: 'B', confidence: 0 }]);
+
+  const plain = OcrVoter.toCharacters({ text: 'A1', confidence: 0.7 }, allowed);
+  assert.deepEqual(plain, [{ char: 'A', confidence: 0.7 }, { char: '1', confidence: 0.7 }]);
+
+  // A symbol Tesseract merged from two characters gives both its confidence
+  const merged = OcrVoter.toCharacters({ text: 'rn', confidence: 0.6, symbols: [{ text: 'RN', confidence: 0.6 }] }, allowed);
+  assert.deepEqual(merged, [{ char: 'R', confidence: 0.6 }, { char: 'N', confidence: 0.6 }]);
+});
@@ -0,0 +1,198 @@
+/**
+ * Captcha preprocessing steps (preprocess.js) on the captcha fixtures
+ * Each step runs on the previous step's output, as in the extension's pipeline,
+ * and must reproduce the expected image in tests/fixtures/preprocess exactly.
+ * Deskew, off by default, runs on the rotated copies in tests/fixtures/skewed.
+ * After an intended change to a step, regenerate the expected images with
+ *   UPDATE_FIXTURES=1 node --test tests/
+ * and look at them before committing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CaptchaPreprocessor = require('../preprocess.js');
+const { decode, encode } = require('./helpers/png.js');
+
+const CAPTCHAS = path.join(__dirname, 'fixtures', 'captchas');
+const SKEWED = path.join(__dirname, 'fixtures', 'skewed');
+const EXPECTED = path.join(__dirname, 'fixtures', 'preprocess');
+
+const labelsIn = folder => fs.readdirSync(folder).filter(file => file.endsWith('.png')).map(file => path.basename(file, '.png')).sort();
+const LABELS = labelsIn(CAPTCHAS);
+const SKEWED_LABELS = labelsIn(SKEWED);
+
+function load(label, folder = CAPTCHAS) {
+  return decode(fs.readFileSync(path.join(folder, `${label}.png`)));
+}
+
+/**
+ * Compare an image with its expected fixture (or write the fixture when updating)
+ */
+function assertMatchesFixture(image, name) {
+  const file = path.join(EXPECTED, `${name}.png`);
+  if (process.env.UPDATE_FIXTURES) {
+    fs.mkdirSync(EXPECTED, { recursive: true });
+    fs.writeFileSync(file, encode(image));
+    return;
+  }
+
+  const expected = decode(fs.readFileSync(file));
+  assert.equal(image.width, expected.width, `${name}: width`);
+  assert.equal(image.height, expected.height, `${name}: height`);
+  const differing = image.data.findIndex((value, i) => value !== expected.data[i]);
+  assert.equal(differing, -1, `${name}: first differing byte at ${differing}`);
+}
+
+function luminanceAt(image, x, y) {
+  return image.data[(y * image.width + x) * 4];
+}
+
+function isInk(image, x, y) {
+  return x >= 0 && y >= 0 && x < image.width && y < image.height && luminanceAt(image, x, y) < 128;
+}
+
+/**
+ * Dark pixels whose eight neighbours are all light (speckle noise)
+ */
+function countSpeckles(image) {
+  let count = 0;
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (!isInk(image, x, y)) continue;
+      let neighbours = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && isInk(image, x + dx, y + dy)) neighbours++;
+        }
+      }
+      if (neighbours === 0) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Least-squares slope of the ink pixels (rise per pixel across): 0 for level text
+ */
+function inkSlope(image) {
+  let n = 0, sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (!isInk(image, x, y)) continue;
+      n++;
+      sumX += x;
+      sumY += y;
+      sumXX += x * x;
+      sumXY += x * y;
+    }
+  }
+  return (sumXY - sumX * sumY / n) / (sumXX - sumX * sumX / n);
+}
+
+function countInk(image) {
+  let count = 0;
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      if (isInk(image, x, y)) count++;
+    }
+  }
+  return count;
+}
+
+for (const label of LABELS) {
+  test(`preprocessing steps on captcha ${label}`, async (t) => {
+    const source = load(label);
+    const untouched = Uint8ClampedArray.from(source.data);
+
+    const gray = CaptchaPreprocessor.grayscale(source);
+    const denoised = CaptchaPreprocessor.medianFilter(gray);
+    const binary = CaptchaPreprocessor.adaptiveThreshold(denoised);
+    const cleaned = CaptchaPreprocessor.removeNoiseLines(binary);
+    const scaled = CaptchaPreprocessor.upscale(cleaned);
+
+    await t.test('grayscale uses BT.601 luma and keeps the image opaque', () => {
+      for (let i = 0; i < source.width * source.height; i++) {
+        const o = i * 4;
+        const luma = 0.299 * source.data[o] + 0.587 * source.data[o + 1] + 0.114 * source.data[o + 2];
+        assert.ok(Math.abs(gray.data[o] - luma) <= 0.5, `pixel ${i}`);
+        assert.equal(gray.data[o + 1], gray.data[o]);
+        assert.equal(gray.data[o + 2], gray.data[o]);
+        assert.equal(gray.data[o + 3], 255);
+      }
+      assertMatchesFixture(gray, `${label}.grayscale`);
+    });
+
+    await t.test('median filter removes speckle noise', () => {
+      assert.ok(countSpeckles(gray) > 0, 'the fixture has speckles');
+      assert.equal(countSpeckles(denoised), 0);
+      assertMatchesFixture(denoised, `${label}.medianFilter`);
+    });
+
+    await t.test('adaptive threshold gives a black-on-white binary image', () => {
+      const values = new Set();
+      for (let i = 0; i < binary.data.length; i += 4) values.add(binary.data[i]);
+      assert.deepEqual([...values].sort((a, b) => a - b), [0, 255]);
+
+      // Ink is the minority: characters and lines, not the background
+      const inkShare = countInk(binary) / (binary.width * binary.height);
+      assert.ok(inkShare > 0.05 && inkShare < 0.4, `ink share ${inkShare}`);
+      assertMatchesFixture(binary, `${label}.adaptiveThreshold`);
+    });
+
+    await t.test('noise line removal drops thin lines and keeps the characters', () => {
+      const before = countInk(binary);
+      const after = countInk(cleaned);
+      assert.ok(after < before, 'some ink is removed');
+      assert.ok(after > before * 0.6, 'the character strokes stay');
+      assertMatchesFixture(cleaned, `${label}.removeNoiseLines`);
+    });
+
+    await t.test('upscale doubles the size with bilinear interpolation', () => {
+      assert.equal(scaled.width, cleaned.width * 2);
+      assert.equal(scaled.height, cleaned.height * 2);
+      assert.equal(luminanceAt(scaled, 0, 0), luminanceAt(cleaned, 0, 0));
+      assertMatchesFixture(scaled, `${label}.upscale`);
+    });
+
+    await t.test('the default pipeline runs the same steps', () => {
+      const processed = new CaptchaPreprocessor().process(source);
+      assert.deepEqual(processed, scaled);
+    });
+
+    await t.test('steps never change their input', () => {
+      assert.deepEqual(source.data, untouched);
+    });
+  });
+}
+
+for (const label of SKEWED_LABELS) {
+  test(`deskew on rotated captcha ${label}`, async (t) => {
+    const source = load(label, SKEWED);
+    const binary = CaptchaPreprocessor.removeNoiseLines(CaptchaPreprocessor.adaptiveThreshold(CaptchaPreprocessor.medianFilter(CaptchaPreprocessor.grayscale(source))));
+    const straightened = CaptchaPreprocessor.deskew(binary);
+
+    await t.test('the characters are level again', () => {
+      const before = inkSlope(binary);
+      const after = inkSlope(straightened);
+      assert.ok(Math.abs(before) > 0.07, `the fixture is rotated (slope ${before})`);
+      assert.ok(Math.abs(after) < 0.04, `slope after deskew ${after}`);
+    });
+
+    await t.test('deskew keeps the size and a binary image', () => {
+      assert.equal(straightened.width, binary.width);
+      assert.equal(straightened.height, binary.height);
+      const values = new Set();
+      for (let i = 0; i < straightened.data.length; i += 4) values.add(straightened.data[i]);
+      assert.deepEqual([...values].sort((a, b) => a - b), [0, 255]);
+      assertMatchesFixture(straightened, `skewed-${label}.deskew`);
+    });
+
+    await t.test('the pipeline runs deskew when it is enabled', () => {
+      const processed = new CaptchaPreprocessor({ deskew: true }).process(source);
+      assert.deepEqual(processed, CaptchaPreprocessor.upscale(straightened));
+    });
+  });
+}
@@ -0,0 +1,180 @@
+/**
+ * Storage migrations (storage.js) on the layouts older versions left behind
+ * Each case fills a stand-in for chrome.storage.local with what a pre-schema
+ * (version 0) or version 1 extension stored, runs ExtensionStorage.migrate()
+ * and checks the resulting storage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Logger } = require('../logger.js');
+const { ExtensionStorage, STORAGE_SCHEMA_VERSION, STORAGE_MIGRATIONS } = require('../storage.js');
+
+// migrate() logs each migration it applies
+global.Logger = Logger;
+Logger.useSink(() => {});
+Logger.setLevel('warn');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Saved by version 0 of the extension: one credential pair and an install record
+const V0_WITH_CREDENTIALS = {
+  installedAt: 1700000000000,
+  version: '1.0.0',
+  encryptedUsername: 'dXNlcm5hbWU=',
+  encryptedPassword: 'cGFzc3dvcmQ=',
+  credentialsStored: true,
+  lastUpdated: 1700000500000,
+  activityLog: [{ timestamp: 1700000600000, action: 'loginAttempt', details: {}, url: 'https://student.srmap.edu.in/' }]
+};
+
+// Version 0 after an extension update, which overwrote lastUpdated
+const V0_AFTER_UPDATE = {
+  ...V0_WITH_CREDENTIALS,
+  lastUpdated: 1700000900000,
+  previousVersion: '1.0.0',
+  currentVersion: '1.1.0'
+};
+
+// Version 1: profiles already split out, lastUpdated not yet
+const V1_WITH_PROFILES = {
+  schemaVersion: 1,
+  installedAt: 1700000000000,
+  version: '1.0.0',
+  credentialProfiles: [
+    { id: 'work', name: 'Work', encryptedUsername: 'd29yaw==', encryptedPassword: 'cGFzcw==' },
+    { id: 'home', name: 'Home', encryptedUsername: 'aG9tZQ==', encryptedPassword: 'cGFzcw==' }
+  ],
+  defaultProfileId: 'home',
+  credentialsStored: true,
+  lastUpdated: 1700000500000
+};
+
+/**
+ * Stand in for chrome.storage.local with the given contents
+ * @returns {Object} - The backing object, changed as the code writes
+ */
+function useStorage(contents) {
+  const store = JSON.parse(JSON.stringify(contents));
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  global.chrome = {
+    storage: {
+      local: {
+        async get(keys) {
+          const values = {};
+          (keys === null ? Object.keys(store) : keys).forEach(key => {
+            if (key in store) values[key] = copy(store[key]);
+          });
+          return values;
+        },
+        async set(values) {
+          Object.assign(store, copy(values));
+        },
+        async remove(keys) {
+          keys.forEach(key => delete store[key]);
+        }
+      }
+    }
+  };
+  return store;
+}
+
+test('version 0 credential pair becomes a "Default" profile', async () => {
+  const store = useStorage(V0_WITH_CREDENTIALS);
+
+  const result = await ExtensionStorage.migrate();
+  assert.deepEqual(result, {
+    from: 0,
+    to: STORAGE_SCHEMA_VERSION,
+    applied: STORAGE_MIGRATIONS.map(migration => migration.description)
+  });
+
+  const [profile] = store.credentialProfiles;
+  assert.match(profile.id, UUID);
+  assert.deepEqual(store, {
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    installedAt: 1700000000000,
+    installedVersion: '1.0.0',
+    credentialProfiles: [{ id: profile.id, name: 'Default', encryptedUsername: 'dXNlcm5hbWU=', encryptedPassword: 'cGFzc3dvcmQ=' }],
+    defaultProfileId: profile.id,
+    credentialsStored: true,
+    credentialsUpdatedAt: 1700000500000,
+    activityLog: V0_WITH_CREDENTIALS.activityLog
+  });
+
+  // Every key left behind is declared in the schema with the right type
+  Object.entries(store).forEach(([key, value]) => ExtensionStorage.check(key, value));
+});
+
+test('version 0 update record becomes extensionUpdate', async () => {
+  const store = useStorage(V0_AFTER_UPDATE);
+
+  await ExtensionStorage.migrate();
+
+  assert.equal(store.schemaVersion, STORAGE_SCHEMA_VERSION);
+  assert.deepEqual(store.extensionUpdate, { at: 1700000900000, previousVersion: '1.0.0', version: '1.1.0' });
+  // lastUpdated dated the update, not the credentials
+  assert.equal(store.credentialsUpdatedAt, undefined);
+  for (const key of ['lastUpdated', 'previousVersion', 'currentVersion', 'version', 'encryptedUsername', 'encryptedPassword']) {
+    assert.equal(key in store, false, `${key} should be removed`);
+  }
+  assert.equal(store.credentialProfiles.length, 1);
+});
+
+test('version 0 without credentials gets no profile', async () => {
+  const store = useStorage({ installedAt: 1700000000000, version: '1.0.0' });
+
+  await ExtensionStorage.migrate();
+
+  assert.deepEqual(store, {
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    installedAt: 1700000000000,
+    installedVersion: '1.0.0'
+  });
+});
+
+test('version 1 only runs the later migrations and keeps its profiles', async () => {
+  const store = useStorage(V1_WITH_PROFILES);
+
+  const result = await ExtensionStorage.migrate();
+  assert.equal(result.from, 1);
+  assert.deepEqual(result.applied, STORAGE_MIGRATIONS.filter(migration => migration.version > 1).map(migration => migration.description));
+
+  assert.deepEqual(store, {
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    installedAt: 1700000000000,
+    installedVersion: '1.0.0',
+    credentialProfiles: V1_WITH_PROFILES.credentialProfiles,
+    defaultProfileId: 'home',
+    credentialsStored: true,
+    credentialsUpdatedAt: 1700000500000
+  });
+});
+
+test('running the migrations again changes nothing', async () => {
+  const store = useStorage(V0_AFTER_UPDATE);
+  await ExtensionStorage.migrate();
+  const migrated = JSON.parse(JSON.stringify(store));
+
+  const result = await ExtensionStorage.migrate();
+  assert.deepEqual(result, { from: STORAGE_SCHEMA_VERSION, to: STORAGE_SCHEMA_VERSION, applied: [] });
+  assert.deepEqual(store, migrated);
+});
+
+test('each migration leaves already migrated data untouched', () => {
+  let data = JSON.parse(JSON.stringify(V0_AFTER_UPDATE));
+  STORAGE_MIGRATIONS.forEach(migration => {
+    data = { ...migration.migrate(data), schemaVersion: migration.version };
+    const again = { ...migration.migrate(JSON.parse(JSON.stringify(data))), schemaVersion: migration.version };
+    assert.deepEqual(again, data, `migration ${migration.version} run twice`);
+  });
+});
+
+test('data from a newer schema is refused', async () => {
+  const store = useStorage({ schemaVersion: STORAGE_SCHEMA_VERSION + 1, installedAt: 1700000000000 });
+
+  await assert.rejects(ExtensionStorage.migrate(), /newer than this version/);
+  assert.equal(store.schemaVersion, STORAGE_SCHEMA_VERSION + 1);
+});
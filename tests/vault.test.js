@@ -0,0 +1,96 @@
+/**
+ * Master password idle lock (background.js)
+ * Runs the background worker with a vault unlocked and moves its clock
+ * forward to check that the vaultIdleCheck alarm locks it once the key has
+ * gone unused for longer than the lock timeout
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const { SENDERS, loadBackground, dispatch } = require('./helpers/extension.js');
+
+const LOCK_MINUTES = 5;
+const MINUTE = 60 * 1000;
+
+/**
+ * Start the worker with the master password set, unlock it and take over its clock
+ * @returns {Promise<Object>} - { context, service, advance(minutes), locks }
+ */
+async function unlockedWorker() {
+  const context = await loadBackground({ local: { masterPasswordEnabled: true, vaultLockTimeout: LOCK_MINUTES } });
+  const service = vm.runInContext('backgroundService', context);
+
+  let now = Date.UTC(2026, 0, 5, 9, 0);
+  vm.runInContext('Date', context).now = () => now;
+
+  const locks = [];
+  const lockVault = service.lockVault.bind(service);
+  service.lockVault = async () => {
+    locks.push(now);
+    await lockVault();
+  };
+
+  const { key } = await service.cryptoHelper.createVault('correct horse battery staple');
+  await service.holdVaultKey(key);
+
+  return {
+    context,
+    service,
+    locks,
+    advance: minutes => {
+      now += minutes * MINUTE;
+    }
+  };
+}
+
+const isUnlocked = async context => !!(await context.chrome.storage.session.get(['vaultKey'])).vaultKey;
+
+test('the idle check locks the vault once the timeout has passed', async () => {
+  const { context, service, locks, advance } = await unlockedWorker();
+
+  // The alarm fires every minute; checking must not count as using the key
+  for (let minute = 1; minute <= LOCK_MINUTES; minute++) {
+    advance(1);
+    await service.checkVaultIdle();
+    assert.equal(await isUnlocked(context), true, `still unlocked after ${minute} minute(s)`);
+  }
+
+  advance(1);
+  await service.checkVaultIdle();
+  assert.equal(locks.length, 1, 'lockVault ran');
+  assert.equal(await isUnlocked(context), false);
+  assert.equal(service.vaultKey, null);
+});
+
+test('using the key restarts the idle timer', async () => {
+  const { context, service, locks, advance } = await unlockedWorker();
+
+  advance(LOCK_MINUTES - 1);
+  assert.ok(await service.getVaultKey(), 'the key is handed out');
+
+  advance(LOCK_MINUTES - 1);
+  await service.checkVaultIdle();
+  assert.equal(await isUnlocked(context), true);
+
+  advance(2);
+  await service.checkVaultIdle();
+  assert.equal(locks.length, 1);
+  assert.equal(await isUnlocked(context), false);
+});
+
+test('asking for the vault status does not keep it unlocked', async () => {
+  const { context, service, locks, advance } = await unlockedWorker();
+
+  advance(LOCK_MINUTES - 1);
+  const status = await dispatch(context, { action: 'getVaultStatus' }, SENDERS.options);
+  assert.deepEqual(status, { success: true, data: { enabled: true, locked: false, lockTimeout: LOCK_MINUTES } });
+
+  advance(2);
+  await service.checkVaultIdle();
+  assert.equal(locks.length, 1);
+
+  const after = await dispatch(context, { action: 'getVaultStatus' }, SENDERS.options);
+  assert.equal(after.data.locked, true);
+});